@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Authentication and audit logging for admin endpoints
+ *
+ * Admin requests authenticate with either a shared token
+ * (Authorization: Bearer <token> or X-Admin-Token) or an HMAC signature
+ * (X-Admin-Signature: sha256=<hex> over "<timestamp>.<METHOD>.<url>",
+ * with the timestamp in X-Admin-Timestamp, in milliseconds since the epoch
+ * and within five minutes of the server clock). All admin inputs are passed
+ * in the query string so the signature covers them. Every admin action is
+ * appended to an audit list in Redis (in memory when Redis is unavailable).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getRedisClient } from './redis-client';
+import { createLogger } from './logger';
+
+const logger = createLogger('admin-auth');
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+const ADMIN_HMAC_SECRET = process.env.ADMIN_HMAC_SECRET || '';
+
+// Signed requests older or newer than this are rejected (replay protection)
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// Audit log storage
+const AUDIT_LOG_KEY = 'admin:audit';
+const AUDIT_LOG_MAX_ENTRIES = 1000;
+const memoryAuditLog: AdminAuditEntry[] = [];
+
+export interface AdminIdentity {
+  actor: string;
+  method: 'token' | 'hmac';
+}
+
+export interface AdminAuditEntry {
+  timestamp: string;
+  actor: string;
+  method: string;
+  action: string;
+  details?: Record<string, any>;
+}
+
+type AuthResult =
+  | { ok: true; identity: AdminIdentity }
+  | { ok: false; status: number; error: string };
+
+/**
+ * Read a single header value
+ * @param req - Next.js API request
+ * @param name - Lowercase header name
+ * @returns Header value or an empty string
+ */
+function getHeader(req: NextApiRequest, name: string): string {
+  const value = req.headers[name];
+  return (Array.isArray(value) ? value[0] : value) || '';
+}
+
+/**
+ * Compare two strings in constant time
+ * @param a - First string
+ * @param b - Second string
+ * @returns Whether the strings are equal
+ */
+function safeEqual(a: string, b: string): boolean {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Build the HMAC signature for an admin request
+ * @param timestamp - Request timestamp (milliseconds since epoch, as sent)
+ * @param method - HTTP method
+ * @param url - Request path including the query string
+ * @returns Hex-encoded signature
+ */
+export function signAdminRequest(timestamp: string, method: string, url: string): string {
+  return createHmac('sha256', ADMIN_HMAC_SECRET)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}`)
+    .digest('hex');
+}
+
+/**
+ * Authenticate an admin request
+ * @param req - Next.js API request
+ * @returns Identity on success, or the status and error to return
+ */
+export function authenticateAdmin(req: NextApiRequest): AuthResult {
+  if (!ADMIN_API_TOKEN && !ADMIN_HMAC_SECRET) {
+    return { ok: false, status: 503, error: 'Admin API is not configured' };
+  }
+
+  const actor = getHeader(req, 'x-admin-actor') || 'unknown';
+
+  // Shared token
+  const authorization = getHeader(req, 'authorization');
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.substring(7).trim()
+    : getHeader(req, 'x-admin-token');
+
+  if (token) {
+    if (ADMIN_API_TOKEN && safeEqual(token, ADMIN_API_TOKEN)) {
+      return { ok: true, identity: { actor, method: 'token' } };
+    }
+    return { ok: false, status: 401, error: 'Invalid admin token' };
+  }
+
+  // HMAC signature
+  const signature = getHeader(req, 'x-admin-signature').replace(/^sha256=/, '');
+  const timestamp = getHeader(req, 'x-admin-timestamp');
+
+  if (signature && timestamp) {
+    if (!ADMIN_HMAC_SECRET) {
+      return { ok: false, status: 401, error: 'HMAC authentication is not enabled' };
+    }
+
+    // A timestamp that is not a number would compare as NaN and never expire
+    const signedAt = /^\d+$/.test(timestamp) ? Number(timestamp) : NaN;
+    if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > SIGNATURE_MAX_SKEW_MS) {
+      return { ok: false, status: 401, error: 'Signature timestamp out of range' };
+    }
+
+    const expected = signAdminRequest(timestamp, req.method || 'GET', req.url || '');
+    if (safeEqual(signature, expected)) {
+      return { ok: true, identity: { actor, method: 'hmac' } };
+    }
+    return { ok: false, status: 401, error: 'Invalid signature' };
+  }
+
+  return { ok: false, status: 401, error: 'Admin credentials required' };
+}
+
+/**
+ * Authenticate an admin request and send the error response on failure
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ * @returns Identity, or null if a response has already been sent
+ */
+export function requireAdmin(req: NextApiRequest, res: NextApiResponse): AdminIdentity | null {
+  const result = authenticateAdmin(req);
+
+  if (!result.ok) {
+    logger.warn('Rejected admin request', { method: req.method, path: (req.url || '').split('?')[0], reason: result.error });
+    res.status(result.status).json({ error: result.error });
+    return null;
+  }
+
+  return result.identity;
+}
+
+/**
+ * Append an admin action to the audit log
+ * Failures are logged and never block the action itself
+ * @param identity - Authenticated admin
+ * @param action - Action name (e.g. "cache.purge")
+ * @param details - Action parameters and results
+ */
+export async function recordAdminAction(
+  identity: AdminIdentity,
+  action: string,
+  details?: Record<string, any>
+): Promise<void> {
+  const entry: AdminAuditEntry = {
+    timestamp: new Date().toISOString(),
+    actor: identity.actor,
+    method: identity.method,
+    action,
+    details
+  };
+
+  logger.info('Admin action', { actor: entry.actor, authMethod: entry.method, action, details });
+
+  try {
+    const redis = getRedisClient();
+
+    if (redis) {
+      await redis
+        .multi()
+        .lpush(AUDIT_LOG_KEY, JSON.stringify(entry))
+        .ltrim(AUDIT_LOG_KEY, 0, AUDIT_LOG_MAX_ENTRIES - 1)
+        .exec();
+      return;
+    }
+
+    memoryAuditLog.unshift(entry);
+    memoryAuditLog.length = Math.min(memoryAuditLog.length, AUDIT_LOG_MAX_ENTRIES);
+  } catch (error) {
+    logger.error('Failed to write audit entry', { error });
+  }
+}
+
+/**
+ * Get the most recent audit log entries
+ * @param limit - Maximum number of entries
+ * @returns Entries, newest first
+ */
+export async function getAdminAuditLog(limit: number = 100): Promise<AdminAuditEntry[]> {
+  try {
+    const redis = getRedisClient();
+
+    if (redis) {
+      const entries = await redis.lrange(AUDIT_LOG_KEY, 0, limit - 1);
+      return entries.map(entry => JSON.parse(entry));
+    }
+
+    return memoryAuditLog.slice(0, limit);
+  } catch (error) {
+    logger.error('Failed to read audit log', { error });
+    return [];
+  }
+}
@@ -3,31 +3,28 @@
  * 
  * This module provides a configured Axios client for communicating
  * with the backend search API. Includes IP resolution functionality
- * to preserve original client IPs and enhanced cache awareness.
+ * to preserve original client IPs and enhanced cache awareness. Requests
+ * go through the resilience layer in backend-resilience.ts (per-endpoint
+ * timeouts, retries, circuit breakers and hedged suggestion calls).
+ * Requests made while handling an API route carry its X-Request-ID and the
+ * W3C traceparent of the active span so backend logs and traces can be
+ * correlated with ours.
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 2.2.0
- * @lastModified 2025-05-07
+ * @version 2.6.0
+ * @lastModified 2026-10-19
  */
 
 import axios, { AxiosInstance, AxiosRequestConfig, AxiosRequestHeaders } from 'axios';
+import { createResilientAdapter, getEndpointTimeout } from './backend-resilience';
+import { createLogger, getRequestId, LogLevel, REQUEST_ID_HEADER } from './logger';
+import { injectTraceHeaders } from './tracing';
 
 // Get backend API URL from environment variables, with fallback
-const BACKEND_API_URL = process.env.BACKEND_API_URL || 'https://funnelback-proxy-dev.vercel.app/proxy';
-
-// Define log levels
-export enum LogLevel {
-  ERROR = 0,
-  WARN = 1,
-  INFO = 2,
-  DEBUG = 3
-}
+export const BACKEND_API_URL = process.env.BACKEND_API_URL || 'https://funnelback-proxy-dev.vercel.app/proxy';
 
-// Set default log level (can be overridden via environment variable)
-let currentLogLevel = process.env.API_CLIENT_LOG_LEVEL
-  ? parseInt(process.env.API_CLIENT_LOG_LEVEL, 10)
-  : LogLevel.INFO;
+const logger = createLogger('api-client', { levelEnv: 'API_CLIENT_LOG_LEVEL' });
 
 // Flag to determine if we're in a server context
 const isServer = typeof window === 'undefined';
@@ -37,62 +34,13 @@ let cachedClientIp: string | null = null;
 let cachedClientIpTimestamp = 0;
 const CLIENT_IP_CACHE_DURATION = 60 * 1000; // 1 minute in milliseconds
 
-/**
- * Logger function with level-based filtering
- * @param message - The message to log
- * @param level - The log level for this message
- * @param data - Optional data to include in the log
- */
-export function log(message: string, level: LogLevel = LogLevel.INFO, data?: any): void {
-  if (level <= currentLogLevel) {
-    const prefix = getLogPrefix(level);
-    if (data !== undefined) {
-      console.log(`${prefix} ${message}`, data);
-    } else {
-      console.log(`${prefix} ${message}`);
-    }
-  }
-}
-
-/**
- * Get the prefix for a log level
- * @param level - The log level
- * @returns The prefix string
- */
-function getLogPrefix(level: LogLevel): string {
-  switch (level) {
-    case LogLevel.ERROR:
-      return '[API-CLIENT-ERROR]';
-    case LogLevel.WARN:
-      return '[API-CLIENT-WARN]';
-    case LogLevel.INFO:
-      return '[API-CLIENT-INFO]';
-    case LogLevel.DEBUG:
-      return '[API-CLIENT-DEBUG]';
-    default:
-      return '[API-CLIENT]';
-  }
-}
-
-/**
- * Set the current log level
- * @param level - The new log level
- */
-export function setLogLevel(level: LogLevel): void {
-  currentLogLevel = level;
-  log(`Log level set to ${LogLevel[level]}`, LogLevel.INFO);
-}
-
 /**
  * Resolves the client IP address from request headers in server context
  * @param headers - Request headers
  * @returns Resolved IP address
  */
 function resolveClientIpFromHeaders(headers: any): string {
-  log('Resolving client IP from headers', LogLevel.INFO);
-
-  // Log available headers at DEBUG level
-  log('Available headers:', LogLevel.DEBUG, headers);
+  logger.debug('Resolving client IP from headers', { headers });
 
   // Check x-forwarded-for header (common for proxied requests)
   if (headers['x-forwarded-for']) {
@@ -102,7 +50,7 @@ function resolveClientIpFromHeaders(headers: any): string {
 
     // Extract the first IP in the list (the original client)
     const clientIp = forwardedIps.split(',')[0].trim();
-    log(`Extracted IP from x-forwarded-for: ${clientIp}`, LogLevel.INFO);
+    logger.info('Extracted client IP', { header: 'x-forwarded-for', ip: clientIp });
     return clientIp;
   }
 
@@ -117,12 +65,12 @@ function resolveClientIpFromHeaders(headers: any): string {
   for (const header of ipHeaders) {
     if (headers[header]) {
       const ip = Array.isArray(headers[header]) ? headers[header][0] : headers[header];
-      log(`Extracted IP from ${header}: ${ip}`, LogLevel.INFO);
+      logger.info('Extracted client IP', { header, ip });
       return ip;
     }
   }
 
-  log('Could not extract IP address from headers', LogLevel.WARN);
+  logger.warn('Could not extract IP address from headers');
   return '0.0.0.0';
 }
 
@@ -132,7 +80,7 @@ function resolveClientIpFromHeaders(headers: any): string {
  */
 export function setClientIp(ip: string): void {
   if (isServer) {
-    log(`Setting cached client IP to ${ip}`, LogLevel.INFO);
+    logger.debug('Caching client IP', { ip });
     cachedClientIp = ip;
     cachedClientIpTimestamp = Date.now();
   }
@@ -147,11 +95,11 @@ export function getCachedClientIp(): string | null {
 
   const now = Date.now();
   if (cachedClientIp && now - cachedClientIpTimestamp < CLIENT_IP_CACHE_DURATION) {
-    log(`Using cached client IP: ${cachedClientIp}`, LogLevel.DEBUG);
+    logger.debug('Using cached client IP', { ip: cachedClientIp });
     return cachedClientIp;
   }
 
-  log('Cached client IP expired or not set', LogLevel.DEBUG);
+  logger.debug('Cached client IP expired or not set');
   return null;
 }
 
@@ -162,7 +110,7 @@ export function getCachedClientIp(): string | null {
  * @returns Configured axios instance
  */
 export function createApiClient(headers?: any, options: { cacheAware?: boolean } = {}): AxiosInstance {
-  log('Creating API client instance', LogLevel.INFO);
+  logger.debug('Creating API client instance');
 
   let clientIp: string | null = null;
 
@@ -194,17 +142,32 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
   }
 
   // Create a configured Axios instance
+  // Timeouts, retries, circuit breaking and hedging are handled per backend path by the adapter
   const apiClient = axios.create({
     baseURL: BACKEND_API_URL,
-    timeout: 10000,
-    headers: defaultHeaders
+    headers: defaultHeaders,
+    adapter: createResilientAdapter()
   });
 
-  if (clientIp) {
-    log(`Created client with IP headers set to ${clientIp}`, LogLevel.INFO);
-  } else {
-    log('Created client without IP headers (will be resolved later for client-side requests)', LogLevel.INFO);
-  }
+  // Apply the endpoint timeout unless the caller set one, and pass on the request ID and trace context
+  apiClient.interceptors.request.use(config => {
+    if (!config.timeout) {
+      config.timeout = getEndpointTimeout(config.url);
+    }
+
+    if (!config.headers) {
+      config.headers = {} as AxiosRequestHeaders;
+    }
+
+    const requestId = getRequestId();
+    if (requestId) {
+      config.headers[REQUEST_ID_HEADER] = requestId;
+    }
+    injectTraceHeaders(config.headers);
+    return config;
+  });
+
+  logger.debug('Created API client', { ip: clientIp, ipHeaders: !!clientIp });
 
   // Add request interceptor to include client IP in all requests
   apiClient.interceptors.request.use(async (config) => {
@@ -215,11 +178,11 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
 
     // For client-side requests, fetch the IP from our client-info endpoint
     try {
-      log('Attempting to fetch client IP for client-side request', LogLevel.DEBUG);
+      logger.debug('Attempting to fetch client IP for client-side request');
 
       // Check if we already have client info headers
       if (config.headers && (config.headers['X-Client-IP'] || config.headers['X-Forwarded-For'])) {
-        log('Request already has client IP headers', LogLevel.DEBUG);
+        logger.debug('Request already has client IP headers');
         return config;
       }
 
@@ -230,7 +193,7 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
       }
 
       const clientInfo = await response.json();
-      log(`Received client info: IP=${clientInfo.ip}, Source=${clientInfo.source}`, LogLevel.DEBUG);
+      logger.debug('Received client info', { ip: clientInfo.ip, source: clientInfo.source });
 
       // Add client IP to request headers
       if (clientInfo.ip) {
@@ -239,10 +202,10 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
         }
         config.headers['X-Forwarded-For'] = clientInfo.ip;
         config.headers['X-Client-IP'] = clientInfo.ip;
-        log(`Added client IP ${clientInfo.ip} to request headers`, LogLevel.DEBUG);
+        logger.debug('Added client IP to request headers', { ip: clientInfo.ip });
       }
     } catch (error) {
-      log(`Error fetching client IP: ${error instanceof Error ? error.message : 'Unknown error'}`, LogLevel.ERROR);
+      logger.error('Error fetching client IP', { error });
       // Continue with request even if IP fetch fails
     }
 
@@ -251,24 +214,21 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
 
   // Add request logging for all log levels
   apiClient.interceptors.request.use(request => {
-    // For INFO level, log minimal information
-    if (currentLogLevel >= LogLevel.INFO) {
-      log(`Request: ${request.method} ${request.url}`, LogLevel.INFO);
-    }
-
-    // For DEBUG level, log more detailed information
-    if (currentLogLevel >= LogLevel.DEBUG) {
-      log('Request details:', LogLevel.DEBUG, {
-        url: request.url,
+    // Method and path at INFO, parameters and forwarded headers at DEBUG
+    if (logger.isEnabled(LogLevel.DEBUG)) {
+      logger.debug('Backend request', {
         method: request.method,
+        url: request.url,
         params: request.params,
         data: request.data,
         headers: {
-          'X-Forwarded-For': request.headers?.['X-Forwarded-For'],
-          'X-Client-IP': request.headers?.['X-Client-IP'],
-          'X-Cache-Aware': request.headers?.['X-Cache-Aware'],
+          'x-forwarded-for': request.headers?.['X-Forwarded-For'],
+          'x-client-ip': request.headers?.['X-Client-IP'],
+          'x-cache-aware': request.headers?.['X-Cache-Aware']
         }
       });
+    } else {
+      logger.info('Backend request', { method: request.method, url: request.url });
     }
 
     return request;
@@ -277,33 +237,29 @@ export function createApiClient(headers?: any, options: { cacheAware?: boolean }
   // Add response logging
   apiClient.interceptors.response.use(
     response => {
-      // For INFO level, log minimal information
-      if (currentLogLevel >= LogLevel.INFO) {
-        const cacheStatus = response.headers['x-cache-status'];
-        log(`Response: ${response.status} ${response.statusText}${cacheStatus ? ` (Cache: ${cacheStatus})` : ''}`, LogLevel.INFO);
-      }
-
-      // For DEBUG level, log more detailed information
-      if (currentLogLevel >= LogLevel.DEBUG) {
-        const cacheStatus = response.headers['x-cache-status'];
-        const cacheAge = response.headers['x-cache-age'];
+      const cacheStatus = response.headers['x-cache-status'];
 
-        log('Response details:', LogLevel.DEBUG, {
+      // Status at INFO, payload size and backend cache age at DEBUG
+      if (logger.isEnabled(LogLevel.DEBUG)) {
+        logger.debug('Backend response', {
+          url: response.config?.url,
           status: response.status,
           dataLength: response.data ?
             (typeof response.data === 'string' ? response.data.length : JSON.stringify(response.data).length) : 0,
           cacheStatus: cacheStatus || 'N/A',
-          cacheAge: cacheAge || 'N/A'
+          cacheAge: response.headers['x-cache-age'] || 'N/A'
         });
+      } else {
+        logger.info('Backend response', { url: response.config?.url, status: response.status, cacheStatus });
       }
 
       return response;
     },
     error => {
       // Always log errors at ERROR level
-      log('API Error:', LogLevel.ERROR, {
-        message: error.message,
-        status: error.response?.status,
+      logger.error('Backend request failed', {
+        url: error.config?.url,
+        error,
         data: error.response?.data
       });
 
@@ -340,8 +296,7 @@ export async function fetchFromBackend<T = any>(
       createApiClient(headers, options) :
       options.cacheAware ? cacheAwareApiClient : backendApiClient;
 
-    log(`Fetching from ${endpoint}`, LogLevel.INFO);
-    log(`Request params:`, LogLevel.DEBUG, params);
+    logger.debug('Fetching from backend', { endpoint, params });
 
     // Set custom headers for cache awareness if needed
     const requestConfig: AxiosRequestConfig = { params };
@@ -352,14 +307,11 @@ export async function fetchFromBackend<T = any>(
     }
 
     const response = await client.get(endpoint, requestConfig);
-
-    // Log response data at debug level
-    log(`Response received from ${endpoint}`, LogLevel.INFO);
-    log(`Response data:`, LogLevel.DEBUG, response.data);
+    logger.debug('Response received from backend', { endpoint });
 
     return response.data;
   } catch (error) {
-    log(`Error fetching from ${endpoint}: ${error instanceof Error ? error.message : 'Unknown error'}`, LogLevel.ERROR);
+    logger.error('Error fetching from backend', { endpoint, error });
     throw error;
   }
 }
@@ -382,19 +334,14 @@ export async function postToBackend<T = any>(
     // Create a client instance with provided headers (useful for server-side requests)
     const client = headers ? createApiClient(headers) : backendApiClient;
 
-    log(`Posting to ${endpoint}`, LogLevel.INFO);
-    log(`Request data:`, LogLevel.DEBUG, data);
-    log(`Request params:`, LogLevel.DEBUG, params);
+    logger.debug('Posting to backend', { endpoint, data, params });
 
     const response = await client.post(endpoint, data, { params });
-
-    // Log response data at debug level
-    log(`Response received from ${endpoint}`, LogLevel.INFO);
-    log(`Response data:`, LogLevel.DEBUG, response.data);
+    logger.debug('Response received from backend', { endpoint });
 
     return response.data;
   } catch (error) {
-    log(`Error posting to ${endpoint}: ${error instanceof Error ? error.message : 'Unknown error'}`, LogLevel.ERROR);
+    logger.error('Error posting to backend', { endpoint, error });
     throw error;
   }
 }
\ No newline at end of file
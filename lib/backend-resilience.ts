@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Resilience layer for backend API calls
+ *
+ * Provides the axios adapter used by createApiClient. Each backend path has
+ * its own timeout and circuit breaker. Idempotent GETs that fail with a 5xx
+ * status or a network error are retried with jittered exponential backoff,
+ * within a total time budget per request. The breaker sees one outcome per
+ * request, after its last attempt; client errors are neutral to it.
+ * Suggestion calls are hedged: if the first request has not answered after
+ * a short delay a second one is sent and the first success wins. Attempt
+ * durations, status or error codes and retries are recorded in the shared
+ * service metrics (metrics.ts).
+ *
+ * Environment:
+ * - BACKEND_TIMEOUT_MS / BACKEND_SEARCH_TIMEOUT_MS / BACKEND_SUGGEST_TIMEOUT_MS
+ * - BACKEND_TOTAL_TIMEOUT_MS / BACKEND_SUGGEST_TOTAL_TIMEOUT_MS (all attempts)
+ * - BACKEND_MAX_RETRIES, BACKEND_RETRY_BASE_MS
+ * - BACKEND_BREAKER_THRESHOLD, BACKEND_BREAKER_RESET_MS
+ * - BACKEND_HEDGE_DELAY_MS (0 disables hedging)
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import axios, { AxiosAdapter, AxiosError, AxiosResponse, InternalAxiosRequestConfig } from 'axios';
+import { CircuitBreaker, CircuitOpenError, CircuitBreakerStats } from './circuit-breaker';
+import { incrementCounter, observeHistogram } from './metrics';
+import { createLogger } from './logger';
+
+const logger = createLogger('backend-resilience');
+
+/**
+ * Read a numeric environment variable
+ * @param name - Variable name
+ * @param fallback - Value when unset or invalid
+ * @returns Parsed value
+ */
+function envNumber(name: string, fallback: number): number {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const DEFAULT_TIMEOUT_MS = envNumber('BACKEND_TIMEOUT_MS', 10000);
+const SUGGEST_TIMEOUT_MS = envNumber('BACKEND_SUGGEST_TIMEOUT_MS', 3000);
+
+// Per-path request timeouts
+const ENDPOINT_TIMEOUTS: Record<string, number> = {
+  '/funnelback/search': envNumber('BACKEND_SEARCH_TIMEOUT_MS', 8000),
+  '/funnelback/suggest': SUGGEST_TIMEOUT_MS,
+  '/suggestPeople': SUGGEST_TIMEOUT_MS,
+  '/suggestPrograms': SUGGEST_TIMEOUT_MS
+};
+
+const DEFAULT_TOTAL_TIMEOUT_MS = envNumber('BACKEND_TOTAL_TIMEOUT_MS', 12000);
+const SUGGEST_TOTAL_TIMEOUT_MS = envNumber('BACKEND_SUGGEST_TOTAL_TIMEOUT_MS', 5000);
+
+// Per-path time budgets covering all attempts of a request
+const TOTAL_TIMEOUTS: Record<string, number> = {
+  '/funnelback/suggest': SUGGEST_TOTAL_TIMEOUT_MS,
+  '/suggestPeople': SUGGEST_TOTAL_TIMEOUT_MS,
+  '/suggestPrograms': SUGGEST_TOTAL_TIMEOUT_MS
+};
+
+// A retry is skipped when less than this would be left of the budget
+const MIN_ATTEMPT_MS = 250;
+
+// Paths whose GETs are hedged with a second request
+const HEDGED_PATHS = ['/funnelback/suggest', '/suggestPeople', '/suggestPrograms'];
+
+const MAX_RETRIES = envNumber('BACKEND_MAX_RETRIES', 2);
+const RETRY_BASE_MS = envNumber('BACKEND_RETRY_BASE_MS', 100);
+const RETRY_MAX_DELAY_MS = 2000;
+const HEDGE_DELAY_MS = envNumber('BACKEND_HEDGE_DELAY_MS', 300);
+
+const BREAKER_OPTIONS = {
+  failureThreshold: envNumber('BACKEND_BREAKER_THRESHOLD', 5),
+  resetTimeoutMs: envNumber('BACKEND_BREAKER_RESET_MS', 15000)
+};
+
+interface EndpointCounters {
+  requests: number;
+  failures: number;
+  retries: number;
+  hedged: number;
+  hedgeWins: number;
+  shortCircuited: number;
+}
+
+export interface BackendEndpointMetrics extends EndpointCounters {
+  timeoutMs: number;
+  breaker: CircuitBreakerStats;
+}
+
+const breakers = new Map<string, CircuitBreaker>();
+const counters = new Map<string, EndpointCounters>();
+
+/**
+ * Get the backend path of a request without its query string
+ * @param url - Request URL (relative to the backend base URL)
+ * @returns Path
+ */
+function getPath(url: string | undefined): string {
+  return (url || '/').split('?')[0];
+}
+
+/**
+ * Get the timeout for a backend path
+ * @param url - Request URL
+ * @returns Timeout in milliseconds
+ */
+export function getEndpointTimeout(url: string | undefined): number {
+  return ENDPOINT_TIMEOUTS[getPath(url)] ?? DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Get (or create) the circuit breaker and counters for a backend path
+ * @param path - Backend path
+ * @returns Breaker and counters
+ */
+function getEndpoint(path: string): { breaker: CircuitBreaker; stats: EndpointCounters } {
+  if (!breakers.has(path)) {
+    breakers.set(path, new CircuitBreaker(`backend ${path}`, BREAKER_OPTIONS));
+    counters.set(path, { requests: 0, failures: 0, retries: 0, hedged: 0, hedgeWins: 0, shortCircuited: 0 });
+  }
+
+  return { breaker: breakers.get(path)!, stats: counters.get(path)! };
+}
+
+/**
+ * Check whether a failed request may be retried
+ * Only network errors, timeouts and 5xx responses are transient
+ * @param error - Request error
+ * @returns Whether the error is retryable
+ */
+function isRetryable(error: unknown): boolean {
+  if (axios.isCancel(error)) return false;
+  if (!axios.isAxiosError(error)) return false;
+
+  const status = (error as AxiosError).response?.status;
+  return status === undefined || status >= 500;
+}
+
+/**
+ * Get the metrics label for the outcome of a request attempt
+ * @param error - Request error
+ * @returns HTTP status, axios error code (e.g. ECONNABORTED) or "error"
+ */
+function getErrorCode(error: unknown): string {
+  if (axios.isCancel(error)) return 'canceled';
+  if (!axios.isAxiosError(error)) return 'error';
+
+  return String(error.response?.status ?? error.code ?? 'error');
+}
+
+/**
+ * Get the delay before the next retry using full-jitter exponential backoff
+ * @param attempt - Retry number (0-based)
+ * @returns Delay in milliseconds
+ */
+function getBackoffDelay(attempt: number): number {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+  return Math.random() * ceiling;
+}
+
+/**
+ * Send a request and, if it is slow, a second identical one
+ * The first successful response wins and the other request is aborted
+ * @param adapter - Underlying axios adapter
+ * @param config - Request config
+ * @param stats - Counters of the endpoint
+ * @returns Winning response
+ */
+function hedgedRequest(
+  adapter: AxiosAdapter,
+  config: InternalAxiosRequestConfig,
+  stats: EndpointCounters
+): Promise<AxiosResponse> {
+  return new Promise((resolve, reject) => {
+    const controllers: AbortController[] = [];
+    let settled = false;
+    let pending = 0;
+    let hedgeTimer: ReturnType<typeof setTimeout> | null = null;
+
+    const send = (isHedge: boolean) => {
+      const controller = new AbortController();
+      controllers.push(controller);
+      pending++;
+
+      adapter({ ...config, signal: controller.signal }).then(
+        response => {
+          if (settled) return;
+          settled = true;
+          if (hedgeTimer) clearTimeout(hedgeTimer);
+          if (isHedge) stats.hedgeWins++;
+
+          controllers.forEach(other => other !== controller && other.abort());
+          resolve(response);
+        },
+        error => {
+          pending--;
+          if (settled) return;
+
+          // Reject once no request is left that could still succeed
+          if (pending === 0) {
+            settled = true;
+            if (hedgeTimer) clearTimeout(hedgeTimer);
+            reject(error);
+          }
+        }
+      );
+    };
+
+    send(false);
+
+    hedgeTimer = setTimeout(() => {
+      hedgeTimer = null;
+      if (settled) return;
+
+      stats.hedged++;
+      send(true);
+    }, HEDGE_DELAY_MS);
+  });
+}
+
+/**
+ * Create the resilient adapter used by backend API clients
+ * @returns Axios adapter wrapping the default adapter
+ */
+export function createResilientAdapter(): AxiosAdapter {
+  const adapter = axios.getAdapter(axios.defaults.adapter);
+
+  return async (config: InternalAxiosRequestConfig) => {
+    const path = getPath(config.url);
+    const { breaker, stats } = getEndpoint(path);
+    const method = (config.method || 'get').toLowerCase();
+    const isGet = method === 'get';
+    // Hedging needs its own abort signals, so requests with a caller signal are sent once
+    const hedge = isGet && HEDGE_DELAY_MS > 0 && HEDGED_PATHS.includes(path) && !config.signal;
+    const maxRetries = isGet ? MAX_RETRIES : 0;
+
+    if (!breaker.allowRequest()) {
+      stats.shortCircuited++;
+      incrementCounter('backend_requests', { path, code: 'circuit_open' });
+      throw new CircuitOpenError(breaker.name);
+    }
+
+    stats.requests++;
+    const deadline = Date.now() + (TOTAL_TIMEOUTS[path] ?? DEFAULT_TOTAL_TIMEOUT_MS);
+
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      const remaining = deadline - startedAt;
+      // Each attempt keeps its own timeout but may not outlast the budget
+      const attemptConfig = { ...config, timeout: config.timeout ? Math.min(config.timeout, remaining) : remaining };
+
+      try {
+        const response = hedge ? await hedgedRequest(adapter, attemptConfig, stats) : await adapter(attemptConfig);
+        breaker.recordSuccess();
+        incrementCounter('backend_requests', { path, code: response.status });
+        observeHistogram('backend_request_duration_seconds', { path }, (Date.now() - startedAt) / 1000);
+        return response;
+      } catch (error) {
+        incrementCounter('backend_requests', { path, code: getErrorCode(error) });
+        observeHistogram('backend_request_duration_seconds', { path }, (Date.now() - startedAt) / 1000);
+
+        // Client errors and cancellations say nothing about backend health
+        if (!isRetryable(error)) {
+          stats.failures++;
+          breaker.recordNeutral();
+          throw error;
+        }
+
+        const delay = getBackoffDelay(attempt);
+        const canRetry = attempt < maxRetries
+          && breaker.getState() !== 'open'
+          && deadline - (Date.now() + delay) >= MIN_ATTEMPT_MS;
+
+        if (!canRetry) {
+          stats.failures++;
+          breaker.recordFailure(error);
+          throw error;
+        }
+
+        stats.retries++;
+        incrementCounter('backend_retries', { path });
+        logger.warn('Retrying backend request', {
+          method: method.toUpperCase(),
+          path,
+          attempt: attempt + 2,
+          maxAttempts: maxRetries + 1,
+          error
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+}
+
+/**
+ * Get per-endpoint timeouts, counters and breaker state
+ * @returns Metrics keyed by backend path
+ */
+export function getBackendMetrics(): Record<string, BackendEndpointMetrics> {
+  const metrics: Record<string, BackendEndpointMetrics> = {};
+
+  breakers.forEach((breaker, path) => {
+    metrics[path] = {
+      timeoutMs: getEndpointTimeout(path),
+      ...counters.get(path)!,
+      breaker: breaker.getStats()
+    };
+  });
+
+  return metrics;
+}
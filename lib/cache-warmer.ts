@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Cache warmer for popular queries and tabs
+ *
+ * Pre-populates the general search cache and the cache of every popular
+ * tab for a list of queries, taken from the query popularity windows or
+ * supplied as a curated list. Backend calls go through the request
+ * coalescer, run on a bounded worker pool and are spaced to stay within a
+ * requests-per-second budget. Tab requests are sent with the same facet
+ * parameters as the search page tab links (override with
+ * CACHE_WARM_TAB_PARAMS) so the warmed keys match real tab requests.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { createApiClient } from './api-client';
+import {
+  setCachedSearchResults,
+  setCachedTabContent,
+  generateSearchCacheKey,
+  generateTabCacheKey
+} from './cache';
+import { coalesceRequest, generateRequestKey } from './request-coalescer';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+import { getTopQueries, PopularityWindow } from './query-popularity';
+import { POPULAR_TABS } from './utils';
+import { createLogger } from './logger';
+
+const logger = createLogger('cache-warmer');
+
+const DEFAULT_COLLECTION = 'seattleu~sp-search';
+const DEFAULT_PROFILE = '_default';
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RATE_PER_SECOND = 5;
+
+// Facet parameters each tab link adds to the search request
+const DEFAULT_TAB_PARAMS: Record<string, Record<string, string>> = {
+  Results: {},
+  Programs: { 'f.Tabs|programMain': 'Programs' },
+  Faculty_Staff: { 'f.Tabs|seattleu~ds-staff': 'Faculty & Staff' },
+  News: { 'f.Tabs|seattleu~ds-news': 'News' }
+};
+
+export interface WarmOptions {
+  /** Queries to warm */
+  queries: string[];
+  collection?: string;
+  profile?: string;
+  /** Tabs to warm in addition to the general search cache (defaults to POPULAR_TABS) */
+  tabs?: string[];
+  /** Maximum backend calls in flight */
+  concurrency?: number;
+  /** Maximum backend calls started per second */
+  ratePerSecond?: number;
+  /** Incoming request headers (for client IP propagation) */
+  headers?: Record<string, any>;
+}
+
+export interface WarmFailure {
+  key: string;
+  error: string;
+}
+
+export interface WarmSummary {
+  collection: string;
+  queries: number;
+  warmed: string[];
+  failed: WarmFailure[];
+  durationMs: number;
+}
+
+interface WarmTask {
+  query: string;
+  tabId: string | null;
+  params: Record<string, string>;
+}
+
+/**
+ * Get the facet parameters for each tab
+ * @returns Parameters per tab ID
+ */
+function getTabParams(): Record<string, Record<string, string>> {
+  if (!process.env.CACHE_WARM_TAB_PARAMS) return DEFAULT_TAB_PARAMS;
+
+  try {
+    return { ...DEFAULT_TAB_PARAMS, ...JSON.parse(process.env.CACHE_WARM_TAB_PARAMS) };
+  } catch (error) {
+    logger.error('Ignoring invalid CACHE_WARM_TAB_PARAMS', { error });
+    return DEFAULT_TAB_PARAMS;
+  }
+}
+
+/**
+ * Create a limiter that spaces calls to a fixed rate
+ * @param ratePerSecond - Maximum calls started per second (0 = unlimited)
+ * @returns Function resolving when the next call may start
+ */
+function createRateLimiter(ratePerSecond: number): () => Promise<void> {
+  const intervalMs = ratePerSecond > 0 ? 1000 / ratePerSecond : 0;
+  let nextSlot = 0;
+
+  return async () => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + intervalMs;
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  };
+}
+
+/**
+ * Fetch one query/tab combination and store it in the matching cache
+ * @param apiClient - Backend API client
+ * @param task - Query, tab and backend parameters
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @returns Keys that were written
+ */
+async function warmTask(
+  apiClient: ReturnType<typeof createApiClient>,
+  task: WarmTask,
+  collection: string,
+  profile: string
+): Promise<string[]> {
+  const { query, tabId, params } = task;
+
+  const data = await coalesceRequest(
+    generateRequestKey('/funnelback/search', params),
+    async () => (await apiClient.get('/funnelback/search', { params })).data
+  );
+
+  if (!data) {
+    throw new Error('Empty backend response');
+  }
+
+  const keys: string[] = [];
+
+  // The unfaceted request also fills the general search cache
+  if (!tabId || tabId === 'Results') {
+    await setCachedSearchResults(query, collection, profile, data, undefined, params);
+    keys.push(generateSearchCacheKey(query, collection, profile, params));
+  }
+
+  if (tabId) {
+    await setCachedTabContent(query, collection, profile, tabId, data, POPULAR_TABS.includes(tabId), params);
+    keys.push(generateTabCacheKey(query, collection, profile, tabId, params));
+  }
+
+  return keys;
+}
+
+/**
+ * Warm the search and tab caches for a list of queries
+ * @param options - Queries, target collection and load limits
+ * @returns Summary of warmed and failed keys
+ */
+export async function warmQueries(options: WarmOptions): Promise<WarmSummary> {
+  const startTime = Date.now();
+  const collection = options.collection || DEFAULT_COLLECTION;
+  const profile = options.profile || DEFAULT_PROFILE;
+  const tabs = options.tabs || POPULAR_TABS;
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+  const waitForSlot = createRateLimiter(options.ratePerSecond ?? DEFAULT_RATE_PER_SECOND);
+  const tabParams = getTabParams();
+
+  // Queries that share a cache key are warmed once
+  const uniqueQueries = new Map<string, string>();
+  options.queries.forEach(query => {
+    const normalized = normalizeQueryForCacheKey(query);
+    if (normalized && !uniqueQueries.has(normalized)) uniqueQueries.set(normalized, query.trim());
+  });
+  const queries = Array.from(uniqueQueries.values());
+
+  // One backend call per query for the general cache (shared with the Results tab) and per other tab
+  const tasks: WarmTask[] = [];
+  queries.forEach(query => {
+    const baseParams = { query, collection, profile, form: 'partial' };
+
+    if (!tabs.includes('Results')) {
+      tasks.push({ query, tabId: null, params: baseParams });
+    }
+
+    tabs.forEach(tabId => {
+      if (!tabParams[tabId]) {
+        logger.warn('No facet parameters known for tab, skipping', { tabId });
+        return;
+      }
+      tasks.push({ query, tabId, params: { ...baseParams, ...tabParams[tabId] } });
+    });
+  });
+
+  const apiClient = createApiClient(options.headers, { cacheAware: true });
+  const warmed: string[] = [];
+  const failed: WarmFailure[] = [];
+  let nextTask = 0;
+
+  const worker = async () => {
+    while (nextTask < tasks.length) {
+      const task = tasks[nextTask++];
+      await waitForSlot();
+
+      try {
+        warmed.push(...await warmTask(apiClient, task, collection, profile));
+      } catch (error) {
+        const key = task.tabId
+          ? generateTabCacheKey(task.query, collection, profile, task.tabId, task.params)
+          : generateSearchCacheKey(task.query, collection, profile, task.params);
+        const message = error instanceof Error ? error.message : String(error);
+
+        logger.error('Failed to warm key', { key, error });
+        failed.push({ key, error: message });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+
+  const summary: WarmSummary = {
+    collection,
+    queries: queries.length,
+    warmed,
+    failed,
+    durationMs: Date.now() - startTime
+  };
+
+  logger.info('Cache warmed', {
+    collection,
+    keys: warmed.length,
+    queryCount: queries.length,
+    failed: failed.length,
+    durationMs: summary.durationMs
+  });
+  return summary;
+}
+
+/**
+ * Warm the caches for the most popular queries
+ * @param n - Number of queries
+ * @param window - Popularity window to rank by
+ * @param options - Warm options other than the query list
+ * @returns Summary of warmed and failed keys
+ */
+export async function warmTopQueries(
+  n: number,
+  window: PopularityWindow = 'day',
+  options: Omit<WarmOptions, 'queries'> = {}
+): Promise<WarmSummary> {
+  const queries = (await getTopQueries(window, n)).map(entry => entry.query);
+  return warmQueries({ ...options, queries });
+}
@@ -4,39 +4,91 @@
  * This module provides Redis caching functionality for the frontend API,
  * improving performance by caching API responses. Includes enhanced
  * support for tab content caching and tiered TTL for popular queries.
+ * Search and tab entries carry a soft expiry so stale content can be
+ * served while a single, lock-guarded background refresh runs. Queries in
+ * keys go through the canonical normalizer shared with the browser, and
+ * result-affecting request parameters are folded into a params hash.
+ * Key listing, inspection and bulk deletion support the admin API, limited
+ * to the content and last known good namespaces. Entries
+ * produced before the latest crawl of their collection are treated as stale.
+ * Query popularity for TTL tiering lives in the shared store in
+ * query-popularity.ts. Without Redis, entries live in a bounded LRU
+ * (lru-cache.ts) sized by MEMORY_CACHE_MAX_ENTRIES and MEMORY_CACHE_MAX_BYTES.
+ * With CACHE_L1_ENABLED, a short-lived per-instance LRU sits in front of
+ * Redis; cleared keys are dropped from every instance's L1 via pub/sub.
+ * Redis values above CACHE_COMPRESSION_THRESHOLD bytes are stored brotli-
+ * or gzip-compressed and decoded transparently on read. While the Redis
+ * circuit breaker is open (redis-client.ts) every operation uses the
+ * in-memory cache instead. Search and tab writes of popular queries also
+ * refresh a long-lived "last known good" copy (lkg:) that is served when the
+ * backend fails and no regular entry is left. Cache operations are also counted in
+ * the shared service metrics (metrics.ts). Logging goes through the shared
+ * structured logger (logger.ts) at CACHE_LOG_LEVEL, with the query part of
+ * keys redacted.
  *
  * @author Victor Chimenti
- * @version 3.1.1
+ * @version 3.19.0
  * @license MIT
- * @lastModified 2026-01-20
+ * @lastModified 2026-10-19
  */
 
-import Redis from "ioredis";
-
-// Define log levels
-export enum LogLevel {
-  ERROR = 0,
-  WARN = 1,
-  INFO = 2,
-  DEBUG = 3,
-}
+import { createHash, randomBytes } from "crypto";
+import { promisify } from "util";
+import zlib from "zlib";
+import { normalizeQueryForCacheKey } from "./query-normalizer";
+import {
+  getRedisClient,
+  getRedisCircuitStats,
+  isRedisConfigured,
+} from "./redis-client";
+import { getIndexGeneration } from "./index-generation";
+import { LRUCache } from "./lru-cache";
+import { incrementCounter } from "./metrics";
+import { createLogger, LogLevel } from "./logger";
+import {
+  recordQueryHit,
+  getQueryScore,
+  getTopQueries,
+} from "./query-popularity";
+
+const logger = createLogger("cache", { levelEnv: "CACHE_LOG_LEVEL" });
+
+// Fallback in-memory cache for local development, bounded by entry count and size
+const memoryCache = new LRUCache<CacheEnvelope>({
+  maxEntries: parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES || "", 10) || 5000,
+  maxBytes:
+    parseInt(process.env.MEMORY_CACHE_MAX_BYTES || "", 10) || 64 * 1024 * 1024, // 64 MB
+  sweepIntervalMs: 60 * 1000,
+});
+
+// Optional per-instance L1 in front of Redis for the hottest keys
+const L1_ENABLED = process.env.CACHE_L1_ENABLED === "true";
+const L1_TTL = parseInt(process.env.CACHE_L1_TTL || "", 10) || 30; // seconds
+const l1Cache =
+  isRedisConfigured() && L1_ENABLED
+    ? new LRUCache<CacheEnvelope>({
+        maxEntries: parseInt(process.env.CACHE_L1_MAX_ENTRIES || "", 10) || 500,
+        maxBytes:
+          parseInt(process.env.CACHE_L1_MAX_BYTES || "", 10) ||
+          16 * 1024 * 1024, // 16 MB
+        sweepIntervalMs: 30 * 1000,
+      })
+    : null;
 
-// Set default log level (can be overridden via environment variable)
-const DEFAULT_LOG_LEVEL = LogLevel.INFO;
-let currentLogLevel = process.env.CACHE_LOG_LEVEL
-  ? parseInt(process.env.CACHE_LOG_LEVEL, 10)
-  : DEFAULT_LOG_LEVEL;
+// Redis values whose JSON is at least this large are stored compressed
+const COMPRESSION_THRESHOLD =
+  parseInt(process.env.CACHE_COMPRESSION_THRESHOLD || "", 10) || 4096; // bytes
+const COMPRESSION_ENCODING: CompressionEncoding =
+  process.env.CACHE_COMPRESSION === "gzip" ? "gzip" : "br";
 
-// Initialize Redis client
-// Updated code to use su_search_dev_012026 variables
-const redisClient = process.env.su_search_dev_012026_KV_URL
-  ? new Redis(process.env.su_search_dev_012026_KV_URL)
-  : process.env.su_search_dev_012026_REDIS_URL
-    ? new Redis(process.env.su_search_dev_012026_REDIS_URL)
-    : null;
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
 
-// Fallback in-memory cache for local development
-const memoryCache = new Map();
+// Pub/sub channel that tells every instance to drop cleared keys from its L1
+const INVALIDATION_CHANNEL = "cache:invalidate";
+const INSTANCE_ID = randomBytes(8).toString("hex");
 
 // Updated for daily crawl schedule (12-20 hours)
 const DEFAULT_TTL = 12 * 3600; // 12 hours
@@ -46,6 +98,53 @@ const SEARCH_DEFAULT_TTL = 12 * 3600; // 12 hours
 const SEARCH_POPULAR_TTL = 16 * 3600; // 16 hours
 const SEARCH_HIGH_VOLUME_TTL = 18 * 3600; // 18 hours
 
+// Stale-while-revalidate window kept past the soft expiry of search and tab entries
+const STALE_WHILE_REVALIDATE_TTL = process.env.CACHE_STALE_WINDOW
+  ? parseInt(process.env.CACHE_STALE_WINDOW, 10)
+  : 6 * 3600; // 6 hours
+
+// How long the last known good copy of search and tab content is kept
+const LAST_KNOWN_GOOD_TTL =
+  parseInt(process.env.CACHE_LKG_TTL || "", 10) || 7 * 24 * 3600; // 7 days
+const LAST_KNOWN_GOOD_PREFIX = "lkg:";
+
+// Minimum daily lookup score for a query to keep last known good copies;
+// rare queries would otherwise fill Redis with week-long copies
+const LAST_KNOWN_GOOD_MIN_SCORE = process.env.CACHE_LKG_MIN_SCORE
+  ? parseFloat(process.env.CACHE_LKG_MIN_SCORE)
+  : 5;
+
+// Lock held while a single background refresh runs for a key
+const REVALIDATE_LOCK_TTL = 30; // 30 seconds
+
+// Request parameters that never enter the params hash of a cache key:
+// the core key parts (all cached content is the partial form), per-user
+// identifiers and tracking parameters
+const CACHE_KEY_IGNORED_PARAMS = [
+  "query",
+  "collection",
+  "profile",
+  "form",
+  "format",
+  "sessionId",
+  "clientIp",
+  "prefetch",
+  "gclid",
+  "fbclid",
+  "msclkid",
+  "_",
+];
+const CACHE_KEY_IGNORED_PREFIXES = ["utm_"];
+
+// Prefixes of keys holding cached content (flushed after a crawl)
+const CONTENT_KEY_PREFIXES = ["search:", "tab:", "search-json:", "suggestions:"];
+
+// Prefixes the admin API may inspect and purge: cached content and its last
+// known good copies. Audit log, generations, popularity, suggestion rules and
+// click models stay out of reach
+const ADMIN_KEY_PREFIXES = [...CONTENT_KEY_PREFIXES, LAST_KNOWN_GOOD_PREFIX];
+const SCAN_BATCH_SIZE = 200;
+
 export {
   DEFAULT_TTL,
   TAB_CONTENT_TTL,
@@ -53,85 +152,126 @@ export {
   SEARCH_DEFAULT_TTL,
   SEARCH_POPULAR_TTL,
   SEARCH_HIGH_VOLUME_TTL,
+  STALE_WHILE_REVALIDATE_TTL,
+  LAST_KNOWN_GOOD_TTL,
 };
 
+/**
+ * Envelope stored around every cached value
+ * The hard expiry is the key TTL; staleAt is the soft expiry after which
+ * the value may still be served while a refresh runs in the background.
+ * generation is the collection's index generation at write time; entries
+ * from an older generation are stale as well
+ */
+interface CacheEnvelope {
+  __cacheEnvelope: 1;
+  createdAt: number;
+  staleAt: number | null;
+  generation?: number;
+  data: any;
+}
+
+type CompressionEncoding = "gzip" | "br";
+
+/**
+ * Envelope stored in Redis for values above the compression threshold
+ * payload is the base64-encoded compressed JSON of the data and
+ * originalSize its uncompressed length in bytes
+ */
+interface CompressedCacheEnvelope extends Omit<CacheEnvelope, "data"> {
+  encoding: CompressionEncoding;
+  originalSize: number;
+  payload: string;
+}
+
+/**
+ * Cache entry returned to callers that need freshness information
+ */
+export interface CacheEntry {
+  data: any;
+  createdAt: number | null;
+  generation: number | null;
+  stale: boolean;
+}
+
+/**
+ * Request parameters that may affect the cached content
+ */
+export type CacheKeyParams = Record<string, string | string[] | undefined>;
+
+/**
+ * Key listing entry for cache administration
+ */
+export interface CacheKeyInfo {
+  key: string;
+  ttl: number | null;
+  size: number;
+}
+
+/**
+ * Detailed view of a single cache entry for cache administration
+ */
+export interface CacheEntryDetails extends CacheKeyInfo {
+  createdAt: number | null;
+  stale: boolean;
+  data: any;
+  // Set when the value is stored compressed (size is then the stored size)
+  encoding?: CompressionEncoding;
+  originalSize?: number;
+}
+
+/**
+ * Options shared by cache read and write operations
+ */
+interface CacheAccessOptions {
+  trackMetrics?: boolean;
+  category?: "search" | "tabs" | "suggestions";
+  trackQuery?: string;
+  // Collection whose index generation decides freshness
+  collection?: string;
+}
+
 // Simple metrics tracking - doesn't affect existing cache behavior
 interface CacheMetrics {
   hits: number;
   misses: number;
   sets: number;
+  stale: number;
 }
 
 // In-memory metrics store (completely separate from cache)
 const metrics: {
   [key: string]: CacheMetrics;
 } = {
-  search: { hits: 0, misses: 0, sets: 0 },
-  tabs: { hits: 0, misses: 0, sets: 0 },
-  total: { hits: 0, misses: 0, sets: 0 },
+  search: { hits: 0, misses: 0, sets: 0, stale: 0 },
+  tabs: { hits: 0, misses: 0, sets: 0, stale: 0 },
+  total: { hits: 0, misses: 0, sets: 0, stale: 0 },
 };
 
-// Simple in-memory store for query popularity tracking
-const queryPopularity: {
-  [key: string]: {
-    count: number;
-    lastAccessed: number;
-  };
-} = {};
+// Locks held by this instance when Redis is not configured
+const memoryLocks = new Map<string, { token: string; expiry: number }>();
 
-/**
- * Logger function with level-based filtering
- * @param message - The message to log
- * @param level - The log level for this message
- * @param data - Optional data to include in the log
- */
-export function log(
-  message: string,
-  level: LogLevel = LogLevel.INFO,
-  data?: any,
-): void {
-  if (level <= currentLogLevel) {
-    const prefix = getLogPrefix(level);
-    if (data !== undefined) {
-      console.log(`${prefix} ${message}`, data);
-    } else {
-      console.log(`${prefix} ${message}`);
-    }
-  }
-}
+// Bytes written to Redis before and after compression
+const compressionMetrics = {
+  compressedWrites: 0,
+  uncompressedWrites: 0,
+  originalBytes: 0,
+  storedBytes: 0,
+};
 
-/**
- * Get the prefix for a log level
- * @param level - The log level
- * @returns The prefix string
- */
-function getLogPrefix(level: LogLevel): string {
-  switch (level) {
-    case LogLevel.ERROR:
-      return "[CACHE-ERROR]";
-    case LogLevel.WARN:
-      return "[CACHE-WARN]";
-    case LogLevel.INFO:
-      return "[CACHE-INFO]";
-    case LogLevel.DEBUG:
-      return "[CACHE-DEBUG]";
-    default:
-      return "[CACHE]";
-  }
-}
+// Lookups and time spent per tier (L1 = instance memory, L2 = Redis)
+const tierMetrics = {
+  l1: { hits: 0, misses: 0, totalMs: 0 },
+  l2: { hits: 0, misses: 0, totalMs: 0 },
+};
 
-/**
- * Set the current log level
- * @param level - The new log level
- */
-export function setLogLevel(level: LogLevel): void {
-  currentLogLevel = level;
-  log(`Log level set to ${LogLevel[level]}`, LogLevel.INFO);
-}
+// Keys with a background refresh already started by this instance
+const pendingRevalidations = new Set<string>();
 
 /**
  * Track a query hit for popularity metrics
- * Does not affect existing cache behavior
+ * Lookups (hits and misses) are counted in the shared popularity store;
+ * writes are not, so a miss followed by a set counts once
  * @param query - The query string
  * @param type - The type of operation (hit, miss, set)
  */
@@ -139,55 +279,36 @@ export function trackQueryHit(
   query: string,
   type: "hit" | "miss" | "set",
 ): void {
-  if (!query) return;
-
-  // Normalize query for consistency
-  const normalizedQuery = query.trim().toLowerCase();
+  if (!query || type === "set") return;
 
-  // Initialize if not exists
-  if (!queryPopularity[normalizedQuery]) {
-    queryPopularity[normalizedQuery] = {
-      count: 0,
-      lastAccessed: Date.now(),
-    };
-  }
-
-  // Increment hit count and update timestamp
-  queryPopularity[normalizedQuery].count += 1;
-  queryPopularity[normalizedQuery].lastAccessed = Date.now();
+  // Non-blocking: popularity never delays a cache operation
+  recordQueryHit(query).catch(() => undefined);
 
   // Log at DEBUG level
-  log(
-    `Query "${normalizedQuery}" hit count: ${queryPopularity[normalizedQuery].count} (${type})`,
-    LogLevel.DEBUG,
-  );
+  logger.debug("Query counted", { query, type });
 }
 
 /**
- * Get recommended TTL for a query based on its popularity
+ * Get recommended TTL for a query based on its popularity over the last day
  * @param query - The query string
  * @param defaultTtl - Default TTL to use if not a popular query
  * @returns Appropriate TTL in seconds
  */
-export function getRecommendedTtl(
+export async function getRecommendedTtl(
   query: string,
   defaultTtl: number = SEARCH_DEFAULT_TTL,
-): number {
+): Promise<number> {
   if (!query) return defaultTtl;
 
-  // Normalize query for consistency
-  const normalizedQuery = query.trim().toLowerCase();
-
-  // Get popularity data
-  const popularity = queryPopularity[normalizedQuery];
-  if (!popularity) return defaultTtl;
+  // Decayed lookup count shared across instances
+  const score = await getQueryScore(query, "day");
 
   // Determine TTL based on popularity thresholds
-  if (popularity.count >= 20) {
-    // High volume query (20+ hits) - 1 hour
+  if (score >= 20) {
+    // High volume query (20+ recent lookups)
     return SEARCH_HIGH_VOLUME_TTL;
-  } else if (popularity.count >= 5) {
-    // Popular query (5+ hits) - 30 minutes
+  } else if (score >= 5) {
+    // Popular query (5+ recent lookups)
     return SEARCH_POPULAR_TTL;
   }
 
@@ -199,15 +320,17 @@ export function getRecommendedTtl(
  * Update cache metrics for tracking
  * Completely separate from the core caching functionality
  * @param category - The category of operation (search, tabs, etc)
- * @param operation - The operation type (hit, miss, set)
+ * @param operation - The operation type (hit, miss, set, stale)
  */
 export function updateCacheMetrics(
-  category: "search" | "tabs",
-  operation: "hit" | "miss" | "set",
+  category: "search" | "tabs" | "suggestions",
+  operation: "hit" | "miss" | "set" | "stale",
 ): void {
+  incrementCounter("cache_operations", { category, result: operation });
+
   // Update category-specific metrics
   if (!metrics[category]) {
-    metrics[category] = { hits: 0, misses: 0, sets: 0 };
+    metrics[category] = { hits: 0, misses: 0, sets: 0, stale: 0 };
   }
 
   // Map operation string to the corresponding property name in CacheMetrics
@@ -216,6 +339,8 @@ export function updateCacheMetrics(
     propertyName = "hits";
   } else if (operation === "miss") {
     propertyName = "misses";
+  } else if (operation === "stale") {
+    propertyName = "stale";
   } else {
     // operation === 'set'
     propertyName = "sets";
@@ -226,10 +351,11 @@ export function updateCacheMetrics(
   metrics.total[propertyName] += 1;
 
   // Log at DEBUG level
-  log(
-    `${category} ${operation} - Total: ${metrics[category][propertyName]}`,
-    LogLevel.DEBUG,
-  );
+  logger.debug("Cache metrics updated", {
+    category,
+    operation,
+    total: metrics[category][propertyName],
+  });
 }
 
 /**
@@ -237,7 +363,7 @@ export function updateCacheMetrics(
  * @returns Basic cache statistics
  */
 export function getCacheHitRate(
-  category: "search" | "tabs" | "total" = "total",
+  category: "search" | "tabs" | "suggestions" | "total" = "total",
 ): number | null {
   const categoryMetrics = metrics[category];
   if (!categoryMetrics) return null;
@@ -249,19 +375,275 @@ export function getCacheHitRate(
 }
 
 /**
- * Get data from cache with optional metrics tracking
+ * Wrap data in a cache envelope
+ * @param data - Data to cache
+ * @param staleAfterSeconds - Optional soft expiry in seconds
+ * @param generation - Optional index generation the data was produced under
+ * @returns Envelope to store
+ */
+function wrapEnvelope(
+  data: any,
+  staleAfterSeconds?: number,
+  generation?: number,
+): CacheEnvelope {
+  const createdAt = Date.now();
+
+  return {
+    __cacheEnvelope: 1,
+    createdAt,
+    staleAt: staleAfterSeconds ? createdAt + staleAfterSeconds * 1000 : null,
+    ...(generation !== undefined ? { generation } : {}),
+    data,
+  };
+}
+
+/**
+ * Unwrap a stored value into a cache entry
+ * Values written before envelopes were introduced are fresh unless a newer
+ * index generation exists
+ * @param value - Stored value
+ * @param currentGeneration - Current index generation of the entry's collection
+ * @returns Cache entry
+ */
+function unwrapEnvelope(value: any, currentGeneration?: number): CacheEntry {
+  const outdated = (generation: number | undefined) =>
+    currentGeneration !== undefined && currentGeneration > (generation || 0);
+
+  if (value && typeof value === "object" && value.__cacheEnvelope === 1) {
+    return {
+      data: value.data,
+      createdAt: value.createdAt || null,
+      generation: value.generation ?? null,
+      stale:
+        (!!value.staleAt && value.staleAt <= Date.now()) ||
+        outdated(value.generation),
+    };
+  }
+
+  return {
+    data: value,
+    createdAt: null,
+    generation: null,
+    stale: outdated(undefined),
+  };
+}
+
+/**
+ * Serialize an envelope for Redis, compressing the data above the threshold
+ * @param envelope - Envelope to store
+ * @returns Stored value and the uncompressed JSON size
+ */
+async function encodeEnvelope(
+  envelope: CacheEnvelope,
+): Promise<{ value: string; originalSize: number }> {
+  const serialized = JSON.stringify(envelope);
+  const originalSize = Buffer.byteLength(serialized);
+
+  if (originalSize < COMPRESSION_THRESHOLD) {
+    compressionMetrics.uncompressedWrites += 1;
+    compressionMetrics.originalBytes += originalSize;
+    compressionMetrics.storedBytes += originalSize;
+    return { value: serialized, originalSize };
+  }
+
+  const { data, ...header } = envelope;
+  const json = Buffer.from(JSON.stringify(data));
+  const compressed =
+    COMPRESSION_ENCODING === "gzip"
+      ? await gzip(json)
+      : await brotliCompress(json, {
+          params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 },
+        });
+
+  const stored: CompressedCacheEnvelope = {
+    ...header,
+    encoding: COMPRESSION_ENCODING,
+    originalSize: json.length,
+    payload: compressed.toString("base64"),
+  };
+  const value = JSON.stringify(stored);
+
+  compressionMetrics.compressedWrites += 1;
+  compressionMetrics.originalBytes += originalSize;
+  compressionMetrics.storedBytes += Buffer.byteLength(value);
+  return { value, originalSize };
+}
+
+/**
+ * Parse a value read from Redis, decompressing compressed envelopes
+ * Uncompressed envelopes and values from before envelopes are returned as-is
+ * @param raw - Stored string
+ * @returns Decoded value and its uncompressed size
+ */
+async function decodeStoredValue(
+  raw: string,
+): Promise<{ value: any; size: number; encoding?: CompressionEncoding }> {
+  const parsed = JSON.parse(raw);
+
+  if (!parsed || parsed.__cacheEnvelope !== 1 || !parsed.encoding) {
+    return { value: parsed, size: Buffer.byteLength(raw) };
+  }
+
+  const { encoding, originalSize, payload, ...header } =
+    parsed as CompressedCacheEnvelope;
+  const compressed = Buffer.from(payload, "base64");
+  const json =
+    encoding === "gzip"
+      ? await gunzip(compressed)
+      : await brotliDecompress(compressed);
+
+  return {
+    value: { ...header, data: JSON.parse(json.toString("utf8")) },
+    size: originalSize,
+    encoding,
+  };
+}
+
+/**
+ * Record metrics and query popularity for a cache lookup
+ * @param result - Lookup result
+ * @param query - Query extracted for popularity tracking
+ * @param options - Access options
+ */
+function recordLookup(
+  result: "hit" | "miss" | "stale",
+  query: string,
+  options: CacheAccessOptions,
+): void {
+  // Stale entries are served, so they count as hits as well
+  if (options.trackMetrics && options.category) {
+    updateCacheMetrics(options.category, result === "miss" ? "miss" : "hit");
+    if (result === "stale") {
+      updateCacheMetrics(options.category, "stale");
+    }
+  }
+
+  // Track query popularity if we have a query
+  if (query && options.trackMetrics) {
+    trackQueryHit(query, result === "miss" ? "miss" : "hit");
+  }
+}
+
+/**
+ * Record a lookup against a cache tier
+ * @param tier - L1 (instance memory) or L2 (Redis)
+ * @param hit - Whether the tier held the key
+ * @param startedAt - performance.now() at the start of the lookup
+ */
+function recordTierLookup(
+  tier: "l1" | "l2",
+  hit: boolean,
+  startedAt: number,
+): void {
+  tierMetrics[tier][hit ? "hits" : "misses"] += 1;
+  tierMetrics[tier].totalMs += performance.now() - startedAt;
+}
+
+/**
+ * Get hit rate and average lookup latency for a cache tier
+ * @param tier - L1 (instance memory) or L2 (Redis)
+ * @returns Tier statistics
+ */
+function getTierStats(tier: "l1" | "l2"): {
+  hits: number;
+  misses: number;
+  hitRate: number | null;
+  avgLatencyMs: number | null;
+} {
+  const { hits, misses, totalMs } = tierMetrics[tier];
+  const lookups = hits + misses;
+
+  return {
+    hits,
+    misses,
+    hitRate: lookups > 0 ? (hits / lookups) * 100 : null,
+    avgLatencyMs: lookups > 0 ? totalMs / lookups : null,
+  };
+}
+
+/**
+ * Drop keys from this instance's L1
+ * @param message - Keys and/or glob pattern to drop
+ */
+function evictFromL1(message: { keys?: string[]; pattern?: string }): void {
+  if (!l1Cache) return;
+
+  message.keys?.forEach((key) => l1Cache.delete(key));
+
+  if (message.pattern) {
+    const regex = globToRegExp(message.pattern);
+    l1Cache.keys().forEach((key) => {
+      if (regex.test(key)) l1Cache.delete(key);
+    });
+  }
+}
+
+/**
+ * Drop keys from the L1 of this and every other instance
+ * @param message - Keys and/or glob pattern to drop
+ */
+async function invalidateL1(message: {
+  keys?: string[];
+  pattern?: string;
+}): Promise<void> {
+  const redisClient = getRedisClient();
+  if (!l1Cache || !redisClient) return;
+
+  evictFromL1(message);
+
+  try {
+    await redisClient.publish(
+      INVALIDATION_CHANNEL,
+      JSON.stringify({ origin: INSTANCE_ID, ...message }),
+    );
+  } catch (error) {
+    logger.warn("Failed to publish L1 invalidation", { error });
+  }
+}
+
+/**
+ * Listen for L1 invalidations published by other instances
+ * Pub/sub needs a dedicated connection, so the shared client is duplicated
+ */
+function subscribeToInvalidations(): void {
+  const redisClient = getRedisClient();
+  if (!l1Cache || !redisClient) return;
+
+  const subscriber = redisClient.duplicate();
+
+  subscriber.on("message", (channel: string, raw: string) => {
+    if (channel !== INVALIDATION_CHANNEL) return;
+
+    try {
+      const message = JSON.parse(raw);
+      if (message.origin === INSTANCE_ID) return;
+
+      evictFromL1(message);
+      logger.debug("L1 invalidation received", message);
+    } catch (error) {
+      logger.warn("Ignoring malformed L1 invalidation", { error });
+    }
+  });
+
+  subscriber.subscribe(INVALIDATION_CHANNEL).catch((error: Error) => {
+    logger.error("Failed to subscribe to L1 invalidations", { error });
+  });
+}
+
+subscribeToInvalidations();
+
+/**
+ * Get a cache entry with freshness information and optional metrics tracking
+ * Entries past their soft expiry are returned with stale set to true
  * @param key - Cache key
  * @param options - Optional parameters including which metrics category to update
- * @returns Cached data or null if not found
+ * @returns Cache entry or null if not found
  */
-export async function getCachedData(
+export async function getCachedEntry(
   key: string,
-  options: {
-    trackMetrics?: boolean;
-    category?: "search" | "tabs";
-    trackQuery?: string;
-  } = {},
-): Promise<any> {
+  options: CacheAccessOptions = {},
+): Promise<CacheEntry | null> {
+  const redisClient = getRedisClient();
   try {
     // Extract query from key for tracking if needed
     let query = "";
@@ -273,99 +655,114 @@ export async function getCachedData(
       query = key.split(":")[1] || "";
     }
 
+    // Entries from before the latest crawl of their collection are stale
+    const currentGeneration = options.collection
+      ? await getIndexGeneration(options.collection)
+      : undefined;
+
     // Try Redis first if available
     if (redisClient) {
-      const cachedData = await redisClient.get(key);
-      if (cachedData) {
-        // Cache hit - track metrics if requested
-        if (options.trackMetrics && options.category) {
-          updateCacheMetrics(options.category, "hit");
-        }
-
-        // Track query popularity if we have a query
-        if (query && options.trackMetrics) {
-          trackQueryHit(query, "hit");
+      // The L1 only serves fresh entries; stale ones go to Redis for the latest copy
+      if (l1Cache) {
+        const l1StartedAt = performance.now();
+        const l1Data = l1Cache.get(key);
+        const l1Entry =
+          l1Data !== undefined
+            ? unwrapEnvelope(l1Data, currentGeneration)
+            : null;
+
+        if (l1Entry && l1Entry.stale) l1Cache.delete(key);
+        recordTierLookup("l1", !!l1Entry && !l1Entry.stale, l1StartedAt);
+
+        if (l1Entry && !l1Entry.stale) {
+          recordLookup("hit", query, options);
+
+          logger.info("Cache hit", { key, tier: "l1" });
+          return l1Entry;
         }
-
-        log(`HIT for ${key}`, LogLevel.INFO);
-        return JSON.parse(cachedData);
-      }
-
-      // Cache miss - track metrics if requested
-      if (options.trackMetrics && options.category) {
-        updateCacheMetrics(options.category, "miss");
-      }
-
-      // Track query popularity for misses too
-      if (query && options.trackMetrics) {
-        trackQueryHit(query, "miss");
       }
 
-      log(`MISS for ${key}`, LogLevel.INFO);
-      return null;
-    }
+      const l2StartedAt = performance.now();
+      const cachedData = await redisClient.get(key);
+      recordTierLookup("l2", !!cachedData, l2StartedAt);
 
-    // Fall back to memory cache
-    if (memoryCache.has(key)) {
-      const { data, expiry } = memoryCache.get(key);
-      if (expiry > Date.now()) {
-        // Cache hit - track metrics if requested
-        if (options.trackMetrics && options.category) {
-          updateCacheMetrics(options.category, "hit");
-        }
+      if (cachedData) {
+        const { value: envelope, size } = await decodeStoredValue(cachedData);
+        const entry = unwrapEnvelope(envelope, currentGeneration);
+        recordLookup(entry.stale ? "stale" : "hit", query, options);
 
-        // Track query popularity if we have a query
-        if (query && options.trackMetrics) {
-          trackQueryHit(query, "hit");
+        // L1 holds the decoded envelope so hits skip decompression
+        if (l1Cache && !entry.stale) {
+          l1Cache.set(key, envelope, L1_TTL, size);
         }
 
-        log(`HIT for ${key} (memory cache)`, LogLevel.INFO);
-        return data;
+        logger.info(entry.stale ? "Cache stale hit" : "Cache hit", {
+          key,
+          tier: "redis",
+        });
+        return entry;
       }
 
-      // Expired data
-      memoryCache.delete(key);
-    }
+      recordLookup("miss", query, options);
 
-    // Cache miss - track metrics if requested
-    if (options.trackMetrics && options.category) {
-      updateCacheMetrics(options.category, "miss");
+      logger.info("Cache miss", { key, tier: "redis" });
+      return null;
     }
 
-    // Track query popularity for misses too
-    if (query && options.trackMetrics) {
-      trackQueryHit(query, "miss");
+    // Fall back to memory cache (expired entries are dropped on access)
+    const data = memoryCache.get(key);
+    if (data !== undefined) {
+      const entry = unwrapEnvelope(data, currentGeneration);
+      recordLookup(entry.stale ? "stale" : "hit", query, options);
+
+      logger.info(entry.stale ? "Cache stale hit" : "Cache hit", {
+        key,
+        tier: "memory",
+      });
+      return entry;
     }
 
-    log(`MISS for ${key} (memory cache)`, LogLevel.INFO);
+    recordLookup("miss", query, options);
+
+    logger.info("Cache miss", { key, tier: "memory" });
     return null;
   } catch (error) {
-    log(
-      `Error retrieving from cache: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Error retrieving from cache", { error });
     return null;
   }
 }
 
+/**
+ * Get data from cache with optional metrics tracking
+ * Stale entries are returned as well; use getCachedEntry to tell them apart
+ * @param key - Cache key
+ * @param options - Optional parameters including which metrics category to update
+ * @returns Cached data or null if not found
+ */
+export async function getCachedData(
+  key: string,
+  options: CacheAccessOptions = {},
+): Promise<any> {
+  const entry = await getCachedEntry(key, options);
+  return entry ? entry.data : null;
+}
+
 /**
  * Set data in cache with optional metrics tracking
  * @param key - Cache key
  * @param data - Data to cache
- * @param ttlSeconds - Time to live in seconds
+ * @param ttlSeconds - Time to live in seconds (hard expiry)
  * @param options - Optional parameters including which metrics category to update
+ *   and the soft expiry after which the entry is served as stale
  * @returns Whether the operation was successful
  */
 export async function setCachedData(
   key: string,
   data: any,
   ttlSeconds: number = DEFAULT_TTL,
-  options: {
-    trackMetrics?: boolean;
-    category?: "search" | "tabs";
-    trackQuery?: string;
-  } = {},
+  options: CacheAccessOptions & { staleAfterSeconds?: number } = {},
 ): Promise<boolean> {
+  const redisClient = getRedisClient();
   try {
     // Extract query from key for tracking if needed
     let query = "";
@@ -377,11 +774,16 @@ export async function setCachedData(
       query = key.split(":")[1] || "";
     }
 
-    const serializedData = JSON.stringify(data);
+    const generation = options.collection
+      ? await getIndexGeneration(options.collection)
+      : undefined;
+    const envelope = wrapEnvelope(data, options.staleAfterSeconds, generation);
 
     // Try Redis first if available
     if (redisClient) {
-      await redisClient.set(key, serializedData, "EX", ttlSeconds);
+      const { value, originalSize } = await encodeEnvelope(envelope);
+      await redisClient.set(key, value, "EX", ttlSeconds);
+      l1Cache?.set(key, envelope, Math.min(L1_TTL, ttlSeconds), originalSize);
 
       // Track metrics if requested
       if (options.trackMetrics && options.category) {
@@ -393,15 +795,16 @@ export async function setCachedData(
         trackQueryHit(query, "set");
       }
 
-      log(`SET for ${key} with TTL ${ttlSeconds}s`, LogLevel.INFO);
+      logger.info("Cache set", { key, ttlSeconds, tier: "redis" });
       return true;
     }
 
-    // Fall back to memory cache
-    memoryCache.set(key, {
-      data,
-      expiry: Date.now() + ttlSeconds * 1000,
-    });
+    // Fall back to memory cache, which may evict older entries to make room
+    const size = Buffer.byteLength(JSON.stringify(envelope));
+    if (!memoryCache.set(key, envelope, ttlSeconds, size)) {
+      logger.warn("Entry too large for memory cache", { key, size });
+      return false;
+    }
 
     // Track metrics if requested
     if (options.trackMetrics && options.category) {
@@ -413,13 +816,10 @@ export async function setCachedData(
       trackQueryHit(query, "set");
     }
 
-    log(`SET for ${key} with TTL ${ttlSeconds}s (memory cache)`, LogLevel.INFO);
+    logger.info("Cache set", { key, ttlSeconds, tier: "memory" });
     return true;
   } catch (error) {
-    log(
-      `Cache set error: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Cache set error", { error });
     return false;
   }
 }
@@ -430,56 +830,192 @@ export async function setCachedData(
  * @returns Whether the operation was successful
  */
 export async function clearCachedData(key: string): Promise<boolean> {
+  const redisClient = getRedisClient();
   try {
     // Clear from Redis if available
     if (redisClient) {
       if (key.includes("*")) {
         // Pattern delete
-        const keys = await redisClient.keys(key);
-        if (keys.length > 0) {
-          await redisClient.del(keys);
-          log(
-            `Cleared ${keys.length} keys matching pattern: ${key}`,
-            LogLevel.INFO,
-          );
-        } else {
-          log(`No keys found matching pattern: ${key}`, LogLevel.INFO);
-        }
+        await deleteCacheKeysByPattern(key);
       } else {
         // Single key delete
         const result = await redisClient.del(key);
-        log(`Cleared key: ${key}, result: ${result}`, LogLevel.INFO);
+        await invalidateL1({ keys: [key] });
+        logger.info("Cache key cleared", { key, deleted: result });
       }
       return true;
     }
 
     // Clear from memory cache
     if (key.includes("*")) {
-      const pattern = new RegExp(key.replace("*", ".*"));
-      let count = 0;
-      for (const k of memoryCache.keys()) {
-        if (pattern.test(k)) {
-          memoryCache.delete(k);
-          count++;
-        }
-      }
-      log(
-        `Cleared ${count} keys matching pattern: ${key} (memory cache)`,
-        LogLevel.INFO,
-      );
+      await deleteCacheKeysByPattern(key);
     } else {
       memoryCache.delete(key);
-      log(`Cleared key: ${key} (memory cache)`, LogLevel.INFO);
+      logger.info("Cache key cleared", { key, tier: "memory" });
     }
 
     return true;
   } catch (error) {
-    log(
-      `Cache clear error: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Cache clear error", { error });
+    return false;
+  }
+}
+
+/**
+ * Acquire a short-lived lock shared across instances
+ * @param name - Lock name
+ * @param ttlSeconds - Lock lifetime in seconds
+ * @returns Lock token when acquired, or null if another holder has it
+ */
+export async function acquireCacheLock(
+  name: string,
+  ttlSeconds: number = REVALIDATE_LOCK_TTL,
+): Promise<string | null> {
+  const redisClient = getRedisClient();
+  const lockKey = `lock:${name}`;
+  const token = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+
+  try {
+    if (redisClient) {
+      const result = await redisClient.set(
+        lockKey,
+        token,
+        "EX",
+        ttlSeconds,
+        "NX",
+      );
+      return result === "OK" ? token : null;
+    }
+
+    const existing = memoryLocks.get(lockKey);
+    if (existing && existing.expiry > Date.now()) {
+      return null;
+    }
+
+    memoryLocks.set(lockKey, { token, expiry: Date.now() + ttlSeconds * 1000 });
+    return token;
+  } catch (error) {
+    logger.error("Lock acquire error", { error });
+    return null;
+  }
+}
+
+/**
+ * Release a lock if it is still held with the given token
+ * @param name - Lock name
+ * @param token - Token returned by acquireCacheLock
+ */
+export async function releaseCacheLock(
+  name: string,
+  token: string,
+): Promise<void> {
+  const redisClient = getRedisClient();
+  const lockKey = `lock:${name}`;
+
+  try {
+    if (redisClient) {
+      // Compare-and-delete so an expired lock taken over by another holder survives
+      await redisClient.eval(
+        'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end',
+        1,
+        lockKey,
+        token,
+      );
+      return;
+    }
+
+    const existing = memoryLocks.get(lockKey);
+    if (existing && existing.token === token) {
+      memoryLocks.delete(lockKey);
+    }
+  } catch (error) {
+    logger.error("Lock release error", { error });
+  }
+}
+
+/**
+ * Refresh a stale entry in the background
+ * At most one refresh runs per key: concurrent callers on this instance are
+ * ignored and other instances are held off by a Redis lock
+ * @param key - Cache key being refreshed
+ * @param refresh - Function that fetches and stores fresh data
+ * @returns Whether a refresh was started by this call
+ */
+export function revalidateInBackground(
+  key: string,
+  refresh: () => Promise<unknown>,
+): boolean {
+  if (pendingRevalidations.has(key)) {
+    logger.debug("Refresh already pending", { key });
     return false;
   }
+
+  pendingRevalidations.add(key);
+
+  (async () => {
+    const token = await acquireCacheLock(`revalidate:${key}`);
+    if (!token) {
+      logger.debug("Refresh held by another instance", { key });
+      return;
+    }
+
+    try {
+      await refresh();
+      logger.info("Background refresh completed", { key });
+    } catch (error) {
+      logger.error("Background refresh failed", { key, error });
+    } finally {
+      await releaseCacheLock(`revalidate:${key}`, token);
+    }
+  })().finally(() => pendingRevalidations.delete(key));
+
+  return true;
+}
+
+/**
+ * Generate a short, order-independent hash of the result-affecting parameters
+ * Ignored parameters (see CACHE_KEY_IGNORED_PARAMS) and empty values are dropped;
+ * repeated values are sorted so facet selection order does not matter
+ * @param params - Request parameters
+ * @returns Hash string, or an empty string when no parameters remain
+ */
+export function generateParamsHash(params?: CacheKeyParams): string {
+  if (!params) return "";
+
+  const parts = Object.keys(params)
+    .filter(
+      (key) =>
+        !CACHE_KEY_IGNORED_PARAMS.includes(key) &&
+        !CACHE_KEY_IGNORED_PREFIXES.some((prefix) => key.startsWith(prefix)),
+    )
+    .sort()
+    .map((key) => {
+      const raw = params[key];
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .filter((value): value is string => value !== undefined && value !== "")
+        .map((value) => String(value).trim())
+        .sort();
+
+      return values.length > 0
+        ? `${encodeURIComponent(key)}=${values.map(encodeURIComponent).join(",")}`
+        : "";
+    })
+    .filter(Boolean);
+
+  if (parts.length === 0) return "";
+
+  return createHash("sha1").update(parts.join("&")).digest("hex").substring(0, 12);
+}
+
+/**
+ * Append the params hash to a cache key when there is one
+ * @param key - Base cache key
+ * @param params - Request parameters
+ * @returns Cache key, unchanged when no result-affecting parameters remain
+ */
+function withParamsHash(key: string, params?: CacheKeyParams): string {
+  const hash = generateParamsHash(params);
+  return hash ? `${key}:p${hash}` : key;
 }
 
 /**
@@ -487,19 +1023,24 @@ export async function clearCachedData(key: string): Promise<boolean> {
  * @param query - Search query
  * @param collection - Collection name
  * @param profile - Profile name
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Formatted cache key
  */
 export function generateSearchCacheKey(
   query: string,
   collection: string,
   profile: string,
+  params?: CacheKeyParams,
 ): string {
   // Normalize for consistent keys
-  const normalizedQuery = (query || "").trim().toLowerCase();
+  const normalizedQuery = normalizeQueryForCacheKey(query);
   const normalizedCollection = (collection || "default").trim();
   const normalizedProfile = (profile || "default").trim();
 
-  return `search:${normalizedQuery}:${normalizedCollection}:${normalizedProfile}`;
+  return withParamsHash(
+    `search:${normalizedQuery}:${normalizedCollection}:${normalizedProfile}`,
+    params,
+  );
 }
 
 /**
@@ -508,6 +1049,7 @@ export function generateSearchCacheKey(
  * @param collection - Collection name
  * @param profile - Profile name
  * @param tabId - Tab identifier
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Formatted tab cache key
  */
 export function generateTabCacheKey(
@@ -515,38 +1057,94 @@ export function generateTabCacheKey(
   collection: string,
   profile: string,
   tabId: string,
+  params?: CacheKeyParams,
 ): string {
   // Normalize for consistent keys
-  const normalizedQuery = (query || "").trim().toLowerCase();
+  const normalizedQuery = normalizeQueryForCacheKey(query);
   const normalizedCollection = (collection || "default").trim();
   const normalizedProfile = (profile || "default").trim();
   const normalizedTabId = (tabId || "default").trim();
 
-  return `tab:${normalizedQuery}:${normalizedCollection}:${normalizedProfile}:${normalizedTabId}`;
+  return withParamsHash(
+    `tab:${normalizedQuery}:${normalizedCollection}:${normalizedProfile}:${normalizedTabId}`,
+    params,
+  );
 }
 
 /**
- * Get tab content from cache
+ * Generate a cache key for the structured (JSON) search response model
+ * Uses a distinct namespace so parsed models never collide with raw HTML entries
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param tabId - Optional tab identifier (defaults to all results)
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Formatted JSON cache key
+ */
+export function generateSearchJsonCacheKey(
+  query: string,
+  collection: string,
+  profile: string,
+  tabId?: string | null,
+  params?: CacheKeyParams,
+): string {
+  // Normalize for consistent keys
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+  const normalizedCollection = (collection || "default").trim();
+  const normalizedProfile = (profile || "default").trim();
+  const normalizedTabId = (tabId || "all").trim();
+
+  return withParamsHash(
+    `search-json:${normalizedQuery}:${normalizedCollection}:${normalizedProfile}:${normalizedTabId}`,
+    params,
+  );
+}
+
+/**
+ * Get a tab content entry from cache, including whether it is stale
  * @param query - Search query
  * @param collection - Collection name
  * @param profile - Profile name
  * @param tabId - Tab identifier
- * @returns Cached tab content or null if not found
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Cached tab entry or null if not found
  */
-export async function getCachedTabContent(
+export async function getCachedTabEntry(
   query: string,
   collection: string,
   profile: string,
   tabId: string,
-): Promise<any> {
-  const cacheKey = generateTabCacheKey(query, collection, profile, tabId);
-  return getCachedData(cacheKey, {
+  params?: CacheKeyParams,
+): Promise<CacheEntry | null> {
+  const cacheKey = generateTabCacheKey(query, collection, profile, tabId, params);
+  return getCachedEntry(cacheKey, {
     trackMetrics: true,
     category: "tabs",
     trackQuery: query,
+    collection,
   });
 }
 
+/**
+ * Get tab content from cache
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param tabId - Tab identifier
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Cached tab content or null if not found
+ */
+export async function getCachedTabContent(
+  query: string,
+  collection: string,
+  profile: string,
+  tabId: string,
+  params?: CacheKeyParams,
+): Promise<any> {
+  const entry = await getCachedTabEntry(query, collection, profile, tabId, params);
+  return entry ? entry.data : null;
+}
+
 /**
  * Set tab content in cache
  * @param query - Search query
@@ -555,6 +1153,7 @@ export async function getCachedTabContent(
  * @param tabId - Tab identifier
  * @param content - Tab content to cache
  * @param isPopular - Whether this is a popular tab (affects TTL)
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Whether the operation was successful
  */
 export async function setCachedTabContent(
@@ -564,14 +1163,49 @@ export async function setCachedTabContent(
   tabId: string,
   content: any,
   isPopular: boolean = false,
+  params?: CacheKeyParams,
 ): Promise<boolean> {
-  const cacheKey = generateTabCacheKey(query, collection, profile, tabId);
+  const cacheKey = generateTabCacheKey(query, collection, profile, tabId, params);
   const ttl = isPopular ? POPULAR_TAB_TTL : TAB_CONTENT_TTL;
 
-  return setCachedData(cacheKey, content, ttl, {
+  // The tiered TTL is the soft expiry; the entry lives on for the stale window
+  const stored = await setCachedData(
+    cacheKey,
+    content,
+    ttl + STALE_WHILE_REVALIDATE_TTL,
+    {
+      trackMetrics: true,
+      category: "tabs",
+      trackQuery: query,
+      collection,
+      staleAfterSeconds: ttl,
+    },
+  );
+
+  await setLastKnownGood(cacheKey, content, query);
+  return stored;
+}
+
+/**
+ * Get a search results entry from cache, including whether it is stale
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Cached search entry or null if not found
+ */
+export async function getCachedSearchEntry(
+  query: string,
+  collection: string,
+  profile: string,
+  params?: CacheKeyParams,
+): Promise<CacheEntry | null> {
+  const cacheKey = generateSearchCacheKey(query, collection, profile, params);
+  return getCachedEntry(cacheKey, {
     trackMetrics: true,
-    category: "tabs",
+    category: "search",
     trackQuery: query,
+    collection,
   });
 }
 
@@ -580,19 +1214,17 @@ export async function setCachedTabContent(
  * @param query - Search query
  * @param collection - Collection name
  * @param profile - Profile name
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Cached search results or null if not found
  */
 export async function getCachedSearchResults(
   query: string,
   collection: string,
   profile: string,
+  params?: CacheKeyParams,
 ): Promise<any> {
-  const cacheKey = generateSearchCacheKey(query, collection, profile);
-  return getCachedData(cacheKey, {
-    trackMetrics: true,
-    category: "search",
-    trackQuery: query,
-  });
+  const entry = await getCachedSearchEntry(query, collection, profile, params);
+  return entry ? entry.data : null;
 }
 
 /**
@@ -602,6 +1234,7 @@ export async function getCachedSearchResults(
  * @param profile - Profile name
  * @param content - Search results to cache
  * @param ttlSeconds - Optional override for TTL in seconds
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Whether the operation was successful
  */
 export async function setCachedSearchResults(
@@ -610,29 +1243,160 @@ export async function setCachedSearchResults(
   profile: string,
   content: any,
   ttlSeconds?: number,
+  params?: CacheKeyParams,
 ): Promise<boolean> {
-  const cacheKey = generateSearchCacheKey(query, collection, profile);
+  const cacheKey = generateSearchCacheKey(query, collection, profile, params);
 
   // If no TTL provided, use recommended TTL based on query popularity
-  const ttl = ttlSeconds || getRecommendedTtl(query);
+  const ttl = ttlSeconds || (await getRecommendedTtl(query));
+
+  // The tiered TTL is the soft expiry; the entry lives on for the stale window
+  const stored = await setCachedData(
+    cacheKey,
+    content,
+    ttl + STALE_WHILE_REVALIDATE_TTL,
+    {
+      trackMetrics: true,
+      category: "search",
+      trackQuery: query,
+      collection,
+      staleAfterSeconds: ttl,
+    },
+  );
+
+  await setLastKnownGood(cacheKey, content, query);
+  return stored;
+}
 
-  return setCachedData(cacheKey, content, ttl, {
+/**
+ * Get a structured search response model entry, including whether it is stale
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param tabId - Optional tab identifier
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Cached model entry or null if not found
+ */
+export async function getCachedSearchJsonEntry(
+  query: string,
+  collection: string,
+  profile: string,
+  tabId?: string | null,
+  params?: CacheKeyParams,
+): Promise<CacheEntry | null> {
+  const cacheKey = generateSearchJsonCacheKey(query, collection, profile, tabId, params);
+  return getCachedEntry(cacheKey, {
     trackMetrics: true,
     category: "search",
     trackQuery: query,
+    collection,
   });
 }
 
+/**
+ * Get a structured search response model from cache
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param tabId - Optional tab identifier
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Cached response model or null if not found
+ */
+export async function getCachedSearchJson(
+  query: string,
+  collection: string,
+  profile: string,
+  tabId?: string | null,
+  params?: CacheKeyParams,
+): Promise<any> {
+  const entry = await getCachedSearchJsonEntry(query, collection, profile, tabId, params);
+  return entry ? entry.data : null;
+}
+
+/**
+ * Set a structured search response model in cache
+ * @param query - Search query
+ * @param collection - Collection name
+ * @param profile - Profile name
+ * @param tabId - Optional tab identifier
+ * @param model - Parsed search response model
+ * @param ttlSeconds - Optional override for TTL in seconds
+ * @param params - Optional request parameters (facets, paging, sort)
+ * @returns Whether the operation was successful
+ */
+export async function setCachedSearchJson(
+  query: string,
+  collection: string,
+  profile: string,
+  tabId: string | null | undefined,
+  model: any,
+  ttlSeconds?: number,
+  params?: CacheKeyParams,
+): Promise<boolean> {
+  const cacheKey = generateSearchJsonCacheKey(query, collection, profile, tabId, params);
+
+  // Follow the same TTL tiers as the HTML the model was parsed from
+  const ttl = ttlSeconds || (await getRecommendedTtl(query));
+
+  return setCachedData(cacheKey, model, ttl + STALE_WHILE_REVALIDATE_TTL, {
+    trackMetrics: true,
+    category: "search",
+    trackQuery: query,
+    collection,
+    staleAfterSeconds: ttl,
+  });
+}
+
+/**
+ * Store the last known good copy of search or tab content
+ * Kept well beyond the regular entry and across crawls so it can stand in
+ * when the backend fails. Only queries whose daily score reaches
+ * CACHE_LKG_MIN_SCORE get a copy
+ * @param cacheKey - Key of the regular search or tab entry
+ * @param content - Content returned by the backend
+ * @param query - Search query, for the popularity check
+ * @returns Whether a copy was stored
+ */
+export async function setLastKnownGood(
+  cacheKey: string,
+  content: any,
+  query: string,
+): Promise<boolean> {
+  if (LAST_KNOWN_GOOD_MIN_SCORE > 0) {
+    const score = await getQueryScore(query, "day");
+    if (score < LAST_KNOWN_GOOD_MIN_SCORE) return false;
+  }
+
+  return setCachedData(
+    `${LAST_KNOWN_GOOD_PREFIX}${cacheKey}`,
+    content,
+    LAST_KNOWN_GOOD_TTL,
+  );
+}
+
+/**
+ * Get the last known good copy of search or tab content
+ * @param cacheKey - Key of the regular search or tab entry
+ * @returns Entry (createdAt tells its age) or null if none is kept
+ */
+export async function getLastKnownGood(
+  cacheKey: string,
+): Promise<CacheEntry | null> {
+  return getCachedEntry(`${LAST_KNOWN_GOOD_PREFIX}${cacheKey}`);
+}
+
 /**
  * Clear all cached content for a specific query
+ * Last known good copies are kept (see getQueryKeyPatterns)
  * @param query - Search query to clear cache for
  * @returns Whether the operation was successful
  */
 export async function clearQueryCache(query: string): Promise<boolean> {
-  // Normalize query for consistent pattern matching
-  const normalizedQuery = query.trim().toLowerCase();
+  const results = await Promise.all(
+    getQueryKeyPatterns(query).map((pattern) => clearCachedData(pattern)),
+  );
 
-  return clearCachedData(`*:${normalizedQuery}:*`);
+  return results.every(Boolean);
 }
 
 /**
@@ -643,19 +1407,244 @@ export async function clearAllTabCache(): Promise<boolean> {
   return clearCachedData("tab:*");
 }
 
+/**
+ * Convert a Redis glob pattern (* and ?) to a regular expression
+ * @param pattern - Glob pattern
+ * @returns Anchored regular expression
+ */
+function globToRegExp(pattern: string): RegExp {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find keys matching a pattern without blocking Redis (SCAN instead of KEYS)
+ * @param pattern - Glob pattern
+ * @param limit - Maximum number of keys to return
+ * @returns Matching keys
+ */
+async function scanKeys(
+  pattern: string,
+  limit: number = Infinity,
+): Promise<string[]> {
+  const redisClient = getRedisClient();
+  const keys: string[] = [];
+
+  if (redisClient) {
+    let cursor = "0";
+    do {
+      const [nextCursor, batch] = await redisClient.scan(
+        cursor,
+        "MATCH",
+        pattern,
+        "COUNT",
+        SCAN_BATCH_SIZE,
+      );
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== "0" && keys.length < limit);
+
+    return keys.slice(0, limit);
+  }
+
+  const regex = globToRegExp(pattern);
+  for (const key of memoryCache.keys()) {
+    if (keys.length >= limit) break;
+    if (regex.test(key)) keys.push(key);
+  }
+
+  return keys;
+}
+
+/**
+ * List cache keys by prefix with their TTLs and sizes
+ * @param prefix - Key prefix (e.g. "search:"); may contain glob characters
+ * @param limit - Maximum number of keys to return
+ * @returns Key information, or an empty list on error
+ */
+export async function listCacheKeys(
+  prefix: string = "",
+  limit: number = 100,
+): Promise<CacheKeyInfo[]> {
+  const redisClient = getRedisClient();
+  try {
+    const keys = await scanKeys(`${prefix}*`, limit);
+
+    if (redisClient) {
+      if (keys.length === 0) return [];
+
+      const pipeline = redisClient.pipeline();
+      keys.forEach((key) => pipeline.ttl(key).strlen(key));
+      const results = (await pipeline.exec()) || [];
+
+      return keys.map((key, index) => {
+        const ttl = Number(results[index * 2]?.[1]);
+        return {
+          key,
+          ttl: ttl > 0 ? ttl : null,
+          size: Number(results[index * 2 + 1]?.[1]) || 0,
+        };
+      });
+    }
+
+    return keys.flatMap((key) => {
+      const entry = memoryCache.peek(key);
+      if (!entry) return [];
+
+      return [
+        {
+          key,
+          ttl: Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000)),
+          size: entry.size,
+        },
+      ];
+    });
+  } catch (error) {
+    logger.error("Error listing cache keys", { error });
+    return [];
+  }
+}
+
+/**
+ * Inspect a single cache entry without affecting metrics
+ * @param key - Cache key
+ * @returns Entry details or null if not found
+ */
+export async function inspectCacheEntry(
+  key: string,
+): Promise<CacheEntryDetails | null> {
+  const redisClient = getRedisClient();
+  try {
+    if (redisClient) {
+      const raw = await redisClient.get(key);
+      if (!raw) return null;
+
+      const { value, size, encoding } = await decodeStoredValue(raw);
+      return {
+        key,
+        ttl: await getKeyTTL(key),
+        size: Buffer.byteLength(raw),
+        ...unwrapEnvelope(value),
+        ...(encoding ? { encoding, originalSize: size } : {}),
+      };
+    }
+
+    const entry = memoryCache.peek(key);
+    if (!entry) return null;
+
+    return {
+      key,
+      ttl: Math.round((entry.expiresAt - Date.now()) / 1000),
+      size: entry.size,
+      ...unwrapEnvelope(entry.value),
+    };
+  } catch (error) {
+    logger.error("Error inspecting cache entry", { error });
+    return null;
+  }
+}
+
+/**
+ * Whether the admin API may read or delete a key or glob pattern
+ * The namespace prefix must be literal, so a glob cannot reach other keys
+ * @param keyOrPattern - Cache key or Redis glob pattern
+ * @returns True when every matching key is cached content or a last known good copy
+ */
+export function isAdminCacheKey(keyOrPattern: string): boolean {
+  return ADMIN_KEY_PREFIXES.some((prefix) => keyOrPattern.startsWith(prefix));
+}
+
+/**
+ * Get the glob patterns matching every content key of a query
+ * Last known good copies are not matched, so they outlive query purges
+ * @param query - Search query
+ * @returns One pattern per content namespace
+ */
+export function getQueryKeyPatterns(query: string): string[] {
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+
+  return [
+    `search:${normalizedQuery}:*`,
+    `tab:${normalizedQuery}:*`,
+    `search-json:${normalizedQuery}:*`,
+    // Suggestion keys carry the suggestion type before the query
+    `suggestions:*:${normalizedQuery}:*`,
+  ];
+}
+
+/**
+ * Delete all keys matching a pattern
+ * @param pattern - Glob pattern
+ * @returns Number of keys deleted (0 on error)
+ */
+export async function deleteCacheKeysByPattern(
+  pattern: string,
+): Promise<number> {
+  const redisClient = getRedisClient();
+  try {
+    const keys = await scanKeys(pattern);
+
+    if (redisClient) {
+      for (let i = 0; i < keys.length; i += SCAN_BATCH_SIZE) {
+        await redisClient.del(keys.slice(i, i + SCAN_BATCH_SIZE));
+      }
+      await invalidateL1({ pattern });
+    } else {
+      keys.forEach((key) => memoryCache.delete(key));
+    }
+
+    logger.info("Cache keys cleared by pattern", {
+      pattern,
+      deleted: keys.length,
+      tier: redisClient ? "redis" : "memory",
+    });
+    return keys.length;
+  } catch (error) {
+    logger.error("Cache pattern delete error", { error });
+    return 0;
+  }
+}
+
+/**
+ * Remove all cached content (search, tab, JSON model and suggestion entries)
+ * Locks and administrative data are left in place
+ * @returns Number of keys deleted
+ */
+export async function flushAllCache(): Promise<number> {
+  let total = 0;
+
+  for (const prefix of CONTENT_KEY_PREFIXES) {
+    total += await deleteCacheKeysByPattern(`${prefix}*`);
+  }
+
+  logger.info("Cached content flushed", { deleted: total });
+  return total;
+}
+
 /**
  * Check if search results exist in cache
  * @param query - Search query
  * @param collection - Collection name
  * @param profile - Profile name
+ * @param params - Optional request parameters (facets, paging, sort)
  * @returns Whether the cache entry exists
  */
 export async function searchResultsExistInCache(
   query: string,
   collection: string,
   profile: string,
+  params?: CacheKeyParams,
 ): Promise<boolean> {
-  const cacheKey = generateSearchCacheKey(query, collection, profile);
+  const redisClient = getRedisClient();
+  const cacheKey = generateSearchCacheKey(query, collection, profile, params);
 
   try {
     if (redisClient) {
@@ -663,28 +1652,33 @@ export async function searchResultsExistInCache(
       return exists === 1;
     }
 
-    const exists = memoryCache.has(cacheKey);
-    if (exists) {
-      const { expiry } = memoryCache.get(cacheKey);
-      return expiry > Date.now();
-    }
-
-    return false;
+    return memoryCache.has(cacheKey);
   } catch (error) {
-    log(
-      `Error checking cache existence: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Error checking cache existence", { error });
     return false;
   }
 }
 
+/**
+ * Get where cache operations currently go
+ * "memory" while Redis is not configured or its circuit is open
+ * @returns Cache mode and whether the L1 cache is active
+ */
+export function getCacheMode(): { mode: "redis" | "memory"; l1: boolean } {
+  const mode = getRedisClient() ? "redis" : "memory";
+  return { mode, l1: mode === "redis" && !!l1Cache };
+}
+
 /**
  * Get cache statistics
  * @returns Cache statistics object or null if error
  */
 export async function getCacheStats(): Promise<any> {
+  const redisClient = getRedisClient();
   try {
+    // Popularity tiers over the last day (shared across instances)
+    const topQueries = await getTopQueries("day", 1000);
+
     // Basic stats object
     const stats: any = {
       timestamp: new Date().toISOString(),
@@ -695,35 +1689,61 @@ export async function getCacheStats(): Promise<any> {
         total: getCacheHitRate("total"),
       },
       queryPopularity: {
-        total: Object.keys(queryPopularity).length,
-        popular: Object.keys(queryPopularity).filter(
-          (k) => queryPopularity[k].count >= 5 && queryPopularity[k].count < 20,
-        ).length,
-        highVolume: Object.keys(queryPopularity).filter(
-          (k) => queryPopularity[k].count >= 20,
-        ).length,
+        total: topQueries.length,
+        popular: topQueries.filter((q) => q.score >= 5 && q.score < 20).length,
+        highVolume: topQueries.filter((q) => q.score >= 20).length,
+        top: topQueries.slice(0, 10),
       },
       logLevel: {
-        current: LogLevel[currentLogLevel],
-        value: currentLogLevel,
+        current: LogLevel[logger.getLevel()],
+        value: logger.getLevel(),
       },
     };
 
+    // While the Redis circuit is open the memory cache below is in use
+    if (isRedisConfigured()) {
+      stats.redisCircuit = getRedisCircuitStats();
+    }
+
     if (!redisClient) {
-      // For memory cache
+      // For memory cache: key counts plus size, budget and eviction counters
+      const memoryKeys = memoryCache.keys();
       stats.memoryCache = {
         size: memoryCache.size,
-        tabKeys: Array.from(memoryCache.keys()).filter((k) =>
-          k.startsWith("tab:"),
-        ).length,
-        searchKeys: Array.from(memoryCache.keys()).filter((k) =>
-          k.startsWith("search:"),
-        ).length,
+        tabKeys: memoryKeys.filter((k) => k.startsWith("tab:")).length,
+        searchKeys: memoryKeys.filter((k) => k.startsWith("search:")).length,
+        searchJsonKeys: memoryKeys.filter((k) => k.startsWith("search-json:"))
+          .length,
+        ...memoryCache.getStats(),
       };
 
       return stats;
     }
 
+    // Space saved by compressing large values
+    stats.compression = {
+      encoding: COMPRESSION_ENCODING,
+      threshold: COMPRESSION_THRESHOLD,
+      ...compressionMetrics,
+      ratio:
+        compressionMetrics.storedBytes > 0
+          ? compressionMetrics.originalBytes / compressionMetrics.storedBytes
+          : null,
+    };
+
+    // Per-tier hit rates and lookup latency (L1 = instance memory, L2 = Redis)
+    stats.tiers = {
+      l1: l1Cache
+        ? {
+            enabled: true,
+            ttl: L1_TTL,
+            ...getTierStats("l1"),
+            ...l1Cache.getStats(),
+          }
+        : { enabled: false },
+      l2: getTierStats("l2"),
+    };
+
     // For Redis, add info about Redis instance
     try {
       // Get Redis info for stats
@@ -760,17 +1780,20 @@ export async function getCacheStats(): Promise<any> {
             : null,
       };
 
-      // Get key counts by type
-      const [keyCount, tabKeyCount, searchKeyCount] = await Promise.all([
-        redisClient.dbsize(),
-        redisClient.keys("tab:*").then((keys) => keys.length),
-        redisClient.keys("search:*").then((keys) => keys.length),
-      ]);
+      // Get key counts by type, scanning rather than blocking Redis with KEYS
+      const [keyCount, tabKeyCount, searchKeyCount, searchJsonKeyCount] =
+        await Promise.all([
+          redisClient.dbsize(),
+          scanKeys("tab:*").then((keys) => new Set(keys).size),
+          scanKeys("search:*").then((keys) => new Set(keys).size),
+          scanKeys("search-json:*").then((keys) => new Set(keys).size),
+        ]);
 
       stats.redis.keys = {
         total: keyCount,
         tabKeys: tabKeyCount,
         searchKeys: searchKeyCount,
+        searchJsonKeys: searchJsonKeyCount,
       };
     } catch (redisError) {
       stats.redis = {
@@ -784,10 +1807,7 @@ export async function getCacheStats(): Promise<any> {
 
     return stats;
   } catch (error) {
-    log(
-      `Error getting cache stats: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Error getting cache stats", { error });
     return null;
   }
 }
@@ -798,48 +1818,38 @@ export async function getCacheStats(): Promise<any> {
  * @returns The remaining TTL in seconds, or null if key doesn't exist or error
  */
 export async function getKeyTTL(key: string): Promise<number | null> {
+  const redisClient = getRedisClient();
   try {
     if (redisClient) {
       const ttl = await redisClient.ttl(key);
       return ttl > 0 ? ttl : null;
     }
 
-    if (memoryCache.has(key)) {
-      const { expiry } = memoryCache.get(key);
-      const now = Date.now();
-      if (expiry > now) {
-        return Math.round((expiry - now) / 1000);
-      }
-    }
-
-    return null;
+    const entry = memoryCache.peek(key);
+    return entry ? Math.round((entry.expiresAt - Date.now()) / 1000) : null;
   } catch (error) {
-    log(
-      `Error getting key TTL: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Error getting key TTL", { error });
     return null;
   }
 }
 
-// Health check method for Redis connection
+/**
+ * Health check for the Redis connection
+ * Reports unhealthy without contacting Redis while its circuit is open
+ * @returns Whether Redis answered a ping
+ */
 export async function isRedisHealthy(): Promise<boolean> {
+  const redisClient = getRedisClient();
   try {
     if (!redisClient) return false;
 
     // Ping Redis to check connection
     const pong = await redisClient.ping();
     const isHealthy = pong === "PONG";
-    log(
-      `Redis health check: ${isHealthy ? "HEALTHY" : "UNHEALTHY"}`,
-      LogLevel.INFO,
-    );
+    logger.info("Redis health check", { healthy: isHealthy });
     return isHealthy;
   } catch (error) {
-    log(
-      `Redis health check error: ${error instanceof Error ? error.message : "Unknown error"}`,
-      LogLevel.ERROR,
-    );
+    logger.error("Redis health check error", { error });
     return false;
   }
 }
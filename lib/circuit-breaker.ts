@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Circuit breaker for unreliable dependencies
+ *
+ * Opens after a number of consecutive failures so callers skip the
+ * dependency instead of waiting on timeouts. After the reset timeout one
+ * probe request is let through (half-open); its success closes the
+ * circuit and its failure opens it again. isAvailable tells callers with a
+ * fallback whether a call would be let through, so they can use the
+ * fallback instead of being rejected while the probe is in flight.
+ * Calls whose outcome says nothing about the dependency's health are
+ * recorded as neutral.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import { createLogger } from './logger';
+
+const logger = createLogger('circuit-breaker');
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the circuit */
+  failureThreshold?: number;
+  /** Time the circuit stays open before a probe is allowed */
+  resetTimeoutMs?: number;
+}
+
+export interface CircuitBreakerStats {
+  name: string;
+  state: CircuitState;
+  consecutiveFailures: number;
+  failures: number;
+  successes: number;
+  rejected: number;
+  opens: number;
+  openedAt: string | null;
+  lastError: string | null;
+}
+
+/**
+ * Error thrown for calls rejected while the circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(name: string) {
+    super(`Circuit '${name}' is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+export class CircuitBreaker {
+  private state: CircuitState = 'closed';
+  private consecutiveFailures = 0;
+  private openedAt = 0;
+  private probeInFlight = false;
+  private lastError: string | null = null;
+  private counters = { failures: 0, successes: 0, rejected: 0, opens: 0 };
+  private failureThreshold: number;
+  private resetTimeoutMs: number;
+
+  constructor(public readonly name: string, options: CircuitBreakerOptions = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeoutMs = options.resetTimeoutMs ?? 10000;
+  }
+
+  /**
+   * Get the current state, moving from open to half-open once the reset timeout has passed
+   * @returns Circuit state
+   */
+  getState(): CircuitState {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+      this.probeInFlight = false;
+      logger.info('Circuit half-open, allowing a probe', { circuit: this.name });
+    }
+
+    return this.state;
+  }
+
+  /**
+   * Check whether a call would be let through, without claiming the half-open probe
+   * @returns False while open, or half-open with the probe in flight
+   */
+  isAvailable(): boolean {
+    const state = this.getState();
+    return state === 'closed' || (state === 'half-open' && !this.probeInFlight);
+  }
+
+  /**
+   * Check whether a call may proceed
+   * In the half-open state only a single probe is allowed at a time
+   * @returns Whether the call may proceed
+   */
+  allowRequest(): boolean {
+    const state = this.getState();
+
+    if (state === 'closed') return true;
+
+    if (state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.counters.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess(): void {
+    this.counters.successes++;
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+
+    if (this.state !== 'closed') {
+      this.state = 'closed';
+      logger.info('Circuit closed', { circuit: this.name });
+    }
+  }
+
+  /**
+   * Record a call that says nothing about the dependency's health (e.g. a client error)
+   * Releases the half-open probe without closing or opening the circuit
+   */
+  recordNeutral(): void {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed call, opening the circuit when the threshold is reached
+   * @param error - Failure cause
+   */
+  recordFailure(error?: unknown): void {
+    this.counters.failures++;
+    this.consecutiveFailures++;
+    this.probeInFlight = false;
+    this.lastError = error instanceof Error ? error.message : error ? String(error) : null;
+
+    if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.counters.opens++;
+      logger.warn('Circuit opened', {
+        circuit: this.name,
+        consecutiveFailures: this.consecutiveFailures,
+        lastError: this.lastError
+      });
+    }
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param fn - Call to protect
+   * @returns Result of the call
+   * @throws CircuitOpenError if the circuit is open
+   */
+  async execute<T>(fn: () => Promise<T>): Promise<T> {
+    if (!this.allowRequest()) {
+      throw new CircuitOpenError(this.name);
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get state and counters
+   * @returns Breaker statistics
+   */
+  getStats(): CircuitBreakerStats {
+    return {
+      name: this.name,
+      state: this.getState(),
+      consecutiveFailures: this.consecutiveFailures,
+      ...this.counters,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
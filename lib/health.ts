@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Service health checks
+ *
+ * Shared by the liveness (/api/health) and readiness (/api/ready) routes.
+ * Reports the deployed version and uptime, validates the environment,
+ * pings the backend proxy and collects the state of the Redis and backend
+ * circuit breakers. The readiness data drives the failover between the
+ * production and development deployments.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import axios from 'axios';
+import packageJson from '../package.json';
+import { BACKEND_API_URL } from './api-client';
+import { getBackendMetrics } from './backend-resilience';
+import { getRedisCircuitState } from './redis-client';
+
+// Lightweight backend request used for the ping
+const BACKEND_PING_PATH = '/funnelback/suggest';
+const BACKEND_PING_TIMEOUT_MS = parseInt(process.env.HEALTH_BACKEND_TIMEOUT_MS || '', 10) || 2000;
+
+// Variables whose absence only disables a feature
+const RECOMMENDED_ENV: Array<{ names: string[]; feature: string }> = [
+  { names: ['su_search_dev_012026_KV_URL', 'su_search_dev_012026_REDIS_URL'], feature: 'shared Redis cache (falls back to instance memory)' },
+  { names: ['ADMIN_API_TOKEN', 'ADMIN_HMAC_SECRET'], feature: 'admin API' },
+  { names: ['CRAWL_HOOK_SECRET'], feature: 'crawl completion webhook' }
+];
+
+const startedAt = new Date();
+
+export interface ServiceInfo {
+  name: string;
+  version: string;
+  commit: string | null;
+  environment: string;
+  startedAt: string;
+  uptimeSeconds: number;
+}
+
+export interface EnvironmentCheck {
+  valid: boolean;
+  missing: string[];
+  warnings: string[];
+}
+
+export interface BackendPing {
+  reachable: boolean;
+  status: number | null;
+  latencyMs: number;
+  error: string | null;
+}
+
+export interface BreakerStates {
+  redis: string;
+  backend: Record<string, string>;
+}
+
+/**
+ * Get the deployed version and uptime of this instance
+ * @returns Service information
+ */
+export function getServiceInfo(): ServiceInfo {
+  return {
+    name: packageJson.name,
+    version: packageJson.version,
+    commit: process.env.VERCEL_GIT_COMMIT_SHA || null,
+    environment: process.env.VERCEL_ENV || process.env.NODE_ENV || 'development',
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+/**
+ * Check that the environment variables in use are valid
+ * BACKEND_API_URL falls back to the default proxy in api-client.ts, so only
+ * an invalid explicit value fails; missing optional variables are reported
+ * as warnings
+ * @returns Validation result
+ */
+export function validateEnvironment(): EnvironmentCheck {
+  const missing: string[] = [];
+  const warnings: string[] = [];
+
+  if (process.env.BACKEND_API_URL) {
+    try {
+      new URL(process.env.BACKEND_API_URL);
+    } catch {
+      missing.push('BACKEND_API_URL (invalid URL)');
+    }
+  } else {
+    warnings.push(`BACKEND_API_URL not set: using ${BACKEND_API_URL}`);
+  }
+
+  RECOMMENDED_ENV.forEach(({ names, feature }) => {
+    if (!names.some(name => process.env[name])) {
+      warnings.push(`${names.join(' or ')} not set: ${feature} disabled`);
+    }
+  });
+
+  return { valid: missing.length === 0, missing, warnings };
+}
+
+/**
+ * Ping the backend proxy with a lightweight suggestion request
+ * Sent with plain axios so the ping bypasses retries and the circuit
+ * breakers and reflects the backend's current state
+ * @returns Ping result; any response below 500 counts as reachable
+ */
+export async function pingBackend(): Promise<BackendPing> {
+  const started = Date.now();
+
+  try {
+    const response = await axios.get(`${BACKEND_API_URL}${BACKEND_PING_PATH}`, {
+      params: { partial_query: 'health', collection: 'seattleu~sp-search', profile: '_default' },
+      timeout: BACKEND_PING_TIMEOUT_MS,
+      validateStatus: status => status < 500
+    });
+
+    return { reachable: true, status: response.status, latencyMs: Date.now() - started, error: null };
+  } catch (error) {
+    return {
+      reachable: false,
+      status: axios.isAxiosError(error) ? error.response?.status ?? null : null,
+      latencyMs: Date.now() - started,
+      error: error instanceof Error ? error.message : String(error)
+    };
+  }
+}
+
+/**
+ * Get the state of every circuit breaker
+ * @returns Redis circuit state and backend circuit states by path
+ */
+export function getBreakerStates(): BreakerStates {
+  const backend: Record<string, string> = {};
+
+  Object.entries(getBackendMetrics()).forEach(([path, metrics]) => {
+    backend[path] = metrics.breaker.state;
+  });
+
+  return {
+    redis: getRedisCircuitState(),
+    backend
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Per-collection search index generations
+ *
+ * Each completed Funnelback crawl bumps the generation of its collection
+ * (Redis key generation:<collection>). Cache entries record the generation
+ * they were produced under, and entries from an older generation are
+ * treated as stale. Lookups are cached in memory for a few seconds so the
+ * hot read path does not add a Redis round trip per request.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { getRedisClient } from './redis-client';
+import { createLogger } from './logger';
+
+const logger = createLogger('index-generation');
+
+const GENERATION_KEY_PREFIX = 'generation:';
+const LOCAL_CACHE_MS = 10 * 1000; // 10 seconds
+
+// Recently read generations (and the authoritative store without Redis)
+const localGenerations = new Map<string, { generation: number; fetchedAt: number }>();
+
+/**
+ * Get the current index generation for a collection
+ * Collections that never had a crawl notification are at generation 0
+ * @param collection - Collection name
+ * @returns Current generation
+ */
+export async function getIndexGeneration(collection: string): Promise<number> {
+  const cached = localGenerations.get(collection);
+  const redis = getRedisClient();
+
+  if (cached && (!redis || Date.now() - cached.fetchedAt < LOCAL_CACHE_MS)) {
+    return cached.generation;
+  }
+
+  if (!redis) return 0;
+
+  try {
+    const value = await redis.get(`${GENERATION_KEY_PREFIX}${collection}`);
+    const generation = value ? parseInt(value, 10) || 0 : 0;
+    localGenerations.set(collection, { generation, fetchedAt: Date.now() });
+    return generation;
+  } catch (error) {
+    logger.error('Failed to read generation', { collection, error });
+    return cached ? cached.generation : 0;
+  }
+}
+
+/**
+ * Advance the index generation for a collection
+ * @param collection - Collection name
+ * @returns The new generation
+ */
+export async function bumpIndexGeneration(collection: string): Promise<number> {
+  const redis = getRedisClient();
+
+  const generation = redis
+    ? await redis.incr(`${GENERATION_KEY_PREFIX}${collection}`)
+    : (localGenerations.get(collection)?.generation || 0) + 1;
+
+  localGenerations.set(collection, { generation, fetchedAt: Date.now() });
+  logger.info('Index generation advanced', { collection, generation });
+
+  return generation;
+}
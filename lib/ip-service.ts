@@ -3,12 +3,17 @@
  * 
  * This module provides services for resolving, caching, and managing client IP addresses.
  * It centralizes IP resolution logic for both client and server-side contexts.
+ * IP addresses are redacted in logs according to LOG_REDACTION.
  *
  * @author Victor Chimenti
- * @version 1.0.0
- * @lastModified 2025-04-28
+ * @version 1.1.0
+ * @lastModified 2026-10-19
  */
 
+import { createLogger } from './logger';
+
+const logger = createLogger('ip-service');
+
 // Cache options
 const IP_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes in milliseconds
 const FETCH_TIMEOUT = 3000; // 3 seconds timeout for fetch requests
@@ -38,19 +43,13 @@ export function isServer(): boolean {
  * @returns Client information with IP and source
  */
 export function extractClientIpFromHeaders(headers: any): ClientInfo {
-    console.log('IP-SERVICE: Extracting client IP from headers');
-
     if (!headers) {
-        console.warn('IP-SERVICE: No headers provided for extraction');
+        logger.warn('No headers provided for extraction');
         return { ip: '0.0.0.0', source: 'none', timestamp: Date.now() };
     }
 
-    // Log headers for debugging (with sensitive information redacted)
-    const redactedHeaders = { ...headers };
-    ['cookie', 'authorization'].forEach(key => {
-        if (redactedHeaders[key]) redactedHeaders[key] = '[REDACTED]';
-    });
-    console.log('IP-SERVICE: Headers for extraction:', JSON.stringify(redactedHeaders));
+    // Log headers for debugging (credentials and IPs are redacted by the logger)
+    logger.debug('Extracting client IP from headers', { headers });
 
     // Check x-forwarded-for header (common for proxied requests)
     if (headers['x-forwarded-for']) {
@@ -60,7 +59,7 @@ export function extractClientIpFromHeaders(headers: any): ClientInfo {
 
         // Extract the first IP in the list (the original client)
         const clientIp = forwardedIps.split(',')[0].trim();
-        console.log(`IP-SERVICE: Extracted IP from x-forwarded-for: ${clientIp}`);
+        logger.debug('Extracted client IP', { source: 'x-forwarded-for', ip: clientIp });
         return { ip: clientIp, source: 'x-forwarded-for', timestamp: Date.now() };
     }
 
@@ -69,7 +68,7 @@ export function extractClientIpFromHeaders(headers: any): ClientInfo {
         const realIp = Array.isArray(headers['x-real-ip'])
             ? headers['x-real-ip'][0]
             : headers['x-real-ip'];
-        console.log(`IP-SERVICE: Extracted IP from x-real-ip: ${realIp}`);
+        logger.debug('Extracted client IP', { source: 'x-real-ip', ip: realIp });
         return { ip: realIp, source: 'x-real-ip', timestamp: Date.now() };
     }
 
@@ -85,14 +84,14 @@ export function extractClientIpFromHeaders(headers: any): ClientInfo {
     for (const header of ipHeaders) {
         if (headers[header]) {
             const ip = Array.isArray(headers[header]) ? headers[header][0] : headers[header];
-            console.log(`IP-SERVICE: Extracted IP from ${header}: ${ip}`);
+            logger.debug('Extracted client IP', { source: header, ip });
             return { ip, source: header, timestamp: Date.now() };
         }
     }
 
     // Fall back to socket address if available in request
     if (headers['x-forwarded-host'] && headers.connection?.remoteAddress) {
-        console.log(`IP-SERVICE: Using socket remote address: ${headers.connection.remoteAddress}`);
+        logger.debug('Extracted client IP', { source: 'socket', ip: headers.connection.remoteAddress });
         return {
             ip: headers.connection.remoteAddress,
             source: 'socket',
@@ -101,7 +100,7 @@ export function extractClientIpFromHeaders(headers: any): ClientInfo {
     }
 
     // No IP found
-    console.warn('IP-SERVICE: Could not extract IP address from headers');
+    logger.warn('Could not extract IP address from headers');
     return { ip: '0.0.0.0', source: 'unknown', timestamp: Date.now() };
 }
 
@@ -110,7 +109,7 @@ export function extractClientIpFromHeaders(headers: any): ClientInfo {
  * @param clientInfo - Client information to cache
  */
 export function setCachedClientInfo(clientInfo: ClientInfo): void {
-    console.log(`IP-SERVICE: Caching client info - IP: ${clientInfo.ip}, Source: ${clientInfo.source}`);
+    logger.debug('Caching client info', { ip: clientInfo.ip, source: clientInfo.source });
     cachedClientInfo = clientInfo;
     cachedTimestamp = Date.now();
 }
@@ -122,14 +121,14 @@ export function setCachedClientInfo(clientInfo: ClientInfo): void {
 export function getCachedClientInfo(): ClientInfo | null {
     const now = Date.now();
     if (cachedClientInfo && now - cachedTimestamp < IP_CACHE_DURATION) {
-        console.log(`IP-SERVICE: Using cached client info - IP: ${cachedClientInfo.ip}, Age: ${(now - cachedTimestamp) / 1000}s`);
+        logger.debug('Using cached client info', { ip: cachedClientInfo.ip, ageSeconds: (now - cachedTimestamp) / 1000 });
         return cachedClientInfo;
     }
 
     if (cachedClientInfo) {
-        console.log('IP-SERVICE: Cached client info expired');
+        logger.debug('Cached client info expired');
     } else {
-        console.log('IP-SERVICE: No cached client info available');
+        logger.debug('No cached client info available');
     }
 
     return null;
@@ -139,7 +138,7 @@ export function getCachedClientInfo(): ClientInfo | null {
  * Clears the client info cache
  */
 export function clearClientInfoCache(): void {
-    console.log('IP-SERVICE: Clearing client info cache');
+    logger.debug('Clearing client info cache');
     cachedClientInfo = null;
     cachedTimestamp = 0;
 }
@@ -169,7 +168,7 @@ export function isValidIpAddress(ip: string): boolean {
  * @returns Promise resolving to client info
  */
 export async function fetchClientInfo(): Promise<ClientInfo> {
-    console.log('IP-SERVICE: Fetching client info from API');
+    logger.debug('Fetching client info from API');
 
     // First, check if we have a valid cached value
     const cachedInfo = getCachedClientInfo();
@@ -192,11 +191,11 @@ export async function fetchClientInfo(): Promise<ClientInfo> {
                 return response.json();
             })
             .then(data => {
-                console.log(`IP-SERVICE: Successfully fetched client info - IP: ${data.ip}, Source: ${data.source}`);
+                logger.debug('Fetched client info', { ip: data.ip, source: data.source });
 
                 // Validate the IP address format
                 if (!isValidIpAddress(data.ip)) {
-                    console.warn(`IP-SERVICE: API returned invalid IP format: ${data.ip}`);
+                    logger.warn('API returned invalid IP format', { ip: data.ip });
                     data.ip = '0.0.0.0';
                     data.source = 'invalid';
                 }
@@ -210,7 +209,7 @@ export async function fetchClientInfo(): Promise<ClientInfo> {
         // Race the fetch against timeout
         return await Promise.race([fetchPromise, timeoutPromise]);
     } catch (error) {
-        console.error('IP-SERVICE: Error fetching client info:', error);
+        logger.error('Error fetching client info', { error });
 
         // Return a fallback value on error
         return { ip: '0.0.0.0', source: 'error', timestamp: Date.now() };
@@ -226,7 +225,7 @@ export async function getClientInfo(headers?: any): Promise<ClientInfo> {
     // Check if we're on server or client
     if (isServer()) {
         if (headers) {
-            console.log('IP-SERVICE: Server-side execution with headers');
+            logger.debug('Server-side execution with headers');
 
             // Extract IP from headers
             const clientInfo = extractClientIpFromHeaders(headers);
@@ -236,7 +235,7 @@ export async function getClientInfo(headers?: any): Promise<ClientInfo> {
 
             return clientInfo;
         } else {
-            console.log('IP-SERVICE: Server-side execution without headers');
+            logger.debug('Server-side execution without headers');
 
             // Try to use cached info
             const cachedInfo = getCachedClientInfo();
@@ -248,7 +247,7 @@ export async function getClientInfo(headers?: any): Promise<ClientInfo> {
             return { ip: '0.0.0.0', source: 'server-unknown', timestamp: Date.now() };
         }
     } else {
-        console.log('IP-SERVICE: Client-side execution');
+        logger.debug('Client-side execution');
 
         // Client-side: fetch from API
         return fetchClientInfo();
@@ -262,11 +261,11 @@ export async function getClientInfo(headers?: any): Promise<ClientInfo> {
  */
 export function getClientIpHeaders(clientInfo: ClientInfo): Record<string, string> {
     if (!clientInfo || !clientInfo.ip || clientInfo.ip === '0.0.0.0') {
-        console.log('IP-SERVICE: No valid client IP available for headers');
+        logger.debug('No valid client IP available for headers');
         return {};
     }
 
-    console.log(`IP-SERVICE: Creating IP headers for ${clientInfo.ip}`);
+    logger.debug('Creating IP headers', { ip: clientInfo.ip });
 
     return {
         'X-Forwarded-For': clientInfo.ip,
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Structured logger with request correlation
+ *
+ * Writes one JSON object per line with the time, level, component, message,
+ * the current request ID, the active trace ID (see tracing.ts) and any
+ * structured fields. Every API route runs in
+ * a request context (withRequestId) that takes the caller's X-Request-ID or
+ * generates one, returns it as X-Request-ID and makes it available to every
+ * log line and backend call made while handling the request.
+ *
+ * Queries, IP addresses, session IDs and the query part of cache keys are
+ * redacted according to LOG_REDACTION:
+ * - hash (default): replaced by a short SHA-256 digest, so equal values can
+ *   still be correlated
+ * - mask: replaced by [REDACTED]
+ * - off: logged as-is (local debugging only)
+ * Credentials (authorization headers, cookies, admin tokens) are always masked.
+ *
+ * Levels: LOG_LEVEL for all components, overridable per component (e.g.
+ * CACHE_LOG_LEVEL, API_CLIENT_LOG_LEVEL). Accepts 0-3 or error, warn, info, debug.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { isSpanContextValid, trace } from '@opentelemetry/api';
+import { createHash, randomUUID } from 'crypto';
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+
+export enum LogLevel {
+  ERROR = 0,
+  WARN = 1,
+  INFO = 2,
+  DEBUG = 3
+}
+
+export type LogFields = Record<string, unknown>;
+
+export interface Logger {
+  error(message: string, fields?: LogFields): void;
+  warn(message: string, fields?: LogFields): void;
+  info(message: string, fields?: LogFields): void;
+  debug(message: string, fields?: LogFields): void;
+  isEnabled(level: LogLevel): boolean;
+  getLevel(): LogLevel;
+  setLevel(level: LogLevel): void;
+}
+
+type RedactionPolicy = 'hash' | 'mask' | 'off';
+
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+
+// Accepted incoming request IDs (anything else is replaced)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const REDACTION_POLICY: RedactionPolicy = (['hash', 'mask', 'off'] as const).find(
+  policy => policy === (process.env.LOG_REDACTION || '').toLowerCase()
+) || 'hash';
+
+// Fields holding user data, redacted by policy
+const PERSONAL_FIELDS = new Set([
+  'query', 'q', 'partial_query', 'partialQuery', 'queries', 'originalQuery', 'normalizedQuery',
+  'ip', 'clientIp', 'clientIP', 'x-forwarded-for', 'x-real-ip', 'x-client-ip', 'true-client-ip', 'cf-connecting-ip',
+  'sessionId', 'session_id'
+]);
+
+// Fields holding credentials, always masked
+const SECRET_FIELDS = new Set(['authorization', 'cookie', 'set-cookie', 'x-admin-token', 'x-admin-signature', 'token', 'secret']);
+
+// Fields holding cache keys whose query part is redacted
+const KEY_FIELDS = new Set(['key', 'cacheKey', 'keys', 'pattern', 'patterns', 'keyPatterns']);
+
+// Position of the query within cache keys by prefix
+const KEY_QUERY_SEGMENT: Array<[string, number]> = [
+  ['lkg:search:', 2],
+  ['lkg:tab:', 2],
+  ['suggestions:', 2],
+  ['search-json:', 1],
+  ['search:', 1],
+  ['tab:', 1]
+];
+
+const LEVEL_NAMES = ['error', 'warn', 'info', 'debug'];
+
+const requestContext = new AsyncLocalStorage<{ requestId: string }>();
+
+/**
+ * Parse a level from an environment value
+ * @param value - Number (0-3) or level name
+ * @returns Level, or undefined when unset or invalid
+ */
+function parseLevel(value: string | undefined): LogLevel | undefined {
+  if (!value) return undefined;
+
+  const byName = LEVEL_NAMES.indexOf(value.toLowerCase());
+  if (byName >= 0) return byName;
+
+  const byNumber = parseInt(value, 10);
+  return byNumber >= LogLevel.ERROR && byNumber <= LogLevel.DEBUG ? byNumber : undefined;
+}
+
+/**
+ * Redact a single personal value by policy
+ * @param value - Value to redact
+ * @returns Redacted value
+ */
+function redactValue(value: unknown): unknown {
+  if (value === null || value === undefined || value === '' || REDACTION_POLICY === 'off') return value;
+  if (REDACTION_POLICY === 'mask') return '[REDACTED]';
+
+  return `h:${createHash('sha256').update(String(value)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Redact the query part of a cache key, keeping prefix, collection and profile readable
+ * @param key - Cache key or key pattern
+ * @returns Redacted key
+ */
+export function redactCacheKey(key: string): string {
+  if (REDACTION_POLICY === 'off') return key;
+
+  const match = KEY_QUERY_SEGMENT.find(([prefix]) => key.startsWith(prefix));
+  if (!match) return key;
+
+  const parts = key.split(':');
+  const segment = parts[match[1]];
+  if (segment && segment !== '*') parts[match[1]] = String(redactValue(segment));
+  return parts.join(':');
+}
+
+/**
+ * Redact personal data and credentials in log fields
+ * @param value - Field value
+ * @param name - Field name
+ * @param depth - Nesting depth (objects deeper than 4 levels are summarized)
+ * @returns Value safe to log
+ */
+function redact(value: unknown, name: string = '', depth: number = 0): unknown {
+  if (SECRET_FIELDS.has(name.toLowerCase())) return value ? '[REDACTED]' : value;
+  if (PERSONAL_FIELDS.has(name)) {
+    return Array.isArray(value) ? value.map(item => redactValue(item)) : redactValue(value);
+  }
+  if (KEY_FIELDS.has(name)) {
+    if (typeof value === 'string') return redactCacheKey(value);
+    if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? redactCacheKey(item) : item));
+  }
+
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 4) return '[Object]';
+
+  if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+
+  const result: LogFields = {};
+  Object.entries(value as LogFields).forEach(([key, item]) => {
+    result[key] = redact(item, key, depth + 1);
+  });
+  return result;
+}
+
+/**
+ * Convert an error to loggable fields
+ * @param error - Error (axios errors contribute their status and code)
+ * @returns Error fields
+ */
+function serializeError(error: Error): LogFields {
+  const details = error as Error & { code?: string; response?: { status?: number } };
+  return {
+    name: error.name,
+    message: error.message,
+    ...(details.code ? { code: details.code } : {}),
+    ...(details.response?.status ? { status: details.response.status } : {})
+  };
+}
+
+/**
+ * Create a logger for a component
+ * @param component - Component name included in every line (e.g. cache, search-api)
+ * @param options - levelEnv names an environment variable overriding LOG_LEVEL
+ * @returns Logger
+ */
+export function createLogger(component: string, options: { levelEnv?: string } = {}): Logger {
+  let level = parseLevel(options.levelEnv ? process.env[options.levelEnv] : undefined)
+    ?? parseLevel(process.env.LOG_LEVEL)
+    ?? LogLevel.INFO;
+
+  const write = (lineLevel: LogLevel, message: string, fields?: LogFields) => {
+    if (lineLevel > level) return;
+
+    const spanContext = trace.getActiveSpan()?.spanContext();
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level: LEVEL_NAMES[lineLevel],
+      component,
+      msg: message,
+      requestId: getRequestId(),
+      traceId: spanContext && isSpanContextValid(spanContext) ? spanContext.traceId : undefined,
+      ...(fields ? (redact(fields) as LogFields) : {})
+    });
+
+    if (lineLevel === LogLevel.ERROR) console.error(line);
+    else if (lineLevel === LogLevel.WARN) console.warn(line);
+    else console.log(line);
+  };
+
+  return {
+    error: (message, fields) => write(LogLevel.ERROR, message, fields),
+    warn: (message, fields) => write(LogLevel.WARN, message, fields),
+    info: (message, fields) => write(LogLevel.INFO, message, fields),
+    debug: (message, fields) => write(LogLevel.DEBUG, message, fields),
+    isEnabled: lineLevel => lineLevel <= level,
+    getLevel: () => level,
+    setLevel: newLevel => {
+      level = newLevel;
+    }
+  };
+}
+
+/**
+ * Get the ID of the request being handled
+ * @returns Request ID, or undefined outside a request
+ */
+export function getRequestId(): string | undefined {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Wrap an API route so it runs with a request ID
+ * Reuses a well-formed incoming X-Request-ID (e.g. from a proxy) and
+ * otherwise generates one; the ID is returned in the X-Request-ID header
+ * @param handler - Route handler
+ * @returns Handler running in a request context
+ */
+export function withRequestId(handler: NextApiHandler): NextApiHandler {
+  return (req: NextApiRequest, res: NextApiResponse) => {
+    const incoming = req.headers['x-request-id'];
+    const candidate = Array.isArray(incoming) ? incoming[0] : incoming;
+    const requestId = candidate && REQUEST_ID_PATTERN.test(candidate) ? candidate : randomUUID();
+
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+    return requestContext.run({ requestId }, () => handler(req, res));
+  };
+}
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Bounded in-memory LRU cache with size accounting
+ *
+ * Entries expire after their TTL and are evicted least recently used first
+ * once the cache exceeds its entry count or byte budget. Expired entries
+ * are removed lazily on access and by a periodic sweep. Used as the
+ * in-memory fallback when Redis is not configured and as a local cache in
+ * front of Redis.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+export interface LRUCacheOptions {
+  /** Maximum number of entries */
+  maxEntries: number;
+  /** Maximum total size of all entries in bytes */
+  maxBytes: number;
+  /** How often expired entries are swept (0 = only on access) */
+  sweepIntervalMs?: number;
+}
+
+export interface LRUCacheEntry<V> {
+  value: V;
+  expiresAt: number;
+  size: number;
+}
+
+export interface LRUCacheStats {
+  entries: number;
+  bytes: number;
+  maxEntries: number;
+  maxBytes: number;
+  hits: number;
+  misses: number;
+  evictions: number;
+  expirations: number;
+  rejected: number;
+}
+
+export class LRUCache<V = any> {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  private entries = new Map<string, LRUCacheEntry<V>>();
+  private bytes = 0;
+  private counters = { hits: 0, misses: 0, evictions: 0, expirations: 0, rejected: 0 };
+  private sweepTimer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(private options: LRUCacheOptions) {
+    if (options.sweepIntervalMs && options.sweepIntervalMs > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs);
+      // Never keep the process alive just for sweeping
+      if (typeof this.sweepTimer.unref === 'function') this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Number of entries, including expired entries not yet swept
+   */
+  get size(): number {
+    return this.entries.size;
+  }
+
+  /**
+   * Get a value and mark it as recently used
+   * @param key - Cache key
+   * @returns Value, or undefined if missing or expired
+   */
+  get(key: string): V | undefined {
+    const entry = this.peek(key);
+
+    if (!entry) {
+      this.counters.misses++;
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Get an entry without changing its recency or the hit counters
+   * @param key - Cache key
+   * @returns Entry, or null if missing or expired
+   */
+  peek(key: string): LRUCacheEntry<V> | null {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key, entry);
+      this.counters.expirations++;
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Check whether a key holds an unexpired value
+   * @param key - Cache key
+   * @returns Whether the key exists
+   */
+  has(key: string): boolean {
+    return this.peek(key) !== null;
+  }
+
+  /**
+   * Store a value, evicting least recently used entries to stay within budget
+   * @param key - Cache key
+   * @param value - Value to store
+   * @param ttlSeconds - Time to live in seconds
+   * @param size - Size in bytes (defaults to the length of the JSON encoding)
+   * @returns Whether the value was stored (false if it exceeds the byte budget on its own)
+   */
+  set(key: string, value: V, ttlSeconds: number, size?: number): boolean {
+    const entrySize = size ?? Buffer.byteLength(JSON.stringify(value) || '');
+
+    const existing = this.entries.get(key);
+    if (existing) this.remove(key, existing);
+
+    if (entrySize > this.options.maxBytes) {
+      this.counters.rejected++;
+      return false;
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000, size: entrySize });
+    this.bytes += entrySize;
+
+    this.evict();
+    return true;
+  }
+
+  /**
+   * Remove a key
+   * @param key - Cache key
+   * @returns Whether the key existed
+   */
+  delete(key: string): boolean {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.remove(key, entry);
+    return true;
+  }
+
+  /**
+   * List all keys, least recently used first
+   * @returns Snapshot of the keys (safe to delete from while iterating)
+   */
+  keys(): string[] {
+    return Array.from(this.entries.keys());
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear(): void {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Remove all expired entries
+   * @returns Number of entries removed
+   */
+  sweep(): number {
+    const now = Date.now();
+    let removed = 0;
+
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.remove(key, entry);
+        removed++;
+      }
+    });
+
+    this.counters.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Get size, budget and eviction counters
+   * @returns Cache statistics
+   */
+  getStats(): LRUCacheStats {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.options.maxEntries,
+      maxBytes: this.options.maxBytes,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Remove an entry and release its bytes
+   * @param key - Cache key
+   * @param entry - Entry stored under the key
+   */
+  private remove(key: string, entry: LRUCacheEntry<V>): void {
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+  }
+
+  /**
+   * Evict least recently used entries until the cache is within budget
+   * Expired entries go first since they cost nothing to drop
+   */
+  private evict(): void {
+    if (this.entries.size <= this.options.maxEntries && this.bytes <= this.options.maxBytes) return;
+
+    this.sweep();
+
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.options.maxEntries && this.bytes <= this.options.maxBytes) break;
+
+      this.remove(key, entry);
+      this.counters.evictions++;
+    }
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Service metrics in OpenMetrics format
+ *
+ * Counters and latency histograms for the API routes, cache operations,
+ * backend calls, prefetches and suggestion sources. Each instance buffers
+ * increments in memory and flushes them every METRICS_FLUSH_INTERVAL_MS into
+ * one Redis hash with HINCRBYFLOAT, so /api/metrics reports totals across
+ * all instances instead of per-container values. Serverless instances may be
+ * frozen between requests and never run that timer, so routes wrapped with
+ * withMetrics also flush at the end of every request, waiting at most
+ * METRICS_REQUEST_FLUSH_TIMEOUT_MS. Increments still pending when an
+ * instance is recycled are lost, so the aggregate is best-effort. Without
+ * Redis (or while its circuit is open) the totals of this instance are
+ * reported.
+ *
+ * Histograms are stored as their cumulative bucket, sum and count series,
+ * which keeps every series a plain counter in Redis.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+import { getRedisClient } from './redis-client';
+import { createLogger } from './logger';
+
+const logger = createLogger('metrics');
+
+const METRICS_PREFIX = 'su_search_';
+const METRICS_KEY = 'metrics:aggregate';
+const FLUSH_INTERVAL_MS = parseInt(process.env.METRICS_FLUSH_INTERVAL_MS || '', 10) || 10000;
+const REQUEST_FLUSH_TIMEOUT_MS = parseInt(process.env.METRICS_REQUEST_FLUSH_TIMEOUT_MS || '', 10) || 250;
+
+// Latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+type MetricType = 'counter' | 'histogram';
+
+interface MetricFamily {
+  type: MetricType;
+  help: string;
+  buckets?: number[];
+}
+
+export type MetricLabels = Record<string, string | number>;
+
+// Every metric the service records
+const FAMILIES: Record<string, MetricFamily> = {
+  http_requests: { type: 'counter', help: 'API requests by route, method and status code' },
+  http_request_duration_seconds: { type: 'histogram', help: 'API request duration by route', buckets: LATENCY_BUCKETS },
+  cache_operations: { type: 'counter', help: 'Cache lookups and writes by category and result' },
+  backend_requests: { type: 'counter', help: 'Backend request attempts by path and status or error code' },
+  backend_request_duration_seconds: { type: 'histogram', help: 'Backend request attempt duration by path', buckets: LATENCY_BUCKETS },
+  backend_retries: { type: 'counter', help: 'Backend request retries by path' },
+  prefetch_outcomes: { type: 'counter', help: 'Prefetch requests by outcome' },
+  prefetch_duration_seconds: { type: 'histogram', help: 'Time from prefetch request to cached result', buckets: LATENCY_BUCKETS },
+  suggestion_duration_seconds: { type: 'histogram', help: 'Suggestion source latency by type and outcome', buckets: LATENCY_BUCKETS }
+};
+
+// Totals recorded by this instance and increments not yet flushed to Redis
+const localTotals = new Map<string, number>();
+const pendingDeltas = new Map<string, number>();
+let flushTimer: ReturnType<typeof setTimeout> | null = null;
+
+/**
+ * Build the storage field of a sample
+ * Labels are sorted so the same series always maps to the same field
+ * @param sample - Sample name (family name plus _total, _bucket, _sum or _count)
+ * @param labels - Sample labels
+ * @returns Field name
+ */
+function seriesField(sample: string, labels: MetricLabels): string {
+  const sorted = Object.keys(labels).sort().map(key => [key, String(labels[key])]);
+  return JSON.stringify([sample, sorted]);
+}
+
+/**
+ * Format a bucket bound as a canonical le label value
+ * @param bound - Upper bound
+ * @returns Label value (integers keep a decimal point, e.g. 1.0)
+ */
+function formatBucket(bound: number): string {
+  return Number.isInteger(bound) ? bound.toFixed(1) : String(bound);
+}
+
+/**
+ * Add to a sample locally and schedule a flush to Redis
+ * @param sample - Sample name
+ * @param labels - Sample labels
+ * @param value - Increment
+ */
+function add(sample: string, labels: MetricLabels, value: number): void {
+  const field = seriesField(sample, labels);
+  localTotals.set(field, (localTotals.get(field) || 0) + value);
+  pendingDeltas.set(field, (pendingDeltas.get(field) || 0) + value);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      flushMetrics().catch(() => undefined);
+    }, FLUSH_INTERVAL_MS);
+    // Never keep the process alive just for flushing
+    if (typeof flushTimer.unref === 'function') flushTimer.unref();
+  }
+}
+
+/**
+ * Increment a counter
+ * @param name - Counter family name
+ * @param labels - Series labels
+ * @param value - Increment (defaults to 1)
+ */
+export function incrementCounter(name: string, labels: MetricLabels = {}, value: number = 1): void {
+  if (FAMILIES[name]?.type !== 'counter') return;
+  add(`${name}_total`, labels, value);
+}
+
+/**
+ * Record an observation in a histogram
+ * @param name - Histogram family name
+ * @param labels - Series labels
+ * @param value - Observed value (seconds for durations)
+ */
+export function observeHistogram(name: string, labels: MetricLabels, value: number): void {
+  const family = FAMILIES[name];
+  if (family?.type !== 'histogram') return;
+
+  (family.buckets || []).forEach(bucket => {
+    if (value <= bucket) add(`${name}_bucket`, { ...labels, le: formatBucket(bucket) }, 1);
+  });
+  add(`${name}_bucket`, { ...labels, le: '+Inf' }, 1);
+  add(`${name}_sum`, labels, value);
+  add(`${name}_count`, labels, 1);
+}
+
+/**
+ * Flush buffered increments into the shared Redis hash
+ * Increments are kept for the next flush if Redis is unavailable
+ * @returns Whether the increments reached Redis
+ */
+export async function flushMetrics(): Promise<boolean> {
+  const redisClient = getRedisClient();
+  if (!redisClient) return false;
+  if (pendingDeltas.size === 0) return true;
+
+  const batch = Array.from(pendingDeltas.entries());
+  pendingDeltas.clear();
+
+  try {
+    const pipeline = redisClient.pipeline();
+    batch.forEach(([field, delta]) => pipeline.hincrbyfloat(METRICS_KEY, field, delta));
+    const results = await pipeline.exec();
+
+    const failed = (results || []).some(([error]) => error);
+    if (failed) throw new Error('HINCRBYFLOAT failed');
+    return true;
+  } catch (error) {
+    // Put the increments back so they are not lost
+    batch.forEach(([field, delta]) => pendingDeltas.set(field, (pendingDeltas.get(field) || 0) + delta));
+    logger.error('Error flushing metrics', { error });
+    return false;
+  }
+}
+
+/**
+ * Get the totals to report: the shared Redis totals or, without Redis, this instance's
+ * @returns Sample values by field and whether they are aggregated across instances
+ */
+async function readTotals(): Promise<{ totals: Map<string, number>; aggregated: boolean }> {
+  const redisClient = getRedisClient();
+
+  if (redisClient && (await flushMetrics())) {
+    try {
+      const stored = await redisClient.hgetall(METRICS_KEY);
+      const totals = new Map<string, number>();
+      Object.entries(stored).forEach(([field, value]) => totals.set(field, parseFloat(value)));
+      return { totals, aggregated: true };
+    } catch (error) {
+      logger.error('Error reading aggregated metrics', { error });
+    }
+  }
+
+  return { totals: localTotals, aggregated: false };
+}
+
+/**
+ * Escape a label value for the text format
+ * @param value - Label value
+ * @returns Escaped value
+ */
+function escapeLabelValue(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample line
+ * @param sample - Sample name without the prefix
+ * @param labels - Label pairs
+ * @param value - Sample value
+ * @returns Sample line
+ */
+function formatSample(sample: string, labels: Array<[string, string]>, value: number): string {
+  const labelText = labels.length
+    ? `{${labels.map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',')}}`
+    : '';
+  return `${METRICS_PREFIX}${sample}${labelText} ${value}`;
+}
+
+/**
+ * Render all metrics in the OpenMetrics text format
+ * @returns Exposition text and whether it covers all instances
+ */
+export async function renderMetrics(): Promise<{ body: string; aggregated: boolean }> {
+  const { totals, aggregated } = await readTotals();
+
+  // Group samples by family, then by series (labels without le)
+  const families = new Map<string, Map<string, Map<string, number>>>();
+
+  totals.forEach((value, field) => {
+    let sample: string;
+    let labels: Array<[string, string]>;
+    try {
+      [sample, labels] = JSON.parse(field);
+    } catch {
+      return;
+    }
+
+    const name = sample.replace(/_(total|bucket|sum|count)$/, '');
+    if (!FAMILIES[name]) return;
+
+    const le = labels.find(([key]) => key === 'le');
+    const seriesLabels = labels.filter(([key]) => key !== 'le');
+    const seriesKey = JSON.stringify(seriesLabels);
+
+    if (!families.has(name)) families.set(name, new Map());
+    const series = families.get(name)!;
+    if (!series.has(seriesKey)) series.set(seriesKey, new Map());
+
+    series.get(seriesKey)!.set(le ? `bucket:${le[1]}` : sample.slice(name.length + 1), value);
+  });
+
+  const lines: string[] = [];
+
+  Object.entries(FAMILIES).forEach(([name, family]) => {
+    lines.push(`# TYPE ${METRICS_PREFIX}${name} ${family.type}`);
+    lines.push(`# HELP ${METRICS_PREFIX}${name} ${family.help}`);
+
+    families.get(name)?.forEach((values, seriesKey) => {
+      const labels: Array<[string, string]> = JSON.parse(seriesKey);
+
+      if (family.type === 'counter') {
+        lines.push(formatSample(`${name}_total`, labels, values.get('total') || 0));
+        return;
+      }
+
+      // Buckets in increasing order, as the format requires
+      [...(family.buckets || []).map(formatBucket), '+Inf'].forEach(le => {
+        lines.push(formatSample(`${name}_bucket`, [...labels, ['le', le]], values.get(`bucket:${le}`) || 0));
+      });
+      lines.push(formatSample(`${name}_count`, labels, values.get('count') || 0));
+      lines.push(formatSample(`${name}_sum`, labels, values.get('sum') || 0));
+    });
+  });
+
+  lines.push('# EOF');
+  return { body: `${lines.join('\n')}\n`, aggregated };
+}
+
+/**
+ * Flush buffered increments, giving up after a time limit
+ * Increments of a flush that is still running stay with it
+ * @param timeoutMs - Time limit in milliseconds
+ * @param after - Promise to wait for before flushing
+ */
+async function flushWithin(timeoutMs: number, after: Promise<void>): Promise<void> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<void>(resolve => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+
+  try {
+    await Promise.race([after.then(() => flushMetrics()), timeout]);
+  } catch {
+    // Flushing is best-effort and must never fail the request
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Wrap an API route so its requests are counted and timed
+ * The buffered increments are flushed once the response has finished
+ * @param route - Route label (e.g. /api/search)
+ * @param handler - Route handler
+ * @returns Instrumented handler
+ */
+export function withMetrics(route: string, handler: NextApiHandler): NextApiHandler {
+  return async (req: NextApiRequest, res: NextApiResponse) => {
+    const startedAt = process.hrtime.bigint();
+
+    const finished = new Promise<void>(resolve => {
+      res.once('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        incrementCounter('http_requests', { route, method: req.method || 'GET', status: res.statusCode });
+        observeHistogram('http_request_duration_seconds', { route }, seconds);
+        resolve();
+      });
+      // Aborted requests never finish
+      res.once('close', resolve);
+    });
+
+    try {
+      return await handler(req, res);
+    } finally {
+      await flushWithin(REQUEST_FLUSH_TIMEOUT_MS, finished);
+    }
+  };
+}
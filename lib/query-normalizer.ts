@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Server-side access to the canonical query normalizer
+ *
+ * Wraps public/js/QueryNormalizer.js, the same file served to the browser,
+ * so server and client cache keys cannot drift apart.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import QueryNormalizer from '../public/js/QueryNormalizer';
+
+export interface NormalizeOptions {
+  /** Strip accents ("café" -> "cafe") */
+  foldDiacritics?: boolean;
+  /** Drop common stopwords */
+  removeStopwords?: boolean;
+}
+
+/**
+ * Normalize a query string
+ * @param query - Original query
+ * @param options - Normalization options
+ * @returns Normalized query
+ */
+export function normalizeQuery(query: string, options: NormalizeOptions = {}): string {
+  return QueryNormalizer.normalize(query, options);
+}
+
+/**
+ * Normalize a query for use in a cache key
+ * @param query - Original query
+ * @returns Normalized query, identical to the browser's output
+ */
+export function normalizeQueryForCacheKey(query: string): string {
+  return QueryNormalizer.normalizeForCacheKey(query);
+}
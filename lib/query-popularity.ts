@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Shared query popularity tracking
+ *
+ * Query lookups are counted in Redis sorted sets bucketed by time, so the
+ * counts survive cold starts and are shared by every instance. Each window
+ * combines its buckets with exponentially decaying weights:
+ * - hour: 12 five-minute buckets, half-life 30 minutes
+ * - day: 24 one-hour buckets, half-life 6 hours
+ * - week: 7 one-day buckets, half-life 2 days
+ * Combined scores are cached in Redis for a minute. Without Redis the same
+ * buckets are kept in memory.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import type Redis from 'ioredis';
+import { getRedisClient } from './redis-client';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+import { createLogger } from './logger';
+
+const logger = createLogger('query-popularity');
+
+export type PopularityWindow = 'hour' | 'day' | 'week';
+
+export interface PopularQuery {
+  query: string;
+  score: number;
+}
+
+const WINDOWS: Record<PopularityWindow, { bucketMs: number; buckets: number; halfLifeMs: number }> = {
+  hour: { bucketMs: 5 * 60 * 1000, buckets: 12, halfLifeMs: 30 * 60 * 1000 },
+  day: { bucketMs: 60 * 60 * 1000, buckets: 24, halfLifeMs: 6 * 60 * 60 * 1000 },
+  week: { bucketMs: 24 * 60 * 60 * 1000, buckets: 7, halfLifeMs: 2 * 24 * 60 * 60 * 1000 }
+};
+
+const KEY_PREFIX = 'popularity:';
+const AGGREGATE_TTL = 60; // seconds a combined window stays cached
+
+// Bucket counts when Redis is not configured
+const memoryBuckets = new Map<string, { expiry: number; counts: Map<string, number> }>();
+
+/**
+ * Get the key of a bucket
+ * @param window - Popularity window
+ * @param start - Bucket start time in milliseconds
+ * @returns Bucket key
+ */
+function bucketKey(window: PopularityWindow, start: number): string {
+  return `${KEY_PREFIX}${window}:${start}`;
+}
+
+/**
+ * List the buckets of a window with their decay weights, newest first
+ * @param window - Popularity window
+ * @param now - Current time in milliseconds
+ * @returns Bucket keys and weights
+ */
+function windowBuckets(window: PopularityWindow, now: number): { key: string; weight: number }[] {
+  const { bucketMs, buckets, halfLifeMs } = WINDOWS[window];
+  const current = Math.floor(now / bucketMs) * bucketMs;
+
+  return Array.from({ length: buckets }, (_, index) => {
+    const start = current - index * bucketMs;
+    const age = Math.max(0, now - (start + bucketMs / 2));
+    return { key: bucketKey(window, start), weight: Math.pow(0.5, age / halfLifeMs) };
+  });
+}
+
+/**
+ * Combine the buckets of a window into a cached Redis sorted set
+ * @param redis - Redis client
+ * @param window - Popularity window
+ * @returns Key of the combined set
+ */
+async function aggregateWindow(redis: Redis, window: PopularityWindow): Promise<string> {
+  const aggregateKey = `${KEY_PREFIX}${window}:combined`;
+
+  if (await redis.exists(aggregateKey)) {
+    return aggregateKey;
+  }
+
+  const buckets = windowBuckets(window, Date.now());
+  await redis
+    .multi()
+    .zunionstore(
+      aggregateKey,
+      buckets.length,
+      ...buckets.map(bucket => bucket.key),
+      'WEIGHTS',
+      ...buckets.map(bucket => bucket.weight)
+    )
+    .expire(aggregateKey, AGGREGATE_TTL)
+    .exec();
+
+  return aggregateKey;
+}
+
+/**
+ * Combine the in-memory buckets of a window
+ * @param window - Popularity window
+ * @returns Decayed score per query
+ */
+function aggregateMemoryWindow(window: PopularityWindow): Map<string, number> {
+  const scores = new Map<string, number>();
+
+  for (const { key, weight } of windowBuckets(window, Date.now())) {
+    const bucket = memoryBuckets.get(key);
+    if (!bucket || bucket.expiry <= Date.now()) continue;
+
+    bucket.counts.forEach((count, query) => {
+      scores.set(query, (scores.get(query) || 0) + count * weight);
+    });
+  }
+
+  return scores;
+}
+
+/**
+ * Count a lookup of a query in every window
+ * @param query - Query string (normalized here)
+ */
+export async function recordQueryHit(query: string): Promise<void> {
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+  if (!normalizedQuery) return;
+
+  const now = Date.now();
+  const redis = getRedisClient();
+
+  try {
+    if (redis) {
+      const pipeline = redis.pipeline();
+      (Object.keys(WINDOWS) as PopularityWindow[]).forEach(window => {
+        const { bucketMs, buckets } = WINDOWS[window];
+        const key = bucketKey(window, Math.floor(now / bucketMs) * bucketMs);
+        pipeline.zincrby(key, 1, normalizedQuery).pexpire(key, bucketMs * (buckets + 1));
+      });
+      await pipeline.exec();
+      return;
+    }
+
+    (Object.keys(WINDOWS) as PopularityWindow[]).forEach(window => {
+      const { bucketMs, buckets } = WINDOWS[window];
+      const key = bucketKey(window, Math.floor(now / bucketMs) * bucketMs);
+
+      if (!memoryBuckets.has(key)) {
+        memoryBuckets.set(key, { expiry: now + bucketMs * (buckets + 1), counts: new Map() });
+      }
+      const counts = memoryBuckets.get(key)!.counts;
+      counts.set(normalizedQuery, (counts.get(normalizedQuery) || 0) + 1);
+    });
+
+    // Drop expired buckets
+    memoryBuckets.forEach((bucket, key) => {
+      if (bucket.expiry <= now) memoryBuckets.delete(key);
+    });
+  } catch (error) {
+    logger.error('Failed to record hit', { error });
+  }
+}
+
+/**
+ * Get the decayed popularity score of a query
+ * @param query - Query string (normalized here)
+ * @param window - Popularity window
+ * @returns Score (roughly the recent number of lookups), 0 if unknown
+ */
+export async function getQueryScore(query: string, window: PopularityWindow = 'day'): Promise<number> {
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+  if (!normalizedQuery) return 0;
+
+  const redis = getRedisClient();
+
+  try {
+    if (redis) {
+      const aggregateKey = await aggregateWindow(redis, window);
+      const score = await redis.zscore(aggregateKey, normalizedQuery);
+      return score ? parseFloat(score) : 0;
+    }
+
+    return aggregateMemoryWindow(window).get(normalizedQuery) || 0;
+  } catch (error) {
+    logger.error('Failed to read score', { error });
+    return 0;
+  }
+}
+
+/**
+ * Get the decayed popularity scores of several queries in one round trip
+ * @param queries - Query strings (normalized here)
+ * @param window - Popularity window
+ * @returns Score per normalized query, 0 if unknown
+ */
+export async function getQueryScores(
+  queries: string[],
+  window: PopularityWindow = 'day'
+): Promise<Map<string, number>> {
+  const normalizedQueries = Array.from(new Set(queries.map(normalizeQueryForCacheKey).filter(Boolean)));
+  const scores = new Map<string, number>(normalizedQueries.map(query => [query, 0]));
+  if (normalizedQueries.length === 0) return scores;
+
+  const redis = getRedisClient();
+
+  try {
+    if (redis) {
+      const aggregateKey = await aggregateWindow(redis, window);
+      const pipeline = redis.pipeline();
+      normalizedQueries.forEach(query => pipeline.zscore(aggregateKey, query));
+      const results = (await pipeline.exec()) || [];
+
+      results.forEach(([error, score], index) => {
+        if (!error && score) scores.set(normalizedQueries[index], parseFloat(score as string));
+      });
+      return scores;
+    }
+
+    const aggregate = aggregateMemoryWindow(window);
+    normalizedQueries.forEach(query => scores.set(query, aggregate.get(query) || 0));
+    return scores;
+  } catch (error) {
+    logger.error('Failed to read scores', { error });
+    return scores;
+  }
+}
+
+/**
+ * Get the most popular queries in a window
+ * @param window - Popularity window
+ * @param n - Maximum number of queries
+ * @returns Queries with their decayed scores, most popular first
+ */
+export async function getTopQueries(window: PopularityWindow, n: number): Promise<PopularQuery[]> {
+  if (n <= 0) return [];
+
+  const redis = getRedisClient();
+
+  try {
+    if (redis) {
+      const aggregateKey = await aggregateWindow(redis, window);
+      const flat = await redis.zrevrange(aggregateKey, 0, n - 1, 'WITHSCORES');
+
+      const results: PopularQuery[] = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        results.push({ query: flat[i], score: parseFloat(flat[i + 1]) });
+      }
+      return results;
+    }
+
+    return Array.from(aggregateMemoryWindow(window).entries())
+      .map(([query, score]) => ({ query, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, n);
+  } catch (error) {
+    logger.error('Failed to read top queries', { error });
+    return [];
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Shared Redis connection
+ *
+ * Creates the single ioredis client used by the cache and the admin
+ * services. Returns null when no Redis URL is configured so callers can
+ * fall back to their in-memory implementations. Every command runs through
+ * a circuit breaker: after REDIS_BREAKER_THRESHOLD consecutive failures the
+ * client is reported as unavailable (null) and commands fail fast, so a
+ * Redis outage degrades to the in-memory fallbacks instead of adding a
+ * timeout to every request. A probe is let through every
+ * REDIS_BREAKER_RESET_MS to detect recovery; while it is in flight the
+ * client is reported as unavailable as well.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import Redis from 'ioredis';
+import { CircuitBreaker, CircuitOpenError, CircuitBreakerStats } from './circuit-breaker';
+import { createLogger } from './logger';
+
+const logger = createLogger('redis');
+
+// Commands give up quickly so a slow Redis cannot stall requests
+const REDIS_COMMAND_TIMEOUT_MS = parseInt(process.env.REDIS_COMMAND_TIMEOUT_MS || '', 10) || 500;
+
+const redisBreaker = new CircuitBreaker('redis', {
+  failureThreshold: parseInt(process.env.REDIS_BREAKER_THRESHOLD || '', 10) || 5,
+  resetTimeoutMs: parseInt(process.env.REDIS_BREAKER_RESET_MS || '', 10) || 10000
+});
+
+// Lazily created client (undefined = not yet initialized)
+let redisClient: Redis | null | undefined;
+
+/**
+ * Create the client and route its commands through the circuit breaker
+ * @param url - Redis connection URL
+ * @returns Redis client
+ */
+function createClient(url: string): Redis {
+  const client = new Redis(url, {
+    maxRetriesPerRequest: 1,
+    commandTimeout: REDIS_COMMAND_TIMEOUT_MS
+  });
+
+  // Connection errors surface through failing commands; avoid unhandled error events
+  client.on('error', error => {
+    logger.error('Connection error', { error });
+  });
+
+  // Every command (including pipelined ones) is sent through sendCommand
+  const sendCommand = client.sendCommand.bind(client);
+  client.sendCommand = ((command: any, ...args: any[]) => {
+    if (!redisBreaker.allowRequest()) {
+      command.reject(new CircuitOpenError('redis'));
+      return command.promise;
+    }
+
+    command.promise.then(
+      () => redisBreaker.recordSuccess(),
+      (error: Error) => redisBreaker.recordFailure(error)
+    );
+    return sendCommand(command, ...args);
+  }) as Redis['sendCommand'];
+
+  return client;
+}
+
+/**
+ * Check whether a Redis URL is configured
+ * @returns Whether Redis is configured
+ */
+export function isRedisConfigured(): boolean {
+  return !!(process.env.su_search_dev_012026_KV_URL || process.env.su_search_dev_012026_REDIS_URL);
+}
+
+/**
+ * Get the shared Redis client
+ * @returns Redis client, or null if Redis is not configured, its circuit is
+ * open, or the half-open probe is in flight
+ */
+export function getRedisClient(): Redis | null {
+  if (redisClient === undefined) {
+    const url = process.env.su_search_dev_012026_KV_URL
+      || process.env.su_search_dev_012026_REDIS_URL;
+
+    redisClient = url ? createClient(url) : null;
+  }
+
+  if (redisClient && !redisBreaker.isAvailable()) {
+    return null;
+  }
+
+  return redisClient;
+}
+
+/**
+ * Get the Redis circuit state for response headers and health checks
+ * @returns Circuit state, or "disabled" when Redis is not configured
+ */
+export function getRedisCircuitState(): CircuitBreakerStats['state'] | 'disabled' {
+  return isRedisConfigured() ? redisBreaker.getState() : 'disabled';
+}
+
+/**
+ * Get the Redis circuit breaker counters
+ * @returns Breaker statistics
+ */
+export function getRedisCircuitStats(): CircuitBreakerStats {
+  return redisBreaker.getStats();
+}
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Request coalescing for identical backend fetches
+ *
+ * Concurrent requests for the same normalized backend call share a single
+ * in-flight promise on this instance. When the Redis lease is enabled, one
+ * instance becomes the leader for a key and publishes its result under a
+ * short-lived key that followers on other instances poll for. Keys contain
+ * the query, so only their backend path is logged. A follower that gets the
+ * lease after waiting reads the shared result before fetching itself.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import {
+  acquireCacheLock,
+  releaseCacheLock,
+  getCachedData,
+  setCachedData
+} from './cache';
+import { createLogger } from './logger';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+
+// Parameters that never change the backend result
+const VOLATILE_PARAMS = ['sessionId', 'clientIp', 'prefetch'];
+
+const logger = createLogger('coalescer', { levelEnv: 'CACHE_LOG_LEVEL' });
+
+// Cross-instance lease settings
+const LEASE_ENABLED = process.env.COALESCE_REDIS_LEASE === 'true';
+const LEASE_TTL = 15; // seconds a leader may hold a key
+const RESULT_TTL = 30; // seconds a shared result stays readable
+const FOLLOWER_WAIT_MS = 10000;
+const FOLLOWER_POLL_MS = 150;
+
+// Promises for backend calls currently in flight on this instance
+const inflightRequests = new Map<string, Promise<any>>();
+
+// Coalescing counters
+const stats = {
+  leaders: 0,
+  joined: 0,
+  remoteResults: 0
+};
+
+export interface CoalesceOptions {
+  /** Share the call with other instances through a Redis lease */
+  lease?: boolean;
+}
+
+/**
+ * Build a stable key for a backend request
+ * Query text goes through the canonical normalizer; volatile parameters are dropped
+ * @param path - Backend path
+ * @param params - Request parameters
+ * @returns Coalescing key
+ */
+export function generateRequestKey(path: string, params: Record<string, any>): string {
+  const parts = Object.keys(params)
+    .filter(key => !VOLATILE_PARAMS.includes(key))
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => {
+      const value = Array.isArray(params[key]) ? params[key].join(',') : String(params[key]);
+      const normalized = key === 'query' ? normalizeQueryForCacheKey(value) : value;
+      return `${key}=${normalized}`;
+    });
+
+  return `${path}?${parts.join('&')}`;
+}
+
+/**
+ * Run a fetch once for all concurrent callers with the same key
+ * @param key - Coalescing key (see generateRequestKey)
+ * @param fetcher - Function performing the backend call
+ * @param options - Coalescing options
+ * @returns The shared result
+ */
+export function coalesceRequest<T>(
+  key: string,
+  fetcher: () => Promise<T>,
+  options: CoalesceOptions = {}
+): Promise<T> {
+  const existing = inflightRequests.get(key);
+  if (existing) {
+    stats.joined++;
+    logger.debug('Joined in-flight request', { path: key.split('?')[0] });
+    return existing;
+  }
+
+  stats.leaders++;
+  const useLease = options.lease ?? LEASE_ENABLED;
+  const promise = (useLease ? fetchWithLease(key, fetcher) : fetcher())
+    .finally(() => inflightRequests.delete(key));
+
+  inflightRequests.set(key, promise);
+  return promise;
+}
+
+/**
+ * Get the key a leader publishes its result under
+ * @param key - Coalescing key
+ * @returns Result key
+ */
+function getResultKey(key: string): string {
+  return `coalesce-result:${key}`;
+}
+
+/**
+ * Read the result published by another instance's leader
+ * @param key - Coalescing key
+ * @returns The shared result, or null when none is published
+ */
+async function readSharedResult(key: string): Promise<any> {
+  const shared = await getCachedData(getResultKey(key));
+  if (shared !== null) {
+    stats.remoteResults++;
+    logger.debug('Received shared result from another instance', { path: key.split('?')[0] });
+  }
+  return shared;
+}
+
+/**
+ * Fetch as the cross-instance leader, or wait for the leader's result
+ * Falls back to fetching directly if the leader does not publish in time
+ * @param key - Coalescing key
+ * @param fetcher - Function performing the backend call
+ * @returns The fetched or shared result
+ */
+async function fetchWithLease<T>(key: string, fetcher: () => Promise<T>): Promise<T> {
+  const lockName = `coalesce:${key}`;
+  const resultKey = getResultKey(key);
+  const deadline = Date.now() + FOLLOWER_WAIT_MS;
+  let waited = false;
+
+  while (Date.now() < deadline) {
+    const token = await acquireCacheLock(lockName, LEASE_TTL);
+
+    if (token) {
+      try {
+        // The leader we waited for may have published and released since the last poll
+        const shared = waited ? await readSharedResult(key) : null;
+        if (shared !== null) return shared as T;
+
+        const result = await fetcher();
+        await setCachedData(resultKey, result, RESULT_TTL);
+        return result;
+      } finally {
+        await releaseCacheLock(lockName, token);
+      }
+    }
+
+    // Another instance holds the lease - wait for its result
+    waited = true;
+    await new Promise(resolve => setTimeout(resolve, FOLLOWER_POLL_MS));
+
+    const shared = await readSharedResult(key);
+    if (shared !== null) return shared as T;
+  }
+
+  logger.warn('Lease wait timed out, fetching directly', { path: key.split('?')[0] });
+  return fetcher();
+}
+
+/**
+ * Get coalescing statistics
+ * @returns Counters and the number of requests in flight
+ */
+export function getCoalescingStats(): {
+  inflight: number;
+  leaders: number;
+  joined: number;
+  remoteResults: number;
+} {
+  return {
+    inflight: inflightRequests.size,
+    ...stats
+  };
+}
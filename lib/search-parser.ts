@@ -0,0 +1,512 @@
+/**
+ * @fileoverview Funnelback partial HTML parser
+ *
+ * This module converts the partial HTML rendered by the Funnelback templates
+ * (see docs/*.ftl) into a normalized result model so that React components
+ * and other campus applications can render search results without scraping
+ * markup themselves. Parsing is intentionally markup-driven: every selector
+ * used here maps to a class name emitted by one of the stencil templates.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * A single search result
+ */
+export interface SearchResultItem {
+  /** Display title of the result */
+  title: string;
+  /** Click tracking URL used by the rendered link */
+  url: string;
+  /** Live URL of the indexed document */
+  liveUrl: string | null;
+  /** Plain-text summary */
+  summary: string;
+  /** Result template type (generic, program, people, news) */
+  type: string;
+  /** Subtitle lines (faculty, position, department, ...) */
+  subtitles: string[];
+  /** Tags listed on the result (areas of expertise, credits, ...) */
+  tags: string[];
+  /** Thumbnail image if the template rendered one */
+  image: string | null;
+  /** Additional metadata taken from data attributes */
+  metadata: Record<string, string>;
+}
+
+/**
+ * A facet category value
+ */
+export interface SearchFacetValue {
+  label: string;
+  count: number | null;
+  selected: boolean;
+  url: string;
+}
+
+/**
+ * A facet with its categories
+ */
+export interface SearchFacet {
+  name: string;
+  type: string;
+  selected: boolean;
+  clearUrl: string | null;
+  values: SearchFacetValue[];
+}
+
+/**
+ * A result tab
+ */
+export interface SearchTab {
+  id: string;
+  label: string;
+  count: number;
+  selected: boolean;
+  disabled: boolean;
+  url: string | null;
+}
+
+/**
+ * A pagination link
+ */
+export interface SearchPage {
+  label: string;
+  url: string | null;
+  selected: boolean;
+}
+
+/**
+ * Pagination information
+ */
+export interface SearchPagination {
+  currentPage: number | null;
+  start: number | null;
+  end: number | null;
+  previousUrl: string | null;
+  nextUrl: string | null;
+  pages: SearchPage[];
+}
+
+/**
+ * Spelling suggestion
+ */
+export interface SearchSpelling {
+  text: string;
+  url: string;
+}
+
+/**
+ * Normalized search response model
+ */
+export interface SearchResponseModel {
+  query: string;
+  totalMatching: number;
+  results: SearchResultItem[];
+  facets: SearchFacet[];
+  tabs: SearchTab[];
+  spelling: SearchSpelling | null;
+  pagination: SearchPagination;
+}
+
+// Named HTML entities emitted by the templates
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“'
+};
+
+/**
+ * Decode HTML entities in a string
+ * @param value - Encoded string
+ * @returns Decoded string
+ */
+export function decodeEntities(value: string): string {
+  if (!value) return '';
+
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.substring(2), 16)
+        : parseInt(entity.substring(1), 10);
+      // Code points beyond Unicode would make fromCodePoint throw
+      return isNaN(codePoint) || codePoint > 0x10FFFF ? match : String.fromCodePoint(codePoint);
+    }
+
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Strip tags, comments and redundant whitespace from an HTML fragment
+ * @param html - HTML fragment
+ * @returns Plain text
+ */
+export function toPlainText(html: string): string {
+  if (!html) return '';
+
+  const withoutMarkup = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|svg)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities(withoutMarkup).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read an attribute from an HTML tag's attribute string
+ * @param attributes - Raw attribute string of a tag
+ * @param name - Attribute name
+ * @returns Decoded attribute value or null if absent
+ */
+function getAttribute(attributes: string, name: string): string | null {
+  const pattern = new RegExp(`(?:^|\\s)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i');
+  const match = attributes.match(pattern);
+  if (!match) return null;
+
+  return decodeEntities(match[1] !== undefined ? match[1] : match[2]);
+}
+
+/**
+ * Check whether a tag's class attribute contains a class name
+ * @param attributes - Raw attribute string of a tag
+ * @param className - Class to look for
+ * @returns Whether the class is present
+ */
+function hasClass(attributes: string, className: string): boolean {
+  const classes = getAttribute(attributes, 'class');
+  if (!classes) return false;
+
+  return classes.split(/\s+/).includes(className);
+}
+
+/**
+ * An element extracted from an HTML fragment
+ */
+interface HtmlElement {
+  /** Offset of the opening tag in the source fragment */
+  index: number;
+  /** Raw attribute string of the opening tag */
+  attributes: string;
+  /** Inner HTML up to the balanced closing tag */
+  inner: string;
+}
+
+/**
+ * Extract elements of a tag whose opening tag satisfies a predicate.
+ * Closing tags are balanced so nested elements of the same tag are kept
+ * inside their parent instead of truncating it.
+ * @param html - HTML fragment to search
+ * @param tag - Tag name of the elements
+ * @param predicate - Test applied to each opening tag's attributes
+ * @returns Matching elements in document order
+ */
+function extractElements(
+  html: string,
+  tag: string,
+  predicate: (attributes: string) => boolean
+): HtmlElement[] {
+  const openPattern = new RegExp(`<${tag}\\b([^>]*)>`, 'gi');
+  const tokenPattern = new RegExp(`<(\\/?)${tag}\\b[^>]*>`, 'gi');
+  const elements: HtmlElement[] = [];
+  let open: RegExpExecArray | null;
+
+  while ((open = openPattern.exec(html)) !== null) {
+    if (!predicate(open[1])) continue;
+
+    const contentStart = open.index + open[0].length;
+    tokenPattern.lastIndex = contentStart;
+    let depth = 1;
+    let token: RegExpExecArray | null;
+    let contentEnd = html.length;
+
+    while ((token = tokenPattern.exec(html)) !== null) {
+      depth += token[1] ? -1 : 1;
+      if (depth === 0) {
+        contentEnd = token.index;
+        break;
+      }
+    }
+
+    elements.push({ index: open.index, attributes: open[1], inner: html.substring(contentStart, contentEnd) });
+  }
+
+  return elements;
+}
+
+/**
+ * Find the inner HTML of the first element carrying a class
+ * @param html - HTML fragment to search
+ * @param tag - Tag name of the element
+ * @param className - Class carried by the element
+ * @returns Inner HTML or null if not found
+ */
+function findElementByClass(html: string, tag: string, className: string): string | null {
+  const [element] = extractElements(html, tag, attributes => hasClass(attributes, className));
+  return element ? element.inner : null;
+}
+
+/**
+ * Find the inner HTML of every element carrying a class
+ * @param html - HTML fragment to search
+ * @param tag - Tag name of the elements
+ * @param className - Class carried by the elements
+ * @returns Inner HTML of all matches
+ */
+function findAllElementsByClass(html: string, tag: string, className: string): string[] {
+  return extractElements(html, tag, attributes => hasClass(attributes, className))
+    .map(element => element.inner);
+}
+
+/**
+ * Split an HTML document into chunks starting at each occurrence of a marker
+ * @param html - HTML document
+ * @param marker - Regular expression matching the opening tag of a chunk
+ * @returns Chunks, each starting at a marker
+ */
+function splitAt(html: string, marker: RegExp): string[] {
+  const chunks: string[] = [];
+  const indices: number[] = [];
+  const pattern = new RegExp(marker.source, marker.flags.includes('g') ? marker.flags : `${marker.flags}g`);
+  let match: RegExpExecArray | null;
+
+  while ((match = pattern.exec(html)) !== null) {
+    indices.push(match.index);
+  }
+
+  indices.forEach((start, i) => {
+    chunks.push(html.substring(start, i + 1 < indices.length ? indices[i + 1] : html.length));
+  });
+
+  return chunks;
+}
+
+/**
+ * Parse an integer from rendered text (handles thousands separators)
+ * @param value - Text to parse
+ * @returns Parsed number or null
+ */
+function parseCount(value: string | null | undefined): number | null {
+  if (!value) return null;
+
+  const digits = value.replace(/[^0-9]/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Parse the result listing items
+ * @param html - Partial HTML
+ * @returns Result items
+ */
+export function parseResults(html: string): SearchResultItem[] {
+  const articles = html.match(/<article\b[^>]*class="[^"]*\blisting-item\b[^"]*"[^>]*>[\s\S]*?<\/article>/gi) || [];
+
+  return articles.map(article => {
+    const openingTag = article.substring(0, article.indexOf('>') + 1);
+    const classes = getAttribute(openingTag, 'class') || '';
+    const typeMatch = classes.match(/listing-item--(generic|program|people|course)\b/);
+    const dataType = classes.match(/\b(generic|program|people|news)Data\b/);
+
+    // results.news.ftl reuses the course modifier, so prefer the data class
+    const type = dataType ? dataType[1] : typeMatch ? typeMatch[1] : 'generic';
+
+    const linkMatch = article.match(/<a\b([^>]*class="[^"]*\blisting-item__title-link\b[^"]*"[^>]*)>([\s\S]*?)<\/a>/i);
+    const linkAttributes = linkMatch ? linkMatch[1] : '';
+    const linkText = linkMatch ? toPlainText(linkMatch[2]) : '';
+
+    const imageMatch = article.match(/<img\b([^>]*class="[^"]*\blisting-item__image\b[^"]*"[^>]*)>/i);
+    const image = imageMatch
+      ? getAttribute(imageMatch[1], 'data-deferred-src') || getAttribute(imageMatch[1], 'src')
+      : null;
+
+    const subtitles = findAllElementsByClass(article, 'div', 'listing-item__subtitle')
+      .concat(findAllElementsByClass(article, 'p', 'listing-item__subtitle'))
+      .map(toPlainText)
+      .filter(Boolean);
+
+    const tags = findAllElementsByClass(article, 'li', 'listing-item__tag')
+      .map(toPlainText)
+      .filter(Boolean);
+
+    const metadata: Record<string, string> = {};
+    const indexUrl = getAttribute(openingTag, 'data-fb-result');
+    if (indexUrl) {
+      metadata.indexUrl = indexUrl;
+    }
+
+    return {
+      title: linkText || getAttribute(linkAttributes, 'title') || '',
+      url: getAttribute(linkAttributes, 'href') || '',
+      liveUrl: getAttribute(linkAttributes, 'data-live-url'),
+      summary: toPlainText(findElementByClass(article, 'div', 'listing-item__summary') || ''),
+      type: type === 'course' ? 'news' : type,
+      subtitles: Array.from(new Set(subtitles)),
+      tags,
+      image,
+      metadata
+    };
+  });
+}
+
+/**
+ * Parse the faceted navigation
+ * @param html - Partial HTML
+ * @returns Facets with their categories
+ */
+export function parseFacets(html: string): SearchFacet[] {
+  const groups = splitAt(html, /<div\b[^>]*data-component="facet-group"[^>]*>/i);
+
+  return groups.map(group => {
+    const nameMatch = group.match(/<button\b[^>]*data-component="facet-group-control"[^>]*>([\s\S]*?)<\/button>/i);
+    const typeMatch = group.match(/data-type="([^"]*)"/i);
+    const clearMatch = group.match(/<a\b([^>]*class="[^"]*\bfacet-group__clear\b[^"]*"[^>]*)>/i);
+
+    const values: SearchFacetValue[] = [];
+    const itemPattern = /<a\b([^>]*data-component="facet-group__list-item"[^>]*)>([\s\S]*?)<\/a>/gi;
+    let item: RegExpExecArray | null;
+
+    while ((item = itemPattern.exec(group)) !== null) {
+      const attributes = item[1];
+      const countMatch = item[2].match(/<span\b[^>]*class="[^"]*\bfacet-group__results-number\b[^"]*"[^>]*>([\s\S]*?)<\/span>/i);
+      const label = toPlainText(item[2].replace(/<span\b[^>]*facet-group__results-number[\s\S]*?<\/span>/i, ''));
+
+      values.push({
+        label,
+        count: countMatch ? parseCount(toPlainText(countMatch[1])) : null,
+        selected: hasClass(attributes, 'facet-group__list-item-selected') || getAttribute(attributes, 'aria-selected') === 'true',
+        url: getAttribute(attributes, 'href') || ''
+      });
+    }
+
+    return {
+      name: nameMatch ? toPlainText(nameMatch[1]) : '',
+      type: typeMatch ? typeMatch[1] : 'unknown',
+      selected: values.some(value => value.selected),
+      clearUrl: clearMatch ? getAttribute(clearMatch[1], 'href') : null,
+      values
+    };
+  }).filter(facet => facet.name && facet.values.length > 0);
+}
+
+/**
+ * Parse the result tabs
+ * @param html - Partial HTML
+ * @returns Tabs in display order
+ */
+export function parseTabs(html: string): SearchTab[] {
+  const isTab = (attributes: string) => hasClass(attributes, 'tab__button');
+  const links = extractElements(html, 'a', isTab).map(element => ({ ...element, link: true }));
+  const disabled = extractElements(html, 'span', isTab).map(element => ({ ...element, link: false }));
+
+  // Restore document order across both tag types
+  const ordered = links.concat(disabled).sort((a, b) => a.index - b.index);
+
+  const tabs: SearchTab[] = ordered.map(({ attributes, inner, link }) => {
+    const count = findElementByClass(inner, 'span', 'tabs__count');
+    const label = toPlainText(inner.replace(/<span\b[^>]*tabs__count[\s\S]*?<\/span>/i, ''));
+
+    return {
+      id: getAttribute(attributes, 'data-tab-group-control') || getAttribute(attributes, 'id') || label,
+      label,
+      count: parseCount(count ? toPlainText(count) : null) || 0,
+      selected: hasClass(attributes, 'tab__button--active') || getAttribute(attributes, 'aria-selected') === 'true',
+      disabled: hasClass(attributes, 'tab__button--disabled'),
+      url: link ? getAttribute(attributes, 'href') : null
+    };
+  });
+
+  return tabs;
+}
+
+/**
+ * Parse the spelling suggestion
+ * @param html - Partial HTML
+ * @returns Spelling suggestion or null
+ */
+export function parseSpelling(html: string): SearchSpelling | null {
+  const match = html.match(/<a\b([^>]*class="[^"]*\bsearch-spelling-suggestions__link\b[^"]*"[^>]*)>([\s\S]*?)<\/a>/i);
+  if (!match) return null;
+
+  return {
+    text: toPlainText(match[2]),
+    url: getAttribute(match[1], 'href') || ''
+  };
+}
+
+/**
+ * Parse pagination controls and result counts
+ * @param html - Partial HTML
+ * @returns Pagination information
+ */
+export function parsePagination(html: string): SearchPagination {
+  const linkIn = (className: string): string | null => {
+    const block = findElementByClass(html, 'div', className);
+    if (!block) return null;
+
+    const link = block.match(/<a\b([^>]*)>/i);
+    return link ? getAttribute(link[1], 'href') : null;
+  };
+
+  const pages: SearchPage[] = [];
+  const list = findElementByClass(html, 'ol', 'pagination__list');
+  if (list) {
+    const itemPattern = /<li\b([^>]*)>([\s\S]*?)<\/li>/gi;
+    let item: RegExpExecArray | null;
+
+    while ((item = itemPattern.exec(list)) !== null) {
+      const link = item[2].match(/<a\b([^>]*)>/i);
+      const label = toPlainText(item[2].replace(/<span\b[^>]*sr-only[^>]*>[\s\S]*?<\/span>/gi, ''));
+
+      pages.push({
+        label,
+        url: link ? getAttribute(link[1], 'href') : null,
+        selected: hasClass(item[1], 'pagination__item--current')
+      });
+    }
+  }
+
+  const current = pages.find(page => page.selected);
+
+  return {
+    currentPage: current ? parseCount(current.label) : null,
+    start: parseCount(toPlainText(findElementByClass(html, 'span', 'counts__page-start') || '')),
+    end: parseCount(toPlainText(findElementByClass(html, 'span', 'counts__page-end') || '')),
+    previousUrl: linkIn('pagination__item--previous'),
+    nextUrl: linkIn('pagination__item--next'),
+    pages
+  };
+}
+
+/**
+ * Parse a Funnelback partial HTML response into the normalized model
+ * @param html - Partial HTML returned by the backend
+ * @param query - The query the HTML was rendered for
+ * @returns Normalized search response model
+ */
+export function parseSearchResponse(html: string, query: string = ''): SearchResponseModel {
+  const source = typeof html === 'string' ? html : '';
+
+  return {
+    query,
+    totalMatching: parseCount(toPlainText(findElementByClass(source, 'span', 'counts__total-matching') || '')) || 0,
+    results: parseResults(source),
+    facets: parseFacets(source),
+    tabs: parseTabs(source),
+    spelling: parseSpelling(source),
+    pagination: parsePagination(source)
+  };
+}
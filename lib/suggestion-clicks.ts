@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Suggestion click model for reranking autocomplete
+ *
+ * Clicks on suggestions (reported to /api/suggestion-clicks with the partial
+ * query they were shown for) are counted per normalized prefix in a Redis
+ * sorted set, one member per "<type>:<normalized text>". Counts decay with a
+ * half-life of SUGGESTION_CLICK_HALF_LIFE_DAYS using forward decay: a click
+ * adds 2^((now - landmark) / halfLife), so old clicks never need rewriting
+ * and every score is divided by the same factor when read. The landmark
+ * moves forward every EPOCH_HALF_LIVES half-lives, with a sorted set per
+ * epoch, so the weights stay far from overflowing; reads combine the
+ * current and the previous epoch.
+ *
+ * The boost of an item is its share of the prefix's decayed clicks. Items
+ * below SUGGESTION_CLICK_MIN_EVIDENCE decayed clicks, or prefixes below
+ * twice that, get no boost so a handful of clicks cannot reorder results.
+ * Each client (by IP address) counts at most once per prefix every
+ * SUGGESTION_CLICK_CLIENT_WINDOW seconds, so one client cannot push an item
+ * up by repeating clicks. Without Redis the counts are kept in a bounded
+ * in-memory LRU (lru-cache.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { createHash } from 'crypto';
+import { getRedisClient } from './redis-client';
+import { LRUCache } from './lru-cache';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+import { createLogger } from './logger';
+
+const logger = createLogger('suggestion-clicks');
+
+export type ClickType = 'general' | 'staff' | 'program';
+
+export interface ClickBoost {
+  /** Item key, "<type>:<normalized text>" */
+  item: string;
+  /** Clicks with decay applied */
+  clicks: number;
+  /** Share of the prefix's clicks, 0 below the evidence threshold */
+  boost: number;
+}
+
+export interface PrefixClickModel {
+  prefix: string;
+  totalClicks: number;
+  boosts: ClickBoost[];
+}
+
+const KEY_PREFIX = 'suggestion-clicks:';
+const CLIENT_KEY_PREFIX = 'suggestion-click-client:';
+const MIN_EVIDENCE = parseFloat(process.env.SUGGESTION_CLICK_MIN_EVIDENCE || '') || 3;
+const CLIENT_WINDOW = parseInt(process.env.SUGGESTION_CLICK_CLIENT_WINDOW || '', 10) || 600; // 10 minutes
+
+// Half-lives below an hour would make the epochs below too short to hold any evidence
+const MIN_HALF_LIFE_MS = 60 * 60 * 1000;
+const HALF_LIFE_MS = Math.max(
+  MIN_HALF_LIFE_MS,
+  (parseFloat(process.env.SUGGESTION_CLICK_HALF_LIFE_DAYS || '') || 7) * 24 * 60 * 60 * 1000
+);
+
+// The forward decay restarts every EPOCH_HALF_LIVES half-lives, which bounds
+// weights by 2^EPOCH_HALF_LIVES; a click one epoch old weighs 2^-EPOCH_HALF_LIVES
+// of a new one, so older epochs are not read
+const EPOCH_HALF_LIVES = 256;
+const EPOCH_MS = EPOCH_HALF_LIVES * HALF_LIFE_MS;
+
+// Items kept per prefix, and how long an idle prefix is kept
+const MAX_ITEMS_PER_PREFIX = 50;
+const PREFIX_TTL = 60 * 24 * 3600; // 60 days
+
+const MIN_PREFIX_LENGTH = 3;
+const MAX_PREFIX_LENGTH = 100;
+
+// Click counts by epoch and prefix, and clients seen per prefix, when Redis is not configured
+const memoryModels = new LRUCache<Record<string, number>>({
+  maxEntries: 2000,
+  maxBytes: 8 * 1024 * 1024,
+  sweepIntervalMs: 5 * 60 * 1000
+});
+const memoryClients = new LRUCache<boolean>({
+  maxEntries: 20000,
+  maxBytes: 4 * 1024 * 1024,
+  sweepIntervalMs: 60 * 1000
+});
+
+/**
+ * Get the decay epoch of a time
+ * @param time - Time in milliseconds
+ * @returns Epoch number
+ */
+function getEpoch(time: number): number {
+  return Math.floor(time / EPOCH_MS);
+}
+
+/**
+ * Forward decay weight of an event at a time
+ * @param time - Time in milliseconds
+ * @param epoch - Epoch whose start is the landmark
+ * @returns Weight relative to the landmark
+ */
+function decayWeight(time: number, epoch: number): number {
+  return Math.pow(2, (time - epoch * EPOCH_MS) / HALF_LIFE_MS);
+}
+
+/**
+ * Get the storage key of a prefix's clicks in an epoch
+ * @param epoch - Epoch number
+ * @param prefix - Normalized prefix
+ * @returns Key
+ */
+function getModelKey(epoch: number, prefix: string): string {
+  return `${KEY_PREFIX}${epoch}:${prefix}`;
+}
+
+/**
+ * Get the item key of a suggestion
+ * @param type - Suggestion type
+ * @param text - Suggestion text
+ * @returns Item key, or empty when the text normalizes to nothing
+ */
+export function getClickItemKey(type: ClickType, text: string): string {
+  const normalizedText = normalizeQueryForCacheKey(text);
+  return normalizedText ? `${type}:${normalizedText}` : '';
+}
+
+/**
+ * Normalize a partial query into a model prefix
+ * @param partialQuery - Partial query as typed
+ * @returns Prefix, or null when it is too short or too long to model
+ */
+function toPrefix(partialQuery: string): string | null {
+  const prefix = normalizeQueryForCacheKey(partialQuery);
+  return prefix.length >= MIN_PREFIX_LENGTH && prefix.length <= MAX_PREFIX_LENGTH ? prefix : null;
+}
+
+/**
+ * Claim the click of a client for a prefix
+ * @param client - Client identifier (IP address)
+ * @param prefix - Normalized prefix
+ * @returns False when the client already clicked for the prefix within the window
+ */
+async function claimClientClick(client: string, prefix: string): Promise<boolean> {
+  // Only a hash of the address is stored
+  const clientHash = createHash('sha256').update(client).digest('hex').slice(0, 16);
+  const key = `${CLIENT_KEY_PREFIX}${clientHash}:${prefix}`;
+  const redis = getRedisClient();
+
+  if (redis) {
+    return (await redis.set(key, '1', 'EX', CLIENT_WINDOW, 'NX')) === 'OK';
+  }
+
+  if (memoryClients.has(key)) return false;
+  memoryClients.set(key, true, CLIENT_WINDOW, key.length);
+  return true;
+}
+
+/**
+ * Count a click on a suggestion
+ * @param partialQuery - Partial query the suggestion was shown for
+ * @param type - Suggestion type
+ * @param text - Suggestion text
+ * @param client - Client identifier (IP address); one click per client and prefix counts per window
+ * @returns Whether the click was recorded
+ */
+export async function recordSuggestionClick(
+  partialQuery: string,
+  type: ClickType,
+  text: string,
+  client: string
+): Promise<boolean> {
+  const prefix = toPrefix(partialQuery);
+  const item = getClickItemKey(type, text);
+  if (!prefix || !item) return false;
+
+  const now = Date.now();
+  const epoch = getEpoch(now);
+  const weight = decayWeight(now, epoch);
+  const key = getModelKey(epoch, prefix);
+  const redis = getRedisClient();
+
+  try {
+    if (!(await claimClientClick(client, prefix))) return false;
+
+    if (redis) {
+      await redis
+        .multi()
+        .zincrby(key, weight, item)
+        .zremrangebyrank(key, 0, -(MAX_ITEMS_PER_PREFIX + 1))
+        .expire(key, PREFIX_TTL)
+        .exec();
+      return true;
+    }
+
+    const items = { ...memoryModels.get(key) };
+    items[item] = (items[item] || 0) + weight;
+
+    // Keep the most clicked items, as ZREMRANGEBYRANK does in Redis
+    const kept = Object.fromEntries(
+      Object.entries(items).sort((a, b) => b[1] - a[1]).slice(0, MAX_ITEMS_PER_PREFIX)
+    );
+    memoryModels.set(key, kept, PREFIX_TTL);
+    return true;
+  } catch (error) {
+    logger.error('Failed to record click', { error });
+    return false;
+  }
+}
+
+/**
+ * Read the forward-decayed scores of a prefix in an epoch
+ * @param epoch - Epoch number
+ * @param prefix - Normalized prefix
+ * @returns Score per item key
+ */
+async function readEpochScores(epoch: number, prefix: string): Promise<[string, number][]> {
+  const key = getModelKey(epoch, prefix);
+  const redis = getRedisClient();
+
+  if (!redis) {
+    return Object.entries(memoryModels.get(key) || {});
+  }
+
+  const flat = await redis.zrevrange(key, 0, -1, 'WITHSCORES');
+  const scores: [string, number][] = [];
+  for (let i = 0; i < flat.length; i += 2) {
+    scores.push([flat[i], parseFloat(flat[i + 1])]);
+  }
+  return scores;
+}
+
+/**
+ * Get the learned click model of a prefix
+ * @param partialQuery - Partial query
+ * @returns Items with their decayed clicks and boosts, most clicked first
+ */
+export async function getPrefixClickModel(partialQuery: string): Promise<PrefixClickModel> {
+  const prefix = toPrefix(partialQuery);
+  const model: PrefixClickModel = { prefix: prefix || '', totalClicks: 0, boosts: [] };
+  if (!prefix) return model;
+
+  const now = Date.now();
+  const epoch = getEpoch(now);
+  const decayed = new Map<string, number>();
+
+  try {
+    const [current, previous] = await Promise.all([
+      readEpochScores(epoch, prefix),
+      readEpochScores(epoch - 1, prefix)
+    ]);
+
+    // Bring the forward-decayed scores to the present; the previous epoch's
+    // landmark is EPOCH_HALF_LIVES half-lives earlier
+    const present = decayWeight(now, epoch);
+    const previousFactor = Math.pow(2, -EPOCH_HALF_LIVES) / present;
+    current.forEach(([item, score]) => decayed.set(item, (decayed.get(item) || 0) + score / present));
+    previous.forEach(([item, score]) => decayed.set(item, (decayed.get(item) || 0) + score * previousFactor));
+  } catch (error) {
+    logger.error('Failed to read click model', { error });
+    return model;
+  }
+
+  const items = Array.from(decayed, ([item, clicks]) => ({ item, clicks }))
+    .sort((a, b) => b.clicks - a.clicks);
+  model.totalClicks = items.reduce((sum, { clicks }) => sum + clicks, 0);
+
+  const hasEvidence = model.totalClicks >= MIN_EVIDENCE * 2;
+  model.boosts = items.map(({ item, clicks }) => ({
+    item,
+    clicks: Number(clicks.toFixed(3)),
+    boost: hasEvidence && clicks >= MIN_EVIDENCE ? Number((clicks / model.totalClicks).toFixed(4)) : 0
+  }));
+  model.totalClicks = Number(model.totalClicks.toFixed(3));
+
+  return model;
+}
+
+/**
+ * Get the boosts of a prefix by item key
+ * @param partialQuery - Partial query
+ * @returns Boost per item key; items without enough evidence are left out
+ */
+export async function getClickBoosts(partialQuery: string): Promise<Map<string, number>> {
+  const model = await getPrefixClickModel(partialQuery);
+  return new Map(model.boosts.filter(({ boost }) => boost > 0).map(({ item, boost }) => [item, boost]));
+}
+
+/**
+ * Reorder the columns of a suggestions response by learned click-through
+ * Boosted items move up in boost order; the rest keep the backend order
+ * @param data - Suggestions of one type or keyed by type
+ * @param type - Suggestion type of the response (general, staff, programs or all)
+ * @param boosts - Boost per item key
+ * @returns Reranked suggestions (the input is not modified)
+ */
+export function rerankByClicks(data: any, type: string, boosts: Map<string, number>): any {
+  if (boosts.size === 0 || !data) return data;
+
+  const rerankColumn = (clickType: ClickType, value: any) => {
+    const items = Array.isArray(value) ? value : Array.isArray(value?.programs) ? value.programs : null;
+    if (!items) return value;
+
+    const boostOf = (item: any) => {
+      const text = typeof item === 'string' ? item : clickType === 'general' ? item?.display : item?.title;
+      return typeof text === 'string' ? boosts.get(getClickItemKey(clickType, text)) || 0 : 0;
+    };
+
+    // Array.prototype.sort is stable, so unboosted items keep their order
+    const reranked = items
+      .map((item: any) => ({ item, boost: boostOf(item) }))
+      .sort((a: { boost: number }, b: { boost: number }) => b.boost - a.boost)
+      .map(({ item }: { item: any }) => item);
+
+    return Array.isArray(value) ? reranked : { ...value, programs: reranked };
+  };
+
+  if (type === 'general') return rerankColumn('general', data);
+  if (type === 'staff') return rerankColumn('staff', data);
+  if (type === 'programs') return rerankColumn('program', data);
+
+  return {
+    ...data,
+    general: rerankColumn('general', data.general),
+    staff: rerankColumn('staff', data.staff),
+    programs: rerankColumn('program', data.programs)
+  };
+}
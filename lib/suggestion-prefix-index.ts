@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Prefix narrowing of cached suggestions
+ *
+ * Typing "bio", "biol", "biolo" used to cost one backend call per
+ * keystroke. When the cached result of a shorter prefix is complete (every
+ * source answered) and small enough that the backend cannot have cut it
+ * off, the suggestions for the longer query are a subset of it and are
+ * answered by filtering it locally:
+ * - general suggestions by prefix match of the whole suggestion
+ * - staff and programs when every query token prefixes a name/title token
+ * Larger or partial results fall back to the backend.
+ *
+ * Only the few longest prefixes are looked up, in parallel, through the
+ * regular suggestion cache keys; while typing, the previous keystrokes are
+ * the ones likely to be cached. The longest cached prefix is used: a
+ * shorter prefix matches at least as much, so if that one is too large
+ * the others are as well.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import type { CacheEntry } from './cache';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+
+export type SuggestionSource = 'general' | 'staff' | 'programs';
+
+// Shortest prefix the autocomplete requests suggestions for
+const MIN_PREFIX_LENGTH = 3;
+
+// Prefixes looked up per query, longest first
+const MAX_LOOKUPS = parseInt(process.env.SUGGESTION_PREFIX_MAX_LOOKUPS || '', 10) || 4;
+
+// A source result is narrowed only when it has fewer items than the backend
+// returns at most, so it cannot have been cut off. /funnelback/suggest
+// returns up to 10 suggestions (audit/html-audit-phase-a-2026-05-12-v2.md,
+// F13). The proxy's /suggestPeople and /suggestPrograms limits are not
+// documented; the concierge template (docs/auto_complete.concierge.ftl)
+// requests show=5, so 5 is assumed. SUGGESTION_PREFIX_MAX_RESULTS
+// overrides all three.
+const MAX_RESULTS_OVERRIDE = parseInt(process.env.SUGGESTION_PREFIX_MAX_RESULTS || '', 10);
+const MAX_RESULTS: Record<SuggestionSource, number> = {
+  general: MAX_RESULTS_OVERRIDE || 10,
+  staff: MAX_RESULTS_OVERRIDE || 5,
+  programs: MAX_RESULTS_OVERRIDE || 5
+};
+
+export interface PrefixMatch {
+  /** Normalized prefix whose cached result was narrowed */
+  prefix: string;
+  /** Suggestions for the requested query */
+  data: any;
+}
+
+/**
+ * Get the items of a source result
+ * Programs may come as an array or as { programs: [...] }
+ * @param value - Source result
+ * @returns Items, or null when the shape is unknown
+ */
+function getItems(value: any): any[] | null {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.programs)) return value.programs;
+  return null;
+}
+
+/**
+ * Replace the items of a source result, keeping its shape
+ * @param value - Source result
+ * @param items - Remaining items
+ * @returns Source result with the items
+ */
+function setItems(value: any, items: any[]): any {
+  return Array.isArray(value) ? items : { ...value, programs: items };
+}
+
+/**
+ * Whether every query token is a prefix of a token of the text
+ * @param text - Name or title
+ * @param queryTokens - Normalized query tokens
+ * @returns True on a match
+ */
+function matchesTokens(text: string, queryTokens: string[]): boolean {
+  const tokens = normalizeQueryForCacheKey(text).split(' ');
+  return queryTokens.every(queryToken => tokens.some(token => token.startsWith(queryToken)));
+}
+
+/**
+ * Whether an item of a source still matches the longer query
+ * @param source - Suggestion source
+ * @param item - Suggestion
+ * @param query - Normalized query
+ * @returns True when the item is kept
+ */
+function matchesItem(source: SuggestionSource, item: any, query: string): boolean {
+  if (source === 'general') {
+    const display = typeof item === 'string' ? item : item?.display;
+    return typeof display === 'string' && normalizeQueryForCacheKey(display).startsWith(query);
+  }
+
+  const queryTokens = query.split(' ');
+  return [item?.title, item?.name].some(text => typeof text === 'string' && matchesTokens(text, queryTokens));
+}
+
+/**
+ * Whether a source result can be narrowed
+ * @param source - Suggestion source
+ * @param value - Source result
+ * @returns True when its items are known and fewer than the backend limit
+ */
+function isSourceNarrowable(source: SuggestionSource, value: any): boolean {
+  const items = getItems(value);
+  return items !== null && items.length < MAX_RESULTS[source];
+}
+
+/**
+ * Whether a cached suggestion result can answer longer queries
+ * @param type - Suggestion type of the cache key (general, staff, programs or all)
+ * @param data - Cached result
+ * @returns True when the result is complete and small enough
+ */
+export function isNarrowable(type: string, data: any): boolean {
+  if (type === 'general' || type === 'staff' || type === 'programs') {
+    return isSourceNarrowable(type, data);
+  }
+
+  // Results from before per-source status were only cached when every source answered
+  const sourceStatus: Record<string, string> = data?.sourceStatus || {};
+  return (['general', 'staff', 'programs'] as SuggestionSource[]).every(source =>
+    (sourceStatus[source] === undefined || sourceStatus[source] === 'ok') && isSourceNarrowable(source, data[source])
+  );
+}
+
+/**
+ * Filter a cached suggestion result down to a longer query
+ * @param type - Suggestion type of the cache key (general, staff, programs or all)
+ * @param data - Narrowable cached result
+ * @param query - Normalized longer query
+ * @returns Suggestions for the query
+ */
+export function narrowSuggestions(type: string, data: any, query: string): any {
+  const narrowSource = (source: SuggestionSource, value: any) =>
+    setItems(value, getItems(value)!.filter(item => matchesItem(source, item, query)));
+
+  if (type === 'general' || type === 'staff' || type === 'programs') {
+    return narrowSource(type, data);
+  }
+
+  return {
+    general: narrowSource('general', data.general),
+    staff: narrowSource('staff', data.staff),
+    programs: narrowSource('programs', data.programs),
+    sourceStatus: { general: 'ok', staff: 'ok', programs: 'ok' }
+  };
+}
+
+/**
+ * Answer a query from the cached result of a shorter prefix
+ * @param type - Suggestion type (general, staff, programs or all)
+ * @param query - Normalized query
+ * @param lookup - Reads the cache entry of a normalized prefix
+ * @returns Narrowed suggestions, or null when the backend must be asked
+ */
+export async function findPrefixMatch(
+  type: string,
+  query: string,
+  lookup: (prefix: string) => Promise<CacheEntry | null>
+): Promise<PrefixMatch | null> {
+  const prefixes: string[] = [];
+
+  for (let length = query.length - 1; length >= MIN_PREFIX_LENGTH && prefixes.length < MAX_LOOKUPS; length--) {
+    const prefix = query.slice(0, length);
+
+    // "bio " normalizes to "bio", which is checked next
+    if (!prefix.endsWith(' ')) prefixes.push(prefix);
+  }
+
+  const entries = await Promise.all(prefixes.map(prefix => lookup(prefix)));
+  const index = entries.findIndex(entry => entry !== null);
+  if (index < 0) return null;
+
+  const entry = entries[index]!;
+  if (entry.stale || !isNarrowable(type, entry.data)) {
+    return null;
+  }
+
+  return { prefix: prefixes[index], data: narrowSuggestions(type, entry.data, query) };
+}
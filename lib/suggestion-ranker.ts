@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Blended ranking of suggestions across sources
+ *
+ * /api/suggestions?mode=blended merges the general, staff and program
+ * suggestions into one ranked list for single-column layouts. Each item is
+ * scored from:
+ * - match quality: exact, prefix of the whole text, prefix of its words, or
+ *   matched by the backend on other fields
+ * - popularity: how often the text has been searched recently
+ *   (lib/query-popularity.ts, saturating at POPULARITY_SATURATION)
+ * - the rank the source gave it
+ * - its learned click-through for the prefix (lib/suggestion-clicks.ts)
+ * multiplied by the weight of its source (SUGGESTION_BLEND_WEIGHTS).
+ * Items with the same normalized text are merged; a staff or program item
+ * wins over a general suggestion because it links somewhere. Items pinned
+ * or injected by curated rules (lib/suggestion-rules.ts) come first, in
+ * rule order.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import { normalizeQueryForCacheKey } from './query-normalizer';
+import { getQueryScores } from './query-popularity';
+import { createLogger } from './logger';
+
+const logger = createLogger('suggestion-ranker');
+
+export type BlendedType = 'general' | 'staff' | 'program';
+
+export interface BlendedSuggestion {
+  /** Source of the item, as used by the client's data-type */
+  type: BlendedType;
+  /** Display text */
+  text: string;
+  /** Destination for staff and program items */
+  url?: string;
+  /** Ranking score */
+  score: number;
+  /** Item as returned by its source */
+  item: any;
+}
+
+const DEFAULT_WEIGHTS: Record<BlendedType, number> = {
+  general: 1,
+  staff: 0.8,
+  program: 0.9
+};
+
+// Share of the score from match quality, popularity and source rank
+const MATCH_SHARE = 0.6;
+const POPULARITY_SHARE = 0.3;
+const RANK_SHARE = 0.1;
+
+// Added per unit of click boost (an item's share of the prefix's clicks)
+const CLICK_SHARE = 0.5;
+
+// Popularity score at which an item gets half of the popularity share
+const POPULARITY_SATURATION = 10;
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Get the source weights
+ * @returns Weight per type, overridden by SUGGESTION_BLEND_WEIGHTS (JSON)
+ */
+function getWeights(): Record<BlendedType, number> {
+  if (!process.env.SUGGESTION_BLEND_WEIGHTS) return DEFAULT_WEIGHTS;
+
+  try {
+    return { ...DEFAULT_WEIGHTS, ...JSON.parse(process.env.SUGGESTION_BLEND_WEIGHTS) };
+  } catch (error) {
+    logger.error('Ignoring invalid SUGGESTION_BLEND_WEIGHTS', { error });
+    return DEFAULT_WEIGHTS;
+  }
+}
+
+const WEIGHTS = getWeights();
+
+/**
+ * Score how well a text matches the query
+ * @param text - Normalized item text
+ * @param query - Normalized query
+ * @returns 1 for an exact match down to 0.25 for a backend-only match
+ */
+function matchQuality(text: string, query: string): number {
+  if (text === query) return 1;
+  if (text.startsWith(query)) return 0.8;
+
+  const words = text.split(' ');
+  const queryWords = query.split(' ');
+  if (queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)))) return 0.6;
+
+  return 0.25;
+}
+
+/**
+ * Get the items of a source result
+ * @param value - Source result (programs may come as { programs: [...] })
+ * @returns Items
+ */
+function getItems(value: any): any[] {
+  if (Array.isArray(value)) return value;
+  if (value && Array.isArray(value.programs)) return value.programs;
+  return [];
+}
+
+/**
+ * Flatten the columns of an all-types response into tagged candidates
+ * @param data - Suggestions keyed by source
+ * @returns Candidates with their rank in the source
+ */
+function collectCandidates(data: any): { type: BlendedType; text: string; url?: string; rank: number; item: any }[] {
+  const columns: [BlendedType, any[]][] = [
+    ['general', getItems(data?.general)],
+    ['staff', getItems(data?.staff)],
+    ['program', getItems(data?.programs)]
+  ];
+
+  return columns.flatMap(([type, items]) =>
+    items
+      .map((item, index) => {
+        const text = type === 'general' ? (typeof item === 'string' ? item : item?.display) : item?.title;
+        // Source rank: 1 for the first item down to 0 for the last
+        const rank = items.length > 1 ? 1 - index / (items.length - 1) : 1;
+        return { type, text, url: type === 'general' ? undefined : item?.url, rank, item };
+      })
+      .filter(candidate => typeof candidate.text === 'string' && candidate.text.trim() !== '')
+  );
+}
+
+/**
+ * Merge the sources of an all-types response into one ranked list
+ * @param data - Suggestions keyed by source, with sourceStatus
+ * @param query - Query the suggestions are for
+ * @param clickBoosts - Learned click boost per "<type>:<normalized text>"
+ * @param pinned - Curated "<type>:<normalized text>" keys ranked first
+ * @param limit - Maximum number of items
+ * @returns Ranked suggestions and the status of each source
+ */
+export async function blendSuggestions(
+  data: any,
+  query: string,
+  clickBoosts: Map<string, number> = new Map(),
+  pinned: string[] = [],
+  limit: number = DEFAULT_LIMIT
+): Promise<{ suggestions: BlendedSuggestion[]; sourceStatus?: Record<string, string> }> {
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+  const candidates = collectCandidates(data);
+  const popularity = await getQueryScores(candidates.map(candidate => candidate.text));
+
+  const merged = new Map<string, BlendedSuggestion>();
+
+  candidates.forEach(({ type, text, url, rank, item }) => {
+    const normalizedText = normalizeQueryForCacheKey(text);
+    const popularityScore = popularity.get(normalizedText) || 0;
+    const score = WEIGHTS[type] * (
+      MATCH_SHARE * matchQuality(normalizedText, normalizedQuery) +
+      POPULARITY_SHARE * (popularityScore / (popularityScore + POPULARITY_SATURATION)) +
+      RANK_SHARE * rank +
+      CLICK_SHARE * (clickBoosts.get(`${type}:${normalizedText}`) || 0)
+    );
+
+    const existing = merged.get(normalizedText);
+    if (!existing) {
+      merged.set(normalizedText, { type, text, url, score, item });
+      return;
+    }
+
+    // Keep the linked item, with the better of the two scores
+    const kept = existing.type === 'general' && type !== 'general' ? { type, text, url, item } : existing;
+    merged.set(normalizedText, {
+      type: kept.type,
+      text: kept.text,
+      url: kept.url,
+      score: Math.max(existing.score, score),
+      item: kept.item
+    });
+  });
+
+  // Position of a curated item, after the ranked ones otherwise
+  const pinOrder = (suggestion: BlendedSuggestion) => {
+    const index = pinned.indexOf(`${suggestion.type}:${normalizeQueryForCacheKey(suggestion.text)}`);
+    return index === -1 ? pinned.length : index;
+  };
+
+  const suggestions = Array.from(merged.values())
+    .sort((a, b) => pinOrder(a) - pinOrder(b) || b.score - a.score)
+    .slice(0, limit)
+    .map(suggestion => ({ ...suggestion, score: Number(suggestion.score.toFixed(4)) }));
+
+  return { suggestions, sourceStatus: data?.sourceStatus };
+}
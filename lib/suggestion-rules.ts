@@ -0,0 +1,525 @@
+/**
+ * @fileoverview Curated suggestion rules
+ *
+ * Rules let editors promote, add, hide or relabel autocomplete suggestions
+ * without touching the backend, e.g. "fafsa" -> a Financial Aid link in the
+ * programs column. A rule has:
+ * - a trigger on the normalized query: exact, prefix or regex
+ * - a column: general, staff or programs
+ * - an action: pin (move an existing suggestion up), inject (add one),
+ *   hide (remove one) or rename (change its text)
+ * - an optional start/end date window
+ * Per column, hides run first, then renames, pins and injects. Callers may
+ * apply a subset of the actions, e.g. to rerank between renames and pins.
+ *
+ * Rules are applied when a response is sent, after the cache read, so edits
+ * take effect without purging cached suggestions. They are stored as one
+ * JSON list in Redis; without Redis, or when Redis cannot be read, the JSON
+ * file SUGGESTION_RULES_FILE is used. Writes only go to the file when Redis
+ * is not configured, so an outage cannot split the rules between stores.
+ * Each instance keeps the list for RULES_CACHE_MS, with the regex triggers
+ * compiled once per load. Regex triggers are limited to a subset without
+ * backreferences, with at most one unbounded quantifier and without
+ * repeated groups that repeat or alternate themselves, and only run against
+ * queries of up to MAX_REGEX_QUERY_LENGTH characters. Matching then stays
+ * linear or quadratic in a short input, so a pattern cannot stall the
+ * instance.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { getRedisClient, isRedisConfigured } from './redis-client';
+import { normalizeQueryForCacheKey } from './query-normalizer';
+import { createLogger } from './logger';
+
+const logger = createLogger('suggestion-rules');
+
+export type RuleTrigger = 'exact' | 'prefix' | 'regex';
+export type RuleColumn = 'general' | 'staff' | 'programs';
+export type RuleAction = 'pin' | 'inject' | 'hide' | 'rename';
+
+export interface SuggestionRule {
+  id: string;
+  trigger: RuleTrigger;
+  /** Query (exact, prefix) or regular expression matched against the normalized query */
+  pattern: string;
+  column: RuleColumn;
+  action: RuleAction;
+  /** pin, hide, rename: text of the existing suggestion */
+  target?: string;
+  /** inject: text of the new suggestion; rename: replacement text */
+  text?: string;
+  /** inject: link of a staff or program suggestion */
+  url?: string;
+  /** pin, inject: position in the column (default 0, the top) */
+  position?: number;
+  /** ISO dates of the active window; open-ended when unset */
+  startsAt?: string;
+  endsAt?: string;
+  updatedAt: string;
+  updatedBy: string;
+}
+
+export type SuggestionRuleInput = Omit<SuggestionRule, 'id' | 'updatedAt' | 'updatedBy'> & { id?: string };
+
+export const RULE_TRIGGERS: RuleTrigger[] = ['exact', 'prefix', 'regex'];
+export const RULE_COLUMNS: RuleColumn[] = ['general', 'staff', 'programs'];
+export const RULE_ACTIONS: RuleAction[] = ['pin', 'inject', 'hide', 'rename'];
+
+/**
+ * Raised when a rule is invalid or the store cannot be written
+ */
+export class SuggestionRuleError extends Error {
+  constructor(message: string, public status: number = 400) {
+    super(message);
+    this.name = 'SuggestionRuleError';
+  }
+}
+
+const RULES_KEY = 'suggestion-rules';
+const RULES_FILE = process.env.SUGGESTION_RULES_FILE || path.join(/*turbopackIgnore: true*/ process.cwd(), 'data', 'suggestion-rules.json');
+const RULES_CACHE_MS = 30 * 1000;
+const MAX_RULES = 500;
+const MAX_PATTERN_LENGTH = 200;
+
+// Longest query regex triggers are tested against; longer queries never match them
+const MAX_REGEX_QUERY_LENGTH = 100;
+
+// Order in which the actions of a column are applied
+const ACTION_ORDER: RuleAction[] = ['hide', 'rename', 'pin', 'inject'];
+
+let cachedRules: { rules: SuggestionRule[]; expiry: number } | null = null;
+
+// Compiled regex triggers of the cached rules by pattern
+let compiledPatterns = new Map<string, RegExp>();
+
+/**
+ * Check that a stored value is a rule list
+ * @param value - Parsed value
+ * @param source - Store it was read from, for the log
+ * @returns The rules, or empty when the value is not a list
+ */
+function toRuleList(value: unknown, source: string): SuggestionRule[] {
+  if (Array.isArray(value)) return value;
+  logger.error('Stored rules are not a list, ignoring them', { source });
+  return [];
+}
+
+/**
+ * Read the rules file
+ * @returns Rules, empty when the file does not exist
+ */
+async function readRulesFile(): Promise<SuggestionRule[]> {
+  try {
+    return toRuleList(JSON.parse(await fs.readFile(/*turbopackIgnore: true*/ RULES_FILE, 'utf8')), 'file');
+  } catch (error: any) {
+    if (error?.code !== 'ENOENT') {
+      logger.error('Failed to read rules file', { file: RULES_FILE, error });
+    }
+    return [];
+  }
+}
+
+/**
+ * Read the rules from the store
+ * @returns All rules
+ */
+async function readRules(): Promise<SuggestionRule[]> {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      const stored = await redis.get(RULES_KEY);
+      return stored ? toRuleList(JSON.parse(stored), 'redis') : [];
+    } catch (error) {
+      logger.error('Failed to read rules from Redis, using the rules file', { error });
+    }
+  }
+
+  return readRulesFile();
+}
+
+/**
+ * Keep the rules on this instance and compile their regex triggers
+ * @param rules - All rules
+ */
+function cacheRules(rules: SuggestionRule[]): void {
+  const compiled = new Map<string, RegExp>();
+
+  rules.forEach(rule => {
+    if (rule.trigger !== 'regex' || compiled.has(rule.pattern)) return;
+
+    const regex = compilePattern(rule.pattern);
+    if (regex) {
+      compiled.set(rule.pattern, regex);
+    } else {
+      logger.warn('Skipping rule with an unsafe or invalid pattern', { id: rule.id });
+    }
+  });
+
+  compiledPatterns = compiled;
+  cachedRules = { rules, expiry: Date.now() + RULES_CACHE_MS };
+}
+
+/**
+ * Write the rules to the store
+ * Rules only go to the file when Redis is not configured; a configured
+ * Redis that is unavailable fails the write instead
+ * @param rules - All rules
+ */
+async function writeRules(rules: SuggestionRule[]): Promise<void> {
+  const redis = getRedisClient();
+
+  if (!redis && isRedisConfigured()) {
+    throw new SuggestionRuleError('Rules store is unavailable, try again shortly', 503);
+  }
+
+  try {
+    if (redis) {
+      await redis.set(RULES_KEY, JSON.stringify(rules));
+    } else {
+      await fs.mkdir(path.dirname(/*turbopackIgnore: true*/ RULES_FILE), { recursive: true });
+      await fs.writeFile(/*turbopackIgnore: true*/ RULES_FILE, `${JSON.stringify(rules, null, 2)}\n`);
+    }
+  } catch (error) {
+    logger.error('Failed to write rules', { error });
+    throw new SuggestionRuleError('Rules store is not writable', 503);
+  }
+
+  cacheRules(rules);
+}
+
+/**
+ * Get all rules
+ * @param fresh - Bypass the instance cache
+ * @returns Rules in store order
+ */
+export async function getSuggestionRules(fresh: boolean = false): Promise<SuggestionRule[]> {
+  if (!fresh && cachedRules && cachedRules.expiry > Date.now()) {
+    return cachedRules.rules;
+  }
+
+  const rules = await readRules();
+  cacheRules(rules);
+  return rules;
+}
+
+/**
+ * Check that a regex trigger stays within the safe subset
+ * Rejects backreferences, quantified groups that contain a quantifier or an
+ * alternation, e.g. (a+)+ or (a|ab)*, which can backtrack exponentially, and
+ * more than one unbounded quantifier, e.g. .*.*.*!, whose backtracking grows
+ * with a power of the query length
+ * @param pattern - Regular expression source
+ * @returns Reason the pattern is unsafe, or null when it is safe
+ */
+function findUnsafeConstruct(pattern: string): string | null {
+  // Per open group: whether it contains a quantifier or an alternation
+  const groups: { repeats: boolean }[] = [];
+  let closedRepeats = false;
+  let inClass = false;
+  let unbounded = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      const next = pattern[i + 1] || '';
+      if (!inClass && (/[1-9]/.test(next) || next === 'k')) return 'backreferences are not supported';
+      i++;
+      closedRepeats = false;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    const isQuantifier = char === '*' || char === '+' || (char === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+    if (isQuantifier && closedRepeats) return 'repeated groups cannot repeat or alternate inside';
+    closedRepeats = false;
+
+    if (char === '*' || char === '+' || (char === '{' && /^\{\d+,\}/.test(pattern.slice(i)))) {
+      unbounded++;
+      if (unbounded > 1) return 'only one unbounded quantifier (*, + or {n,}) is supported';
+    }
+
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')') {
+      const group = groups.pop();
+      closedRepeats = !!group?.repeats;
+      if (closedRepeats && groups.length) groups[groups.length - 1].repeats = true;
+    } else if ((isQuantifier || char === '|' || (char === '?' && pattern[i - 1] !== '(')) && groups.length) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compile a regex trigger when it is valid and within the safe subset
+ * @param pattern - Regular expression source
+ * @returns Case-insensitive expression, or null
+ */
+function compilePattern(pattern: string): RegExp | null {
+  if (findUnsafeConstruct(pattern)) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a value is an absolute http(s) URL
+ * @param value - URL
+ * @returns True for http and https URLs
+ */
+function isHttpUrl(value: string): boolean {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a rule before it is stored
+ * @param input - Rule fields
+ * @throws SuggestionRuleError describing the first problem
+ */
+function validateRule(input: SuggestionRuleInput): void {
+  if (!RULE_TRIGGERS.includes(input.trigger)) {
+    throw new SuggestionRuleError(`trigger must be one of ${RULE_TRIGGERS.join(', ')}`);
+  }
+  if (!RULE_COLUMNS.includes(input.column)) {
+    throw new SuggestionRuleError(`column must be one of ${RULE_COLUMNS.join(', ')}`);
+  }
+  if (!RULE_ACTIONS.includes(input.action)) {
+    throw new SuggestionRuleError(`action must be one of ${RULE_ACTIONS.join(', ')}`);
+  }
+  if (!input.pattern || input.pattern.length > MAX_PATTERN_LENGTH) {
+    throw new SuggestionRuleError(`pattern is required and limited to ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (input.trigger === 'regex') {
+    const unsafe = findUnsafeConstruct(input.pattern);
+    if (unsafe) {
+      throw new SuggestionRuleError(`pattern is not allowed: ${unsafe}`);
+    }
+    try {
+      new RegExp(input.pattern, 'i');
+    } catch {
+      throw new SuggestionRuleError('pattern is not a valid regular expression');
+    }
+  }
+  if (input.action !== 'inject' && !input.target) {
+    throw new SuggestionRuleError(`${input.action} rules need a target suggestion`);
+  }
+  if ((input.action === 'inject' || input.action === 'rename') && !input.text) {
+    throw new SuggestionRuleError(`${input.action} rules need the suggestion text`);
+  }
+  if (input.url !== undefined && !isHttpUrl(input.url)) {
+    throw new SuggestionRuleError('url must be an http or https URL');
+  }
+  for (const field of ['startsAt', 'endsAt'] as const) {
+    if (input[field] && Number.isNaN(Date.parse(input[field]!))) {
+      throw new SuggestionRuleError(`${field} must be an ISO date`);
+    }
+  }
+}
+
+/**
+ * Create a rule, or replace the rule with the same id
+ * @param input - Rule fields
+ * @param actor - Admin making the change
+ * @returns Stored rule
+ */
+export async function saveSuggestionRule(input: SuggestionRuleInput, actor: string): Promise<SuggestionRule> {
+  validateRule(input);
+
+  const rules = await getSuggestionRules(true);
+  const rule: SuggestionRule = {
+    ...input,
+    id: input.id || randomUUID(),
+    updatedAt: new Date().toISOString(),
+    updatedBy: actor
+  };
+
+  const index = rules.findIndex(existing => existing.id === rule.id);
+  if (index === -1 && rules.length >= MAX_RULES) {
+    throw new SuggestionRuleError(`At most ${MAX_RULES} rules can be stored`);
+  }
+
+  await writeRules(index === -1 ? [...rules, rule] : rules.map(existing => (existing.id === rule.id ? rule : existing)));
+  return rule;
+}
+
+/**
+ * Delete a rule
+ * @param id - Rule id
+ * @returns Whether a rule was deleted
+ */
+export async function deleteSuggestionRule(id: string): Promise<boolean> {
+  const rules = await getSuggestionRules(true);
+  const remaining = rules.filter(rule => rule.id !== id);
+  if (remaining.length === rules.length) return false;
+
+  await writeRules(remaining);
+  return true;
+}
+
+/**
+ * Whether a rule is in its date window and triggered by a query
+ * @param rule - Rule
+ * @param query - Normalized query
+ * @param now - Current time in milliseconds
+ * @returns True when the rule applies
+ */
+function ruleApplies(rule: SuggestionRule, query: string, now: number): boolean {
+  if (rule.startsAt && Date.parse(rule.startsAt) > now) return false;
+  if (rule.endsAt && Date.parse(rule.endsAt) <= now) return false;
+
+  switch (rule.trigger) {
+    case 'exact':
+      return query === normalizeQueryForCacheKey(rule.pattern);
+    case 'prefix':
+      return query.startsWith(normalizeQueryForCacheKey(rule.pattern));
+    case 'regex':
+      if (query.length > MAX_REGEX_QUERY_LENGTH) return false;
+      return compiledPatterns.get(rule.pattern)?.test(query) ?? false;
+  }
+}
+
+/**
+ * Get the display text of a suggestion
+ * @param column - Column of the suggestion
+ * @param item - Suggestion
+ * @returns Text, or empty when unknown
+ */
+function getItemText(column: RuleColumn, item: any): string {
+  if (typeof item === 'string') return item;
+  const text = column === 'general' ? item?.display : item?.title;
+  return typeof text === 'string' ? text : '';
+}
+
+/**
+ * Whether a suggestion is the target of a rule
+ * @param column - Column of the suggestion
+ * @param item - Suggestion
+ * @param target - Rule target text
+ * @returns True on a match of the normalized texts
+ */
+function isTarget(column: RuleColumn, item: any, target: string): boolean {
+  return normalizeQueryForCacheKey(getItemText(column, item)) === normalizeQueryForCacheKey(target);
+}
+
+/**
+ * Apply one rule to the items of a column
+ * @param column - Column
+ * @param items - Current items
+ * @param rule - Rule
+ * @returns New items
+ */
+function applyRule(column: RuleColumn, items: any[], rule: SuggestionRule): any[] {
+  const position = Math.max(0, Math.min(rule.position || 0, items.length));
+
+  switch (rule.action) {
+    case 'hide':
+      return items.filter(item => !isTarget(column, item, rule.target!));
+
+    case 'rename':
+      return items.map(item => {
+        if (!isTarget(column, item, rule.target!)) return item;
+        if (typeof item === 'string') return rule.text;
+        return column === 'general' ? { ...item, display: rule.text } : { ...item, title: rule.text };
+      });
+
+    case 'pin': {
+      const pinned = items.find(item => isTarget(column, item, rule.target!));
+      if (pinned === undefined) return items;
+      const rest = items.filter(item => item !== pinned);
+      return [...rest.slice(0, position), pinned, ...rest.slice(position)];
+    }
+
+    case 'inject': {
+      // An existing suggestion with the same text is replaced by the curated one
+      const rest = items.filter(item => !isTarget(column, item, rule.text!));
+      const injected = column === 'general' ? rule.text : { title: rule.text, url: rule.url, curated: true };
+      const at = Math.min(position, rest.length);
+      return [...rest.slice(0, at), injected, ...rest.slice(at)];
+    }
+  }
+}
+
+/**
+ * Apply the active rules of a query to a suggestions response
+ * @param data - Suggestions of one type or keyed by type
+ * @param type - Suggestion type of the response (general, staff, programs or all)
+ * @param query - Query the suggestions are for
+ * @param actions - Actions to apply (all by default), always in ACTION_ORDER
+ * @returns Suggestions with the rules applied and the "<type>:<normalized text>"
+ * keys of pinned and injected items, which blended ranking keeps first
+ */
+export async function applySuggestionRules(
+  data: any,
+  type: string,
+  query: string,
+  actions: RuleAction[] = RULE_ACTIONS
+): Promise<{ data: any; pinned: string[] }> {
+  const normalizedQuery = normalizeQueryForCacheKey(query);
+  const now = Date.now();
+  const rules = (await getSuggestionRules()).filter(rule =>
+    actions.includes(rule.action) && ruleApplies(rule, normalizedQuery, now)
+  );
+  const pinned: string[] = [];
+
+  if (rules.length === 0) {
+    return { data, pinned };
+  }
+
+  const applyColumn = (column: RuleColumn, value: any) => {
+    // A failed source (null) gets no curated items
+    const items = Array.isArray(value) ? value : Array.isArray(value?.programs) ? value.programs : null;
+    if (!items) return value;
+
+    let result = items;
+    ACTION_ORDER.forEach(action => {
+      rules
+        .filter(rule => rule.column === column && rule.action === action)
+        .forEach(rule => {
+          result = applyRule(column, result, rule);
+          if (action === 'pin' || action === 'inject') {
+            const text = action === 'pin' ? rule.target! : rule.text!;
+            pinned.push(`${column === 'programs' ? 'program' : column}:${normalizeQueryForCacheKey(text)}`);
+          }
+        });
+    });
+
+    return Array.isArray(value) ? result : { ...value, programs: result };
+  };
+
+  if (type === 'general' || type === 'staff' || type === 'programs') {
+    return { data: applyColumn(type, data), pinned };
+  }
+
+  return {
+    data: {
+      ...data,
+      general: applyColumn('general', data?.general),
+      staff: applyColumn('staff', data?.staff),
+      programs: applyColumn('programs', data?.programs)
+    },
+    pinned
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview OpenTelemetry tracing
+ *
+ * Spans for the stages of the search, suggestion, prefetch and pre-render
+ * routes (IP resolution, cache lookup, backend fetch, cache write and
+ * response), so the time of a cache miss can be broken down. Each route
+ * request is a server span that continues an incoming W3C traceparent, and
+ * backend calls carry traceparent so the proxy's spans join the same trace.
+ *
+ * The exporter is chosen by OTEL_TRACES_EXPORTER:
+ * - none (default): tracing disabled, spans are no-ops
+ * - otlp: OTLP/HTTP, configured by the standard OTEL_EXPORTER_OTLP_* variables
+ * - console: every span printed when it ends
+ * - memory: spans kept in memory for local tests (getFinishedSpans)
+ * Sampling follows OTEL_TRACES_SAMPLER and OTEL_TRACES_SAMPLER_ARG.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import {
+  Attributes,
+  context,
+  propagation,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  trace
+} from '@opentelemetry/api';
+import {
+  BatchSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter,
+  NodeTracerProvider,
+  ReadableSpan,
+  SimpleSpanProcessor,
+  SpanProcessor
+} from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
+  ATTR_SERVICE_NAME,
+  ATTR_SERVICE_VERSION
+} from '@opentelemetry/semantic-conventions';
+import type { NextApiHandler, NextApiRequest, NextApiResponse } from 'next';
+import packageJson from '../package.json';
+import { createLogger, getRequestId } from './logger';
+
+const logger = createLogger('tracing');
+
+const EXPORTER = (process.env.OTEL_TRACES_EXPORTER || 'none').toLowerCase();
+
+let provider: NodeTracerProvider | null = null;
+let memoryExporter: InMemorySpanExporter | null = null;
+
+/**
+ * Create the span processor for the configured exporter
+ * @returns Span processor, or null when tracing is disabled
+ */
+function createSpanProcessor(): SpanProcessor | null {
+  switch (EXPORTER) {
+    case 'otlp':
+      return new BatchSpanProcessor(new OTLPTraceExporter());
+    case 'console':
+      return new SimpleSpanProcessor(new ConsoleSpanExporter());
+    case 'memory':
+      memoryExporter = new InMemorySpanExporter();
+      return new SimpleSpanProcessor(memoryExporter);
+    case 'none':
+      return null;
+    default:
+      logger.warn('Unknown OTEL_TRACES_EXPORTER, tracing disabled', { exporter: EXPORTER });
+      return null;
+  }
+}
+
+/**
+ * Register the tracer provider for the configured exporter
+ * Registration also installs the async context manager and the W3C
+ * trace context propagator
+ * @returns Whether tracing is enabled
+ */
+export function initTracing(): boolean {
+  if (provider) return true;
+
+  const processor = createSpanProcessor();
+  if (!processor) return false;
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || packageJson.name,
+      [ATTR_SERVICE_VERSION]: packageJson.version
+    }),
+    spanProcessors: [processor]
+  });
+  provider.register();
+
+  logger.info('Tracing enabled', { exporter: EXPORTER });
+  return true;
+}
+
+initTracing();
+
+/**
+ * Get the tracer used for all service spans
+ * @returns Tracer (a no-op tracer while tracing is disabled)
+ */
+function getTracer() {
+  return trace.getTracer(packageJson.name, packageJson.version);
+}
+
+/**
+ * Mark a span as failed
+ * @param span - Span
+ * @param error - Error that ended the operation
+ */
+export function recordSpanError(span: Span, error: unknown): void {
+  if (error instanceof Error) {
+    span.recordException(error);
+  }
+  span.setStatus({
+    code: SpanStatusCode.ERROR,
+    message: error instanceof Error ? error.message : String(error)
+  });
+}
+
+/**
+ * Run an operation in a child span of the active span
+ * The span ends when the operation settles and is marked failed if it throws
+ * @param name - Span name (e.g. search.backend_fetch)
+ * @param fn - Operation, which may add attributes to the span
+ * @param attributes - Initial span attributes
+ * @returns Result of the operation
+ */
+export function withSpan<T>(
+  name: string,
+  fn: (span: Span) => Promise<T> | T,
+  attributes: Attributes = {}
+): Promise<T> {
+  return getTracer().startActiveSpan(name, { attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      recordSpanError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Add the active trace context (traceparent, tracestate) to outgoing headers
+ * @param headers - Request headers to extend
+ */
+export function injectTraceHeaders(headers: Record<string, any>): void {
+  propagation.inject(context.active(), headers);
+}
+
+/**
+ * Wrap an API route in a server span
+ * Continues the trace of an incoming traceparent header; the span ends when
+ * the response is finished and is tagged with the request ID
+ * @param route - Route label (e.g. /api/search)
+ * @param handler - Route handler
+ * @returns Traced handler
+ */
+export function withTracing(route: string, handler: NextApiHandler): NextApiHandler {
+  return (req: NextApiRequest, res: NextApiResponse) => {
+    const parentContext = propagation.extract(context.active(), req.headers);
+    const span = getTracer().startSpan(
+      `${req.method || 'GET'} ${route}`,
+      {
+        kind: SpanKind.SERVER,
+        attributes: {
+          [ATTR_HTTP_REQUEST_METHOD]: req.method || 'GET',
+          [ATTR_HTTP_ROUTE]: route,
+          'request.id': getRequestId() || ''
+        }
+      },
+      parentContext
+    );
+
+    res.once('finish', () => {
+      span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      span.end();
+
+      // Serverless instances may be frozen after the response; export right away
+      provider?.forceFlush().catch(() => undefined);
+    });
+
+    return context.with(trace.setSpan(parentContext, span), async () => {
+      try {
+        return await handler(req, res);
+      } catch (error) {
+        recordSpanError(span, error);
+        throw error;
+      }
+    });
+  };
+}
+
+/**
+ * Get the spans recorded by the memory exporter
+ * @returns Finished spans (empty unless OTEL_TRACES_EXPORTER=memory)
+ */
+export function getFinishedSpans(): ReadableSpan[] {
+  return memoryExporter ? memoryExporter.getFinishedSpans() : [];
+}
+
+/**
+ * Clear the spans recorded by the memory exporter
+ */
+export function resetFinishedSpans(): void {
+  memoryExporter?.reset();
+}
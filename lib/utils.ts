@@ -2,13 +2,22 @@
  * @fileoverview Utility functions
  * 
  * This module provides utility functions used throughout the application.
+ * Logging goes through the shared structured logger (logger.ts); tab
+ * detection details are logged at debug level without the request URL.
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 2.4.2
- * @lastModified 2025-05-12
+ * @version 2.6.0
+ * @lastModified 2026-10-19
  */
 
+import { createLogger } from './logger';
+
+const logger = createLogger('utils');
+
+// Frequently accessed tabs, cached longer and pre-warmed by the cache warmer
+export const POPULAR_TABS = ['Results', 'Programs', 'Faculty_Staff', 'News'];
+
 /**
  * Debounce a function call
  * @param func - Function to debounce
@@ -79,7 +88,7 @@ export function extractResultCount(html: string): number {
             return parseInt(match[1].replace(/,/g, ''), 10);
         }
     } catch (error) {
-        console.error('Error extracting result count:', error);
+        logger.error('Error extracting result count', { error });
     }
 
     return 0;
@@ -142,28 +151,22 @@ export function isTabRequest(url: string): boolean {
             hasNonDefaultProfile
         );
 
-        // For debugging - only log when enabled via debug flag
-        if (typeof window !== 'undefined' &&
-            // Handle TypeScript typings for window.searchConfig
-            (window as any).searchConfig?.enableTabDebug) {
-            console.log(`[TAB DEBUG] URL check:`, {
-                url: url.substring(0, 100),
-                hasFormPartial,
-                hasFTabsPattern1,
-                hasFTabsPattern2,
-                hasFTabsPattern3,
-                hasFTabsPattern4,
-                hasFacultyStaffPattern,
-                hasProgramsPattern,
-                hasNewsPattern,
-                hasNonDefaultProfile,
-                isTabResult
-            });
-        }
+        logger.debug('Tab request check', {
+            hasFormPartial,
+            hasFTabsPattern1,
+            hasFTabsPattern2,
+            hasFTabsPattern3,
+            hasFTabsPattern4,
+            hasFacultyStaffPattern,
+            hasProgramsPattern,
+            hasNewsPattern,
+            hasNonDefaultProfile,
+            isTabResult
+        });
 
         return isTabResult;
     } catch (error) {
-        console.error('Error in isTabRequest:', error);
+        logger.error('Error checking for a tab request', { error });
         return false;
     }
 }
@@ -177,9 +180,6 @@ export function extractTabId(url: string): string | null {
     if (!url) return null;
 
     try {
-        // Try to get the full URL for debugging
-        console.log(`[TAB DEBUG] Extracting tab ID from URL: ${url.substring(0, 200)}...`);
-
         // Extract from Faculty & Staff pattern
         if (url.includes('staff=Faculty') || url.includes('Faculty_Staff') || url.includes('Faculty+%26+Staff')) {
             return 'Faculty_Staff';
@@ -208,7 +208,7 @@ export function extractTabId(url: string): string | null {
         if (match1 && match1[1]) {
             // Decode URL component if needed
             const decoded = decodeURIComponent(match1[1]);
-            console.log(`[TAB DEBUG] Matched f.Tabs pattern with equals: ${decoded}`);
+            logger.debug('Matched f.Tabs pattern with equals', { tabId: decoded });
             return normalizeTabId(decoded);
         }
 
@@ -217,7 +217,7 @@ export function extractTabId(url: string): string | null {
         const match2 = url.match(facetTabRegex2);
         if (match2 && match2[1]) {
             const decoded = decodeURIComponent(match2[1]);
-            console.log(`[TAB DEBUG] Matched f.Tabs pattern with dash: ${decoded}`);
+            logger.debug('Matched f.Tabs pattern with dash', { tabId: decoded });
             return normalizeTabId(decoded);
         }
 
@@ -225,7 +225,7 @@ export function extractTabId(url: string): string | null {
         const groupControlRegex = /data-tab-group-control=["']([^"']+)["']/;
         const match3 = url.match(groupControlRegex);
         if (match3 && match3[1]) {
-            console.log(`[TAB DEBUG] Matched data-tab-group-control: ${match3[1]}`);
+            logger.debug('Matched data-tab-group-control', { tabId: match3[1] });
             return normalizeTabId(match3[1]);
         }
 
@@ -234,14 +234,14 @@ export function extractTabId(url: string): string | null {
         const match4 = url.match(tabRegex);
         if (match4 && match4[1]) {
             const decoded = decodeURIComponent(match4[1]);
-            console.log(`[TAB DEBUG] Matched direct tab parameter: ${decoded}`);
+            logger.debug('Matched direct tab parameter', { tabId: decoded });
             return normalizeTabId(decoded);
         }
 
-        console.log(`[TAB DEBUG] No tab ID found in URL`);
+        logger.debug('No tab ID found in URL');
         return null;
     } catch (error) {
-        console.error('Error extracting tab ID from URL:', error);
+        logger.error('Error extracting tab ID from URL', { error });
         return null;
     }
 }
@@ -350,9 +350,9 @@ export function parseTabRequestUrl(url: string): {
             }
         }
 
-        console.log(`[TAB DEBUG] Parsed URL result:`, result);
+        logger.debug('Parsed tab request URL', result);
     } catch (error) {
-        console.error('Error parsing tab request URL:', error);
+        logger.error('Error parsing tab request URL', { error });
     }
 
     return result;
@@ -396,7 +396,7 @@ export function shouldRefreshConnection(
 }
 
 /**
- * Log a message with consistent formatting for reconnection-related events
+ * Log a reconnection-related event through the shared logger
  * @param message - Message to log
  * @param level - Log level (info, warn, error, debug)
  * @param data - Optional data to include
@@ -404,38 +404,7 @@ export function shouldRefreshConnection(
 export function logReconnection(
     message: string,
     level: 'info' | 'warn' | 'error' | 'debug' = 'info',
-    data?: any
+    data?: Record<string, unknown>
 ): void {
-    const prefix = '[RECONNECT]';
-
-    switch (level) {
-        case 'error':
-            if (data) {
-                console.error(`${prefix} ${message}`, data);
-            } else {
-                console.error(`${prefix} ${message}`);
-            }
-            break;
-        case 'warn':
-            if (data) {
-                console.warn(`${prefix} ${message}`, data);
-            } else {
-                console.warn(`${prefix} ${message}`);
-            }
-            break;
-        case 'debug':
-            if (data) {
-                console.debug(`${prefix} ${message}`, data);
-            } else {
-                console.debug(`${prefix} ${message}`);
-            }
-            break;
-        case 'info':
-        default:
-            if (data) {
-                console.log(`${prefix} ${message}`, data);
-            } else {
-                console.log(`${prefix} ${message}`);
-            }
-    }
-}
\ No newline at end of file
+    logger[level](message, { event: 'reconnect', ...data });
+}
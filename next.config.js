@@ -11,7 +11,8 @@ const nextConfig = {
           { key: "Access-Control-Allow-Origin", value: "https://www.seattleu.edu" },
           { key: "Access-Control-Allow-Methods", value: "GET,OPTIONS,PATCH,DELETE,POST,PUT" },
           { key: "Access-Control-Allow-Headers", value: "X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Origin, X-Cache-Only" },
-          { key: "Access-Control-Expose-Headers", value: "X-Cache-Status, X-Cache-Type, X-Cache-Tab-ID, X-Client-IP-Source" }
+          { key: "Access-Control-Expose-Headers", value: "X-Cache-Status, X-Cache-Type, X-Cache-Tab-ID, X-Client-IP-Source, X-Redis-Circuit, X-Cache-Created-At, X-Request-ID, Server-Timing" },
+          { key: "Timing-Allow-Origin", value: "https://www.seattleu.edu" }
         ]
       }
     ];
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Admin Audit Log Endpoint
+ *
+ * Returns the most recent admin actions, newest first.
+ * Query parameters: limit (default 100, max 1000).
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin, getAdminAuditLog } from '../../../lib/admin-auth';
+import { withMetrics } from '../../../lib/metrics';
+import { withRequestId } from '../../../lib/logger';
+import { withServerTiming } from '../../../lib/server-timing';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Admin audit log handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  const requestedLimit = parseInt(typeof req.query.limit === 'string' ? req.query.limit : '', 10);
+  const limit = Math.min(requestedLimit > 0 ? requestedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+
+  const entries = await getAdminAuditLog(limit);
+  return res.status(200).json({ count: entries.length, entries });
+}
+
+export default withMetrics('/api/admin/audit', withRequestId(withServerTiming(handler)));
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Admin Cache Entry Inspection Endpoint
+ *
+ * Returns a single cache entry with its TTL, size and freshness.
+ * Query parameters: key (required), a content or lkg: key; other keys
+ * (audit log, rules, popularity, ...) cannot be read.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.4.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { inspectCacheEntry, isAdminCacheKey } from '../../../../lib/cache';
+import { requireAdmin, recordAdminAction } from '../../../../lib/admin-auth';
+import { withMetrics } from '../../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../../lib/logger';
+import { withServerTiming } from '../../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+/**
+ * Admin cache entry inspection handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  const key = typeof req.query.key === 'string' ? req.query.key : '';
+  if (!key) {
+    return res.status(400).json({ error: 'Key parameter is required' });
+  }
+
+  if (!isAdminCacheKey(key)) {
+    return res.status(400).json({
+      error: 'Key must start with search:, tab:, search-json:, suggestions: or lkg:'
+    });
+  }
+
+  try {
+    const entry = await inspectCacheEntry(key);
+
+    await recordAdminAction(identity, 'cache.inspect', { key, found: !!entry });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Key not found', key });
+    }
+
+    return res.status(200).json(entry);
+  } catch (error) {
+    logger.error('Error inspecting entry', { error });
+    return res.status(500).json({ error: 'Failed to inspect cache entry' });
+  }
+}
+
+export default withMetrics('/api/admin/cache/entry', withRequestId(withServerTiming(handler)));
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Admin Cache Flush Endpoint
+ *
+ * Removes all cached content (search, tab, JSON model and suggestion
+ * entries), e.g. after the nightly Funnelback crawl. Locks and the audit
+ * log are kept.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { flushAllCache } from '../../../../lib/cache';
+import { requireAdmin, recordAdminAction } from '../../../../lib/admin-auth';
+import { withMetrics } from '../../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../../lib/logger';
+import { withServerTiming } from '../../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+/**
+ * Admin cache flush handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  try {
+    const deleted = await flushAllCache();
+
+    await recordAdminAction(identity, 'cache.flush', { deleted });
+
+    return res.status(200).json({ deleted });
+  } catch (error) {
+    logger.error('Error flushing cache', { error });
+    return res.status(500).json({ error: 'Failed to flush cache' });
+  }
+}
+
+export default withMetrics('/api/admin/cache/flush', withRequestId(withServerTiming(handler)));
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Admin Cache Overview Endpoint
+ *
+ * Returns cache statistics and Redis health for operators.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getCacheStats, isRedisHealthy } from '../../../../lib/cache';
+import { requireAdmin, recordAdminAction } from '../../../../lib/admin-auth';
+import { withMetrics } from '../../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../../lib/logger';
+import { withServerTiming } from '../../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+/**
+ * Admin cache overview handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  try {
+    const [stats, redisHealthy] = await Promise.all([getCacheStats(), isRedisHealthy()]);
+
+    await recordAdminAction(identity, 'cache.stats');
+
+    return res.status(200).json({ redisHealthy, stats });
+  } catch (error) {
+    logger.error('Error getting cache stats', { error });
+    return res.status(500).json({ error: 'Failed to get cache stats' });
+  }
+}
+
+export default withMetrics('/api/admin/cache', withRequestId(withServerTiming(handler)));
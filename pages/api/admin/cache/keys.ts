@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Admin Cache Key Listing Endpoint
+ *
+ * Lists cache keys by prefix with their remaining TTL and stored size.
+ * Query parameters: prefix (e.g. "search:"), limit (default 100, max 1000).
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.3.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { listCacheKeys } from '../../../../lib/cache';
+import { requireAdmin, recordAdminAction } from '../../../../lib/admin-auth';
+import { withMetrics } from '../../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../../lib/logger';
+import { withServerTiming } from '../../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Admin cache key listing handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+  const requestedLimit = parseInt(typeof req.query.limit === 'string' ? req.query.limit : '', 10);
+  const limit = Math.min(requestedLimit > 0 ? requestedLimit : DEFAULT_LIMIT, MAX_LIMIT);
+
+  try {
+    const keys = await listCacheKeys(prefix, limit);
+
+    await recordAdminAction(identity, 'cache.keys', { prefix, limit, count: keys.length });
+
+    return res.status(200).json({ prefix, count: keys.length, keys });
+  } catch (error) {
+    logger.error('Error listing keys', { error });
+    return res.status(500).json({ error: 'Failed to list cache keys' });
+  }
+}
+
+export default withMetrics('/api/admin/cache/keys', withRequestId(withServerTiming(handler)));
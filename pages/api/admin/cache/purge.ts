@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Admin Cache Purge Endpoint
+ *
+ * Deletes cache entries by query (all content keys for that query), by key
+ * prefix, or by Redis glob pattern. Exactly one of the query parameters
+ * query, prefix or pattern must be provided. Prefixes and patterns must
+ * start with a content namespace (search:, tab:, search-json:, suggestions:)
+ * or lkg:; administrative keys such as the audit log cannot be purged.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.4.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { deleteCacheKeysByPattern, getQueryKeyPatterns, isAdminCacheKey } from '../../../../lib/cache';
+import { requireAdmin, recordAdminAction } from '../../../../lib/admin-auth';
+import { withMetrics } from '../../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../../lib/logger';
+import { withServerTiming } from '../../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+/**
+ * Admin cache purge handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', ['POST', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  const { query, prefix, pattern } = req.query;
+  const selectors = [query, prefix, pattern].filter(value => typeof value === 'string' && value);
+
+  if (selectors.length !== 1) {
+    return res.status(400).json({ error: 'Provide exactly one of query, prefix or pattern' });
+  }
+
+  // Resolve the selector to key patterns
+  let keyPatterns: string[];
+  if (typeof query === 'string' && query) {
+    keyPatterns = getQueryKeyPatterns(query);
+  } else if (typeof prefix === 'string' && prefix) {
+    keyPatterns = [`${prefix}*`];
+  } else {
+    keyPatterns = [pattern as string];
+  }
+
+  // Only cached content may be purged; use the flush endpoint to clear all of it
+  if (!keyPatterns.every(isAdminCacheKey)) {
+    return res.status(400).json({
+      error: 'Prefix or pattern must start with search:, tab:, search-json:, suggestions: or lkg:'
+    });
+  }
+
+  try {
+    let deleted = 0;
+    for (const keyPattern of keyPatterns) {
+      deleted += await deleteCacheKeysByPattern(keyPattern);
+    }
+
+    await recordAdminAction(identity, 'cache.purge', { query, prefix, pattern, keyPatterns, deleted });
+
+    return res.status(200).json({ patterns: keyPatterns, deleted });
+  } catch (error) {
+    logger.error('Error purging cache', { error });
+    return res.status(500).json({ error: 'Failed to purge cache' });
+  }
+}
+
+export default withMetrics('/api/admin/cache/purge', withRequestId(withServerTiming(handler)));
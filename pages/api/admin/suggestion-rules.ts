@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Admin Suggestion Rules Endpoint
+ *
+ * Manages the curated suggestion rules (see lib/suggestion-rules.ts).
+ * - GET lists all rules.
+ * - POST creates a rule, or replaces the rule with the given id. Query
+ *   parameters: trigger (exact, prefix, regex), pattern, column (general,
+ *   staff, programs), action (pin, inject, hide, rename), target, text, url,
+ *   position, startsAt, endsAt, id.
+ * - DELETE removes the rule with the given id.
+ * Changes apply to /api/suggestions within 30 seconds on every instance.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import {
+  SuggestionRuleError,
+  SuggestionRuleInput,
+  deleteSuggestionRule,
+  getSuggestionRules,
+  saveSuggestionRule
+} from '../../../lib/suggestion-rules';
+import { requireAdmin, recordAdminAction } from '../../../lib/admin-auth';
+import { withMetrics } from '../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../lib/logger';
+import { withServerTiming } from '../../../lib/server-timing';
+
+const logger = createLogger('admin-suggestion-rules');
+
+/**
+ * Read a single-valued query parameter
+ * @param value - Query parameter value
+ * @returns Value, or undefined when missing or empty
+ */
+function param(value: string | string[] | undefined): string | undefined {
+  return typeof value === 'string' && value !== '' ? value : undefined;
+}
+
+/**
+ * Build a rule from the query parameters
+ * @param query - Request query
+ * @returns Rule fields, validated when saved
+ */
+function parseRule(query: NextApiRequest['query']): SuggestionRuleInput {
+  const position = param(query.position);
+
+  return {
+    id: param(query.id),
+    trigger: param(query.trigger) as SuggestionRuleInput['trigger'],
+    pattern: param(query.pattern) || '',
+    column: param(query.column) as SuggestionRuleInput['column'],
+    action: param(query.action) as SuggestionRuleInput['action'],
+    target: param(query.target),
+    text: param(query.text),
+    url: param(query.url),
+    position: position !== undefined ? Math.max(0, parseInt(position, 10) || 0) : undefined,
+    startsAt: param(query.startsAt),
+    endsAt: param(query.endsAt)
+  };
+}
+
+/**
+ * Admin suggestion rules handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET' && req.method !== 'POST' && req.method !== 'DELETE') {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ rules: await getSuggestionRules(true) });
+    }
+
+    if (req.method === 'POST') {
+      const rule = await saveSuggestionRule(parseRule(req.query), identity.actor);
+
+      await recordAdminAction(identity, 'suggestions.rule.save', { rule });
+
+      return res.status(200).json(rule);
+    }
+
+    const id = param(req.query.id);
+    if (!id) {
+      return res.status(400).json({ error: 'id parameter is required' });
+    }
+
+    const deleted = await deleteSuggestionRule(id);
+
+    await recordAdminAction(identity, 'suggestions.rule.delete', { id, deleted });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found', id });
+    }
+
+    return res.status(200).json({ deleted: id });
+  } catch (error) {
+    if (error instanceof SuggestionRuleError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error('Error managing suggestion rules', { error });
+    return res.status(500).json({ error: 'Failed to manage suggestion rules' });
+  }
+}
+
+export default withMetrics('/api/admin/suggestion-rules', withRequestId(withServerTiming(handler)));
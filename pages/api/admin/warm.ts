@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Admin Cache Warm Endpoint
+ *
+ * Pre-populates the search and popular tab caches (see lib/cache-warmer.ts)
+ * and returns a summary of the warmed and failed keys. Queries come from a
+ * curated comma-separated list (queries) or from the top n queries of a
+ * popularity window (n, window). Load is bounded by concurrency and rate
+ * (backend calls per second, a positive number; the warmer's default when
+ * omitted). Optional: collection, profile, tabs.
+ * Requires admin authentication (see lib/admin-auth.ts).
+ *
+ * Use scripts/warm-cache.mjs to run the warmer from cron.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.4.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { warmQueries, warmTopQueries } from '../../../lib/cache-warmer';
+import type { PopularityWindow } from '../../../lib/query-popularity';
+import { requireAdmin, recordAdminAction } from '../../../lib/admin-auth';
+import { withMetrics } from '../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../lib/logger';
+import { withServerTiming } from '../../../lib/server-timing';
+
+const logger = createLogger('admin-cache');
+
+const MAX_QUERIES = 200;
+const MAX_CONCURRENCY = 10;
+const WINDOWS: PopularityWindow[] = ['hour', 'day', 'week'];
+
+/**
+ * Split a comma-separated query parameter
+ * @param value - Query parameter value
+ * @returns Trimmed, non-empty entries
+ */
+function parseList(value: string | string[] | undefined): string[] {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values.flatMap(entry => entry.split(',')).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Admin cache warm handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const identity = requireAdmin(req, res);
+  if (!identity) return;
+
+  const { n, window, concurrency, rate, collection, profile } = req.query;
+  const queries = parseList(req.query.queries);
+  const tabs = parseList(req.query.tabs);
+  const popularityWindow = (typeof window === 'string' ? window : 'day') as PopularityWindow;
+
+  if (!WINDOWS.includes(popularityWindow)) {
+    return res.status(400).json({ error: `window must be one of ${WINDOWS.join(', ')}` });
+  }
+
+  // 0 would lift the backend budget, so only positive rates are accepted
+  const ratePerSecond = rate !== undefined ? Number(rate) : undefined;
+  if (ratePerSecond !== undefined && !(Number.isFinite(ratePerSecond) && ratePerSecond > 0)) {
+    return res.status(400).json({ error: 'rate must be a positive number of backend calls per second' });
+  }
+
+  if (queries.length > MAX_QUERIES) {
+    return res.status(400).json({ error: `At most ${MAX_QUERIES} queries can be warmed at once` });
+  }
+
+  const options = {
+    collection: typeof collection === 'string' ? collection : undefined,
+    profile: typeof profile === 'string' ? profile : undefined,
+    tabs: tabs.length > 0 ? tabs : undefined,
+    concurrency: Math.min(parseInt(concurrency as string, 10) || 0, MAX_CONCURRENCY) || undefined,
+    ratePerSecond,
+    headers: req.headers
+  };
+
+  try {
+    const summary = queries.length > 0
+      ? await warmQueries({ ...options, queries })
+      : await warmTopQueries(Math.min(parseInt(n as string, 10) || 20, MAX_QUERIES), popularityWindow, options);
+
+    await recordAdminAction(identity, 'cache.warm', {
+      source: queries.length > 0 ? 'list' : `top:${popularityWindow}`,
+      collection: summary.collection,
+      queries: summary.queries,
+      warmed: summary.warmed.length,
+      failed: summary.failed.length
+    });
+
+    return res.status(summary.failed.length > 0 && summary.warmed.length === 0 ? 502 : 200).json(summary);
+  } catch (error) {
+    logger.error('Error warming cache', { error });
+    return res.status(500).json({ error: 'Failed to warm cache' });
+  }
+}
+
+export default withMetrics('/api/admin/warm', withRequestId(withServerTiming(handler)));
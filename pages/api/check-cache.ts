@@ -11,44 +11,29 @@
  * - Minimal payload responses with appropriate HTTP statuses
  * - Early returns for invalid queries and cache misses
  * - Integration with Redis cache and in-memory fallback
- * - Comprehensive logging with configurable levels
+ * - Redis circuit breaker state in X-Redis-Circuit
+ * - Structured logging with request IDs and redacted cache keys
+ * - Server-Timing header with the cache lookup and total time
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 1.0.1
- * @lastModified 2025-05-07
+ * @version 1.6.0
+ * @lastModified 2026-10-19
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
 import {
     searchResultsExistInCache,
     generateSearchCacheKey,
-    getKeyTTL,
-    LogLevel,
-    log as cacheLog
+    getKeyTTL
 } from '../../lib/cache';
+import { normalizeQueryForCacheKey } from '../../lib/query-normalizer';
+import { getRedisCircuitState } from '../../lib/redis-client';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { measurePhase, withServerTiming } from '../../lib/server-timing';
 
-/**
- * Normalize a query string for consistent cache key generation
- * This function must match the client-side implementation in integration.js
- * 
- * @param query - The original query string
- * @returns Normalized query string
- */
-function normalizeQuery(query: string): string {
-    if (!query) return "";
-
-    // Convert to lowercase
-    let normalized = query.toLowerCase();
-
-    // Remove extra whitespace
-    normalized = normalized.trim().replace(/\s+/g, " ");
-
-    // Remove certain special characters
-    normalized = normalized.replace(/['"?!.,]/g, "");
-
-    return normalized;
-}
+const logger = createLogger('check-cache', { levelEnv: 'CACHE_LOG_LEVEL' });
 
 /**
  * Interface for cache check response
@@ -68,7 +53,7 @@ interface CacheCheckResponse {
  * @param res - Next.js API response
  * @returns Promise resolving to API response
  */
-export default async function handler(
+async function handler(
     req: NextApiRequest,
     res: NextApiResponse<CacheCheckResponse>
 ): Promise<void> {
@@ -88,7 +73,7 @@ export default async function handler(
 
         // Early return for missing query
         if (!query || typeof query !== 'string' || query.trim().length < 2) {
-            cacheLog('Cache check rejected: Missing or invalid query', LogLevel.INFO);
+            logger.info('Cache check rejected: Missing or invalid query');
             res.status(400).json({
                 exists: false,
                 timestamp: Date.now()
@@ -97,19 +82,20 @@ export default async function handler(
         }
 
         // Normalize parameters
-        const normalizedQuery = normalizeQuery(query);
+        const normalizedQuery = normalizeQueryForCacheKey(query);
         const normalizedCollection = typeof collection === 'string' ? collection : 'seattleu~sp-search';
         const normalizedProfile = typeof profile === 'string' ? profile : '_default';
 
-        // Generate cache key matching main search
-        const cacheKey = generateSearchCacheKey(normalizedQuery, normalizedCollection, normalizedProfile);
+        // Generate cache key matching main search, including facet/paging/sort params
+        const cacheKey = generateSearchCacheKey(normalizedQuery, normalizedCollection, normalizedProfile, req.query);
 
         // Check cache existence without retrieving full content
-        const exists = await searchResultsExistInCache(
+        const exists = await measurePhase('cache-lookup', () => searchResultsExistInCache(
             normalizedQuery,
             normalizedCollection,
-            normalizedProfile
-        );
+            normalizedProfile,
+            req.query
+        ));
 
         // Performance tracking
         const processingTime = Date.now() - startTime;
@@ -117,15 +103,16 @@ export default async function handler(
         // Get TTL if exists
         let ttl: number | null = null;
         if (exists) {
-            ttl = await getKeyTTL(cacheKey);
-            cacheLog(`Cache HIT for ${cacheKey}, TTL: ${ttl || 'unknown'}, processing time: ${processingTime}ms`, LogLevel.INFO);
+            ttl = await measurePhase('cache-lookup', () => getKeyTTL(cacheKey));
+            logger.info('Cache check hit', { key: cacheKey, ttl, processingTime });
         } else {
-            cacheLog(`Cache MISS for ${cacheKey}, processing time: ${processingTime}ms`, LogLevel.INFO);
+            logger.info('Cache check miss', { key: cacheKey, processingTime });
         }
 
         // Set cache-related headers
         res.setHeader('X-Cache-Check-Time', processingTime.toString());
         res.setHeader('X-Cache-Status', exists ? 'HIT' : 'MISS');
+        res.setHeader('X-Redis-Circuit', getRedisCircuitState());
         if (ttl) {
             res.setHeader('X-Cache-TTL', ttl.toString());
         }
@@ -149,7 +136,7 @@ export default async function handler(
         });
     } catch (error) {
         // Log error details with appropriate level
-        cacheLog(`Cache check error: ${error instanceof Error ? error.message : 'Unknown error'}`, LogLevel.ERROR);
+        logger.error('Cache check error', { error });
 
         // Return error response
         res.status(500).json({
@@ -157,4 +144,6 @@ export default async function handler(
             timestamp: Date.now()
         });
     }
-}
\ No newline at end of file
+}
+
+export default withMetrics('/api/check-cache', withRequestId(withServerTiming(handler)));
@@ -3,13 +3,19 @@
  * 
  * This API endpoint captures and returns client information including IP address.
  * It serves as the source of truth for client IP addresses throughout the application.
+ * IP addresses are redacted in logs according to LOG_REDACTION.
  * 
  * @author Victor Chimenti
- * @version 1.0.0
- * @lastModified 2025-04-28
+ * @version 1.3.0
+ * @lastModified 2026-10-19
  */
 
 import type { NextApiRequest, NextApiResponse } from 'next';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('client-info');
 
 // Interface for the response data
 interface ClientInfoResponse {
@@ -30,7 +36,7 @@ interface ErrorResponse {
  */
 function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
     // Log all headers for debugging
-    console.log('CLIENT-INFO: All request headers:', JSON.stringify(req.headers));
+    logger.debug('Request headers', { headers: req.headers });
 
     // Check x-forwarded-for header (common for proxied requests)
     if (req.headers['x-forwarded-for']) {
@@ -40,7 +46,7 @@ function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
 
         // Extract the first IP in the list (the original client)
         const clientIp = forwardedIps.split(',')[0].trim();
-        console.log(`CLIENT-INFO: Extracted IP from x-forwarded-for: ${clientIp}`);
+        logger.debug('Extracted client IP', { source: 'x-forwarded-for', ip: clientIp });
         return { ip: clientIp, source: 'x-forwarded-for' };
     }
 
@@ -49,7 +55,7 @@ function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
         const realIp = Array.isArray(req.headers['x-real-ip'])
             ? req.headers['x-real-ip'][0]
             : req.headers['x-real-ip'];
-        console.log(`CLIENT-INFO: Extracted IP from x-real-ip: ${realIp}`);
+        logger.debug('Extracted client IP', { source: 'x-real-ip', ip: realIp });
         return { ip: realIp, source: 'x-real-ip' };
     }
 
@@ -58,7 +64,7 @@ function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
         const trueClientIp = Array.isArray(req.headers['true-client-ip'])
             ? req.headers['true-client-ip'][0]
             : req.headers['true-client-ip'];
-        console.log(`CLIENT-INFO: Extracted IP from true-client-ip: ${trueClientIp}`);
+        logger.debug('Extracted client IP', { source: 'true-client-ip', ip: trueClientIp });
         return { ip: trueClientIp, source: 'true-client-ip' };
     }
 
@@ -67,19 +73,19 @@ function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
         const cfIp = Array.isArray(req.headers['cf-connecting-ip'])
             ? req.headers['cf-connecting-ip'][0]
             : req.headers['cf-connecting-ip'];
-        console.log(`CLIENT-INFO: Extracted IP from cf-connecting-ip: ${cfIp}`);
+        logger.debug('Extracted client IP', { source: 'cf-connecting-ip', ip: cfIp });
         return { ip: cfIp, source: 'cf-connecting-ip' };
     }
 
     // Fall back to remoteAddress from the connection
     // Note: In Vercel and other serverless environments, this might not be reliable
     if (req.socket && req.socket.remoteAddress) {
-        console.log(`CLIENT-INFO: Extracted IP from socket remoteAddress: ${req.socket.remoteAddress}`);
+        logger.debug('Extracted client IP', { source: 'socket', ip: req.socket.remoteAddress });
         return { ip: req.socket.remoteAddress, source: 'socket' };
     }
 
     // Return unknown if no IP found
-    console.warn('CLIENT-INFO: Could not extract IP address from request');
+    logger.warn('Could not extract IP address from request');
     return { ip: '0.0.0.0', source: 'unknown' };
 }
 
@@ -88,7 +94,7 @@ function extractClientIp(req: NextApiRequest): { ip: string; source: string } {
  * @param req - Next.js API request
  * @param res - Next.js API response
  */
-export default function handler(
+function handler(
     req: NextApiRequest,
     res: NextApiResponse<ClientInfoResponse | ErrorResponse>
 ) {
@@ -105,19 +111,19 @@ export default function handler(
 
     // Only allow GET requests
     if (req.method !== 'GET') {
-        console.error(`CLIENT-INFO: Method not allowed: ${req.method}`);
+        logger.warn('Method not allowed', { method: req.method });
         res.status(405).json({ error: 'Method not allowed' });
         return;
     }
 
     try {
-        console.log('CLIENT-INFO: Processing client info request');
+        logger.debug('Processing client info request');
 
         // Extract client IP address
         const { ip, source } = extractClientIp(req);
 
         // Log the final IP resolution
-        console.log(`CLIENT-INFO: Resolved IP ${ip} from source ${source}`);
+        logger.info('Resolved client IP', { ip, source });
 
         // Return client information
         const responseData: ClientInfoResponse = {
@@ -126,9 +132,6 @@ export default function handler(
             timestamp: Date.now()
         };
 
-        // Log full response data
-        console.log(`CLIENT-INFO: Returning data: ${JSON.stringify(responseData)}`);
-
         // Add cache control headers to prevent caching
         res.setHeader('Cache-Control', 'no-store, max-age=0');
 
@@ -136,9 +139,11 @@ export default function handler(
         res.status(200).json(responseData);
     } catch (error) {
         // Log any errors
-        console.error('CLIENT-INFO: Error processing request:', error);
+        logger.error('Error processing request', { error });
 
         // Return error response
         res.status(500).json({ error: 'Failed to process client information' });
     }
-}
\ No newline at end of file
+}
+
+export default withMetrics('/api/client-info', withRequestId(withServerTiming(handler)));
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Liveness Endpoint
+ *
+ * Reports whether this instance is running, without contacting Redis or the
+ * backend so it stays cheap and answers even while a dependency hangs.
+ * The status is "degraded" while the Redis circuit or a backend path's
+ * circuit is not closed; while the Redis circuit is open caching falls back
+ * to instance memory. The response includes version, uptime, cache mode,
+ * breaker states and per-path backend timeouts, retry counts and breaker
+ * stats. Always responds 200 while the process can serve requests; use
+ * /api/ready to decide whether the deployment should receive traffic.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 2.3.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getCacheMode } from '../../lib/cache';
+import { getRedisCircuitState, getRedisCircuitStats, isRedisConfigured } from '../../lib/redis-client';
+import { getBackendMetrics } from '../../lib/backend-resilience';
+import { getBreakerStates, getServiceInfo } from '../../lib/health';
+import { withMetrics } from '../../lib/metrics';
+import { withRequestId } from '../../lib/logger';
+import { withServerTiming } from '../../lib/server-timing';
+
+/**
+ * Liveness handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const circuit = getRedisCircuitState();
+  const { consecutiveFailures, opens, openedAt } = getRedisCircuitStats();
+  const breakers = getBreakerStates();
+  const backendClosed = Object.values(breakers.backend).every(state => state === 'closed');
+  const redisClosed = circuit === 'disabled' || circuit === 'closed';
+
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  res.setHeader('X-Redis-Circuit', circuit);
+
+  return res.status(200).json({
+    status: redisClosed && backendClosed ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    ...getServiceInfo(),
+    cache: getCacheMode(),
+    breakers,
+    redis: {
+      configured: isRedisConfigured(),
+      circuit,
+      consecutiveFailures,
+      opens,
+      openedAt
+    },
+    backend: getBackendMetrics()
+  });
+}
+
+export default withMetrics('/api/health', withRequestId(withServerTiming(handler)));
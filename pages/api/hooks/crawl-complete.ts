@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Crawl Completion Webhook
+ *
+ * Called by the Funnelback crawl pipeline when a collection has been
+ * re-indexed. Advances the collection's index generation so every search,
+ * tab and suggestion entry cached under the previous generation is treated
+ * as stale, and optionally re-warms the search and popular tab caches
+ * for the most popular queries (see lib/cache-warmer.ts).
+ *
+ * Requests are signed: X-Hook-Timestamp carries the send time in
+ * milliseconds (within five minutes of the server clock; anything else is
+ * rejected) and X-Hook-Signature is "sha256=<hex>" of an HMAC over
+ * "<timestamp>.<raw body>" using CRAWL_HOOK_SECRET.
+ *
+ * Body: { "collection": "seattleu~sp-search", "rewarm": 20 }
+ *
+ * Use scripts/send-crawl-hook.mjs to send a signed request locally.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.6.0
+ * @lastModified 2026-10-19
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { warmTopQueries } from '../../../lib/cache-warmer';
+import { bumpIndexGeneration } from '../../../lib/index-generation';
+import { recordAdminAction } from '../../../lib/admin-auth';
+import { withMetrics } from '../../../lib/metrics';
+import { createLogger, withRequestId } from '../../../lib/logger';
+import { withServerTiming } from '../../../lib/server-timing';
+
+const logger = createLogger('crawl-hook');
+
+// The signature covers the raw body, so Next.js must not parse it
+export const config = {
+  api: {
+    bodyParser: false
+  }
+};
+
+const CRAWL_HOOK_SECRET = process.env.CRAWL_HOOK_SECRET || '';
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_REWARM_QUERIES = 100;
+
+/**
+ * Read the raw request body
+ * @param req - Next.js API request
+ * @returns Body as a UTF-8 string
+ */
+async function readRawBody(req: NextApiRequest): Promise<string> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Verify the webhook signature
+ * @param rawBody - Raw request body
+ * @param timestamp - X-Hook-Timestamp header value
+ * @param signature - X-Hook-Signature header value
+ * @returns Whether the signature is valid and recent
+ */
+function verifySignature(rawBody: string, timestamp: string, signature: string): boolean {
+  if (!timestamp || !signature) return false;
+
+  // A timestamp that is not a number would compare as NaN and never expire
+  const sentAt = /^\d+$/.test(timestamp) ? Number(timestamp) : NaN;
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > SIGNATURE_MAX_SKEW_MS) return false;
+
+  const expected = createHmac('sha256', CRAWL_HOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  const provided = signature.replace(/^sha256=/, '');
+
+  return provided.length === expected.length
+    && timingSafeEqual(Buffer.from(provided), Buffer.from(expected));
+}
+
+/**
+ * Crawl completion webhook handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!CRAWL_HOOK_SECRET) {
+    return res.status(503).json({ error: 'Crawl webhook is not configured' });
+  }
+
+  try {
+    const rawBody = await readRawBody(req);
+    const timestamp = req.headers['x-hook-timestamp'] as string || '';
+    const signature = req.headers['x-hook-signature'] as string || '';
+
+    if (!verifySignature(rawBody, timestamp, signature)) {
+      logger.warn('Rejected request with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let payload: { collection?: string; rewarm?: number };
+    try {
+      payload = JSON.parse(rawBody || '{}');
+    } catch {
+      return res.status(400).json({ error: 'Body must be JSON' });
+    }
+
+    const collection = typeof payload.collection === 'string' ? payload.collection.trim() : '';
+    if (!collection) {
+      return res.status(400).json({ error: 'Collection is required' });
+    }
+
+    const rewarm = Math.min(Math.max(0, Math.floor(Number(payload.rewarm) || 0)), MAX_REWARM_QUERIES);
+
+    const generation = await bumpIndexGeneration(collection);
+    await recordAdminAction({ actor: 'crawl-hook', method: 'hmac' }, 'crawl.complete', {
+      collection,
+      generation,
+      rewarm
+    });
+
+    // Fire-and-forget: re-warming continues after the response is sent
+    if (rewarm > 0) {
+      // Sequential and slow to keep the load on a freshly crawled backend low
+      warmTopQueries(rewarm, 'day', {
+        collection,
+        concurrency: 1,
+        ratePerSecond: 2,
+        headers: req.headers
+      }).catch(error => {
+        logger.error('Re-warm error', { error });
+      });
+    }
+
+    return res.status(200).json({ collection, generation, rewarm });
+  } catch (error) {
+    logger.error('Error handling crawl notification', { error });
+    return res.status(500).json({ error: 'Failed to process crawl notification' });
+  }
+}
+
+export default withMetrics('/api/hooks/crawl-complete', withRequestId(withServerTiming(handler)));
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Metrics Endpoint
+ *
+ * Exposes the service metrics (lib/metrics.ts) in the OpenMetrics text
+ * format for Prometheus scrapes. Totals are aggregated across instances
+ * through Redis; X-Metrics-Scope reports "cluster" or, without Redis,
+ * "instance". When METRICS_TOKEN is set, scrapes must send it as a bearer
+ * token.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.2.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { timingSafeEqual } from 'crypto';
+import { renderMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('metrics');
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+/**
+ * Check the scrape token when one is configured
+ * @param req - Next.js API request
+ * @returns Whether the request may read the metrics
+ */
+function isAuthorized(req: NextApiRequest): boolean {
+  if (!METRICS_TOKEN) return true;
+
+  const header = req.headers.authorization || '';
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(header);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Metrics handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const { body, aggregated } = await renderMetrics();
+
+    res.setHeader('Content-Type', 'application/openmetrics-text; version=1.0.0; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store, max-age=0');
+    res.setHeader('X-Metrics-Scope', aggregated ? 'cluster' : 'instance');
+    return res.status(200).send(body);
+  } catch (error) {
+    logger.error('Error rendering metrics', { error });
+    return res.status(500).json({ error: 'Failed to render metrics' });
+  }
+}
+
+export default withRequestId(withServerTiming(handler));
@@ -13,6 +13,10 @@
  * - Graceful error handling with silent failures
  * - IP forwarding for accurate backend requests
  * - Extended TTL for pre-rendered content (2 hours)
+ * - Coalesces with identical in-flight backend requests
+ * - Structured logs carry the request ID through the background fetch
+ * - OpenTelemetry spans for IP resolution, backend fetch, cache write and response
+ * - Server-Timing header with IP resolution and total time
  *
  * Integration:
  * - Called by integration.js during header form submission
@@ -22,14 +26,21 @@
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 1.1.0
- * @lastModified 2025-09-10
+ * @version 1.7.0
+ * @lastModified 2026-10-19
  */
 
 import type { NextApiRequest, NextApiResponse } from 'next';
 import { createApiClient } from '../../lib/api-client';
-import { setCachedSearchResults } from '../../lib/cache';
+import { setCachedSearchResults, generateSearchCacheKey } from '../../lib/cache';
 import { getClientInfo } from '../../lib/ip-service';
+import { coalesceRequest, generateRequestKey } from '../../lib/request-coalescer';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withSpan, withTracing } from '../../lib/tracing';
+import { measurePhase, withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('pre-render');
 
 /**
  * Interface for pre-render request body
@@ -80,7 +91,7 @@ interface PreRenderResponse {
  * @param res - Next.js API response with acceptance confirmation
  * @returns Promise resolving to API response
  */
-export default async function handler(
+async function handler(
   req: NextApiRequest,
   res: NextApiResponse<PreRenderResponse>
 ) {
@@ -115,7 +126,7 @@ export default async function handler(
     
     // Basic validation - query is required
     if (!query || typeof query !== 'string' || query.trim().length < 2) {
-      console.log('[PRE-RENDER] Invalid query provided:', query);
+      logger.info('Invalid query provided', { query });
       return res.status(400).json({ 
         status: 'error', 
         message: 'Valid query parameter is required' 
@@ -124,15 +135,20 @@ export default async function handler(
     
     // Normalize the query string for consistency
     const normalizedQuery = query.trim();
+
+    // Cache key produced by the shared normalizer, identical to the one search.ts reads
+    const cacheKey = generateSearchCacheKey(normalizedQuery, collection, profile);
     
     // Use established session ID or create fallback for pre-rendering
     const useSessionId = sessionId || `prerender_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
     
-    console.log(`[PRE-RENDER] Initiating pre-render for query: "${normalizedQuery}" with session: ${useSessionId.substring(0, 12)}...`);
+    logger.info('Initiating pre-render', { query: normalizedQuery, sessionId: useSessionId });
     
     // Resolve client IP information for accurate backend request
-    const clientInfo = await getClientInfo(req.headers);
-    console.log(`[PRE-RENDER] Resolved client IP: ${clientInfo.ip} (${clientInfo.source})`);
+    const clientInfo = await withSpan('pre-render.resolve_ip', () =>
+      measurePhase('ip', () => getClientInfo(req.headers))
+    );
+    logger.debug('Resolved client IP', { ip: clientInfo.ip, source: clientInfo.source });
     
     // Create API client with client IP forwarding using existing infrastructure
     const apiClient = createApiClient(req.headers, { cacheAware: true });
@@ -151,48 +167,51 @@ export default async function handler(
       searchParams.clientIp = clientInfo.ip;
     }
 
-    console.log(`[PRE-RENDER] Search parameters:`, {
+    logger.debug('Search parameters', {
       query: normalizedQuery,
       collection,
       profile,
-      sessionId: useSessionId.substring(0, 12) + '...',
+      sessionId: useSessionId,
       hasClientIp: !!clientInfo?.ip
     });
 
     // Fire-and-forget: Initiate background fetch and cache
     // This Promise runs asynchronously and won't block the response
-    apiClient.get('/funnelback/search', { params: searchParams })
-      .then(response => {
+    // Identical in-flight requests (e.g. a prefetch of the same query) share one backend call
+    withSpan('pre-render.backend_fetch', () => coalesceRequest(
+      generateRequestKey('/funnelback/search', searchParams),
+      async () => (await apiClient.get('/funnelback/search', { params: searchParams })).data
+    ))
+      .then(data => {
         const fetchTime = Date.now() - startTime;
         
-        if (response.status === 200 && response.data) {
-          console.log(`[PRE-RENDER] Backend fetch successful for "${normalizedQuery}" in ${fetchTime}ms`);
+        if (data) {
+          logger.info('Backend fetch successful', { query: normalizedQuery, fetchTime });
 
           // Cache with extended TTL for pre-rendered content (16 hours)
           // Using existing cache infrastructure for consistency
-          setCachedSearchResults(normalizedQuery, collection, profile, response.data, 16 * 3600)
+          withSpan('pre-render.cache_write', () =>
+            setCachedSearchResults(normalizedQuery, collection, profile, data, 16 * 3600)
+          )
             .then(cacheSuccess => {
               const totalTime = Date.now() - startTime;
               if (cacheSuccess) {
-                console.log(`[PRE-RENDER] Successfully cached results for "${normalizedQuery}" (total: ${totalTime}ms)`);
-                
-                // Log cache key for debugging if needed
-                console.log(`[PRE-RENDER] Cache key: search:${normalizedQuery.toLowerCase()}:${collection}:${profile}`);
+                logger.info('Cached pre-rendered results', { key: cacheKey, totalTime });
               } else {
-                console.warn(`[PRE-RENDER] Cache storage failed for "${normalizedQuery}" after ${totalTime}ms`);
+                logger.warn('Cache storage failed', { key: cacheKey, totalTime });
               }
             })
             .catch(cacheError => {
-              console.error(`[PRE-RENDER] Cache error for "${normalizedQuery}":`, cacheError.message);
+              logger.error('Cache error', { key: cacheKey, error: cacheError });
             });
             
         } else {
-          console.warn(`[PRE-RENDER] Backend returned status ${response.status} for "${normalizedQuery}" in ${fetchTime}ms`);
+          logger.warn('Backend returned an empty response', { query: normalizedQuery, fetchTime });
         }
       })
       .catch(error => {
         const fetchTime = Date.now() - startTime;
-        console.error(`[PRE-RENDER] Backend fetch failed for "${normalizedQuery}" after ${fetchTime}ms:`, error.message);
+        logger.error('Backend fetch failed', { query: normalizedQuery, fetchTime, error });
         // Silent failure - pre-rendering is best effort and should never impact user experience
       });
 
@@ -203,17 +222,15 @@ export default async function handler(
       accepted: true,
       query: normalizedQuery,
       sessionId: useSessionId,
-      cacheKey: `search:${normalizedQuery.toLowerCase()}:${collection}:${profile}`
+      cacheKey
     };
 
-    console.log(`[PRE-RENDER] Request accepted and processing initiated for "${normalizedQuery}"`);
-    
-    return res.status(202).json(responseData);
+    return withSpan('pre-render.respond', () => res.status(202).json(responseData));
 
   } catch (error) {
     // Log error but don't expose internal details
     const processingTime = Date.now() - startTime;
-    console.error(`[PRE-RENDER] Unhandled error after ${processingTime}ms:`, error);
+    logger.error('Unhandled error', { processingTime, error });
     
     // Return generic error to avoid exposing internals
     return res.status(500).json({ 
@@ -224,4 +241,6 @@ export default async function handler(
         undefined
     });
   }
-}
\ No newline at end of file
+}
+
+export default withMetrics('/api/pre-render', withRequestId(withServerTiming(withTracing('/api/pre-render', handler))));
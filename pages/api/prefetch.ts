@@ -4,18 +4,31 @@
  * This API endpoint provides a non-blocking way to prefetch and cache search results
  * before the user submits a search query. It works by accepting search
  * queries during typing, initiating a backend search request, and storing the
- * results in Redis cache for later fast retrieval.
+ * results in Redis cache for later fast retrieval. Backend calls are coalesced
+ * with identical in-flight search requests. Outcomes and durations are
+ * recorded in the shared service metrics. IP resolution, the background
+ * backend fetch and cache write, and the response are traced as
+ * OpenTelemetry spans. The Server-Timing header reports IP resolution and
+ * the total; the background fetch finishes after the response.
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 1.0.0
- * @lastModified 2025-05-06
+ * @version 1.6.0
+ * @lastModified 2026-10-19
  */
 
 import type { NextApiRequest, NextApiResponse } from 'next';
 import { createApiClient } from '../../lib/api-client';
 import { setCachedData, generateSearchCacheKey } from '../../lib/cache';
 import { getClientInfo } from '../../lib/ip-service';
+import { coalesceRequest, generateRequestKey } from '../../lib/request-coalescer';
+import { normalizeQueryForCacheKey } from '../../lib/query-normalizer';
+import { incrementCounter, observeHistogram, withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withSpan, withTracing } from '../../lib/tracing';
+import { measurePhase, withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('prefetch-api');
 
 // Define response type
 type PrefetchResponse = {
@@ -37,7 +50,7 @@ type PrefetchResponse = {
  * @param req - The Next.js API request
  * @param res - The Next.js API response
  */
-export default async function handler(
+async function handler(
   req: NextApiRequest,
   res: NextApiResponse<PrefetchResponse>
 ) {
@@ -76,17 +89,16 @@ export default async function handler(
     });
   }
   
-  // Normalize the query string
-  const normalizedQuery = query.trim().toLowerCase();
+  // Normalize the query string with the canonical normalizer shared with the browser
+  const normalizedQuery = normalizeQueryForCacheKey(query);
   
   try {
-    // Log the prefetch request (development only)
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`[PREFETCH-API] Prefetch request for query: ${normalizedQuery}`);
-    }
+    logger.debug('Prefetch request', { query: normalizedQuery });
     
     // Resolve client information for accurate analytics
-    const clientInfo = await getClientInfo(req.headers);
+    const clientInfo = await withSpan('prefetch.resolve_ip', () =>
+      measurePhase('ip', () => getClientInfo(req.headers))
+    );
     
     // Generate standard cache key
     const cacheKey = generateSearchCacheKey(
@@ -116,26 +128,30 @@ export default async function handler(
     // Create API client with client IP forwarding
     const apiClient = createApiClient(headers);
     
+    // Same form as the search endpoint so a prefetch and a submit share one backend call
+    // The backend receives the original query; normalization only applies to keys
+    const searchParams = {
+      query: query.trim(),
+      collection: Array.isArray(collection) ? collection[0] : collection,
+      profile: Array.isArray(profile) ? profile[0] : profile,
+      form: 'partial',
+      sessionId: Array.isArray(sessionId) ? sessionId[0] : sessionId,
+      prefetch: 'true',
+      clientIp: clientInfo?.ip || ''
+    };
+
     // Use a non-blocking approach - fire and forget the backend request
     // This allows us to return immediately to the client while caching happens
-    apiClient.get('/funnelback/search', {
-      params: {
-        query: normalizedQuery,
-        collection: Array.isArray(collection) ? collection[0] : collection,
-        profile: Array.isArray(profile) ? profile[0] : profile,
-        sessionId: Array.isArray(sessionId) ? sessionId[0] : sessionId,
-        prefetch: 'true',
-        clientIp: clientInfo?.ip || ''
-      }
-    })
-    .then(response => {
-      if (response.status === 200) {
+    withSpan('prefetch.backend_fetch', () => coalesceRequest(
+      generateRequestKey('/funnelback/search', searchParams),
+      async () => (await apiClient.get('/funnelback/search', { params: searchParams })).data
+    ))
+    .then(data => {
+      if (data) {
         // Cache the result with the specified TTL
-        setCachedData(cacheKey, response.data, cacheTTL)
+        withSpan('prefetch.cache_write', () => setCachedData(cacheKey, data, cacheTTL))
           .then(success => {
-            if (process.env.NODE_ENV === 'development') {
-              console.log(`[PREFETCH-API] Cache result for ${cacheKey}: ${success ? 'Success' : 'Failed'}`);
-            }
+            logger.debug('Prefetch cache result', { key: cacheKey, success });
             
             // Track prefetch metrics
             trackPrefetchMetrics({ 
@@ -146,7 +162,7 @@ export default async function handler(
             });
           })
           .catch(cacheError => {
-            console.error('[PREFETCH-API] Cache error:', cacheError);
+            logger.error('Cache error', { error: cacheError });
             
             // Track error in metrics
             trackPrefetchMetrics({ 
@@ -157,19 +173,19 @@ export default async function handler(
             });
           });
       } else {
-        console.warn(`[PREFETCH-API] Backend returned non-200 status: ${response.status}`);
+        logger.warn('Backend returned an empty response');
         
-        // Track non-200 response in metrics
+        // Track empty response in metrics
         trackPrefetchMetrics({ 
           ...prefetchData, 
           success: false, 
           responseTime: Date.now() - startTime,
-          error: `status_${response.status}`
+          error: 'empty_response'
         });
       }
     })
     .catch(error => {
-      console.error('[PREFETCH-API] Backend request error:', error.message);
+      logger.error('Backend request error', { error });
       
       // Track error in metrics
       trackPrefetchMetrics({ 
@@ -182,15 +198,15 @@ export default async function handler(
     
     // Return immediately with accepted status
     // The caching will continue in the background
-    return res.status(202).json({ 
+    return withSpan('prefetch.respond', () => res.status(202).json({ 
       status: 'accepted',
       cacheKey,
       query: normalizedQuery,
       message: 'Prefetch request accepted'
-    });
+    }));
     
   } catch (error) {
-    console.error('[PREFETCH-API] Unhandled error:', error);
+    logger.error('Unhandled error', { error });
     
     return res.status(500).json({ 
       status: 'error',
@@ -207,11 +223,11 @@ export default async function handler(
  * @param metrics - Object containing metrics to track
  */
 function trackPrefetchMetrics(metrics: any): void {
-  // In a production environment, this would send metrics to a monitoring system
-  // For now, we'll just log in development
-  if (process.env.NODE_ENV === 'development') {
-    console.log('[PREFETCH-METRICS]', metrics);
-  }
-  
-  // TODO: Add proper metrics tracking in the future
-}
\ No newline at end of file
+  const outcome = metrics.error || (metrics.success ? 'cached' : 'cache_failed');
+  incrementCounter('prefetch_outcomes', { outcome });
+  observeHistogram('prefetch_duration_seconds', { outcome }, metrics.responseTime / 1000);
+
+  logger.debug('Prefetch completed', metrics);
+}
+
+export default withMetrics('/api/prefetch', withRequestId(withServerTiming(withTracing('/api/prefetch', handler))));
\ No newline at end of file
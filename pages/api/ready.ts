@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Readiness Endpoint
+ *
+ * Reports whether this deployment should receive traffic. It is ready when
+ * the configured environment variables are valid and the backend proxy
+ * answers a lightweight request. A Redis failure only degrades the status,
+ * since the cache falls back to instance memory. Responds 200 when ready
+ * and 503 otherwise, with the individual checks, version, cache mode,
+ * breaker states and uptime in the body.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.4.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { getCacheMode, isRedisHealthy } from '../../lib/cache';
+import { getRedisCircuitState, isRedisConfigured } from '../../lib/redis-client';
+import { getBreakerStates, getServiceInfo, pingBackend, validateEnvironment } from '../../lib/health';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('ready');
+
+/**
+ * Readiness handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const env = validateEnvironment();
+  const redisConfigured = isRedisConfigured();
+  const [redisHealthy, backend] = await Promise.all([
+    redisConfigured ? isRedisHealthy() : Promise.resolve(false),
+    pingBackend()
+  ]);
+
+  // Read after the ping so a failed ping is reflected in the circuit state
+  const circuit = getRedisCircuitState();
+  const redisOk = !redisConfigured || (redisHealthy && circuit === 'closed');
+  const ready = env.valid && backend.reachable;
+
+  if (!ready) {
+    logger.warn('Not ready', {
+      missingEnv: env.missing,
+      backendReachable: backend.reachable,
+      backendError: backend.error
+    });
+  }
+
+  res.setHeader('Cache-Control', 'no-store, max-age=0');
+  res.setHeader('X-Redis-Circuit', circuit);
+
+  return res.status(ready ? 200 : 503).json({
+    ready,
+    status: !ready ? 'unavailable' : redisOk ? 'ok' : 'degraded',
+    timestamp: new Date().toISOString(),
+    ...getServiceInfo(),
+    cache: getCacheMode(),
+    breakers: getBreakerStates(),
+    checks: {
+      env,
+      redis: {
+        configured: redisConfigured,
+        healthy: redisHealthy,
+        circuit
+      },
+      backend
+    }
+  });
+}
+
+export default withMetrics('/api/ready', withRequestId(withServerTiming(handler)));
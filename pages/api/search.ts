@@ -3,39 +3,65 @@
  * 
  * This API endpoint handles search requests, fetches results from the backend API,
  * and returns server-side rendered search results. Includes tab content caching
- * and IP resolution for accurate client tracking.
+ * and IP resolution for accurate client tracking. Passing format=json returns
+ * the parsed search response model instead of the partial HTML. Expired
+ * popular entries are served stale (X-Cache-Status: STALE) while a single
+ * background refresh repopulates the cache. Identical concurrent backend
+ * fetches are coalesced into a single call. Facet, paging and sort
+ * parameters are part of every cache key. X-Redis-Circuit reports whether
+ * the cache is degraded to instance memory by an open Redis circuit.
+ * When the backend fails, the last known good copy of the content is served
+ * (X-Cache-Status: FALLBACK, X-Cache-Created-At); without one, HTML requests
+ * get a "temporarily unavailable" partial using the no_results.ftl markup.
+ * Logs are structured (lib/logger.ts), carry the request ID and redact
+ * queries and client IPs. Each stage (IP resolution, cache lookup, backend
+ * fetch, cache write, response) is traced as an OpenTelemetry span, and the
+ * same phases are reported to the browser in a Server-Timing header. The
+ * backend is always asked for the partial form, the only form cached.
  *
  * @author Victor Chimenti
- * @version 3.3.0
- * @lastModified 2025-10-01
+ * @version 3.15.0
+ * @lastModified 2026-10-19
  */
 
 import type { NextApiRequest, NextApiResponse } from 'next';
 import { createApiClient } from '../../lib/api-client';
+import { coalesceRequest, generateRequestKey } from '../../lib/request-coalescer';
 import {
   getCachedData,
   setCachedData,
-  getCachedSearchResults,
+  getCachedSearchEntry,
   setCachedSearchResults,
-  getCachedTabContent,
+  getCachedTabEntry,
   setCachedTabContent,
   generateSearchCacheKey,
   generateTabCacheKey,
-  getRecommendedTtl
+  generateSearchJsonCacheKey,
+  getRecommendedTtl,
+  getCachedSearchJsonEntry,
+  setCachedSearchJson,
+  revalidateInBackground,
+  getLastKnownGood
 } from '../../lib/cache';
 import {
   isTabRequest,
   extractTabId,
   normalizeTabId,
-  parseTabRequestUrl
+  parseTabRequestUrl,
+  POPULAR_TABS
 } from '../../lib/utils';
 import {
   getClientInfo,
   getClientIpHeaders
 } from '../../lib/ip-service';
+import { parseSearchResponse } from '../../lib/search-parser';
+import { getRedisCircuitState } from '../../lib/redis-client';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withSpan, withTracing } from '../../lib/tracing';
+import { measurePhase, withServerTiming } from '../../lib/server-timing';
 
-// List of frequently accessed tabs for extended caching
-const POPULAR_TABS = ['Results', 'Programs', 'Faculty_Staff', 'News'];
+const logger = createLogger('search-api');
 
 // Define an interface for the params object
 interface SearchParams {
@@ -47,7 +73,128 @@ interface SearchParams {
   [key: string]: string | string[] | undefined;
 }
 
-export default async function handler(
+// Identifies where fetched content is cached
+interface SearchCacheTarget {
+  query: string;
+  collection: string;
+  profile: string;
+  tabId: string | null;
+}
+
+/**
+ * Fetch search content from the backend and store it in the matching cache
+ * Shared by cache misses and stale-while-revalidate background refreshes
+ * @param headers - Incoming request headers (for client IP propagation)
+ * @param params - Parameters forwarded to the backend
+ * @param target - Cache target for the fetched content
+ * @returns The backend response body
+ */
+async function fetchAndCacheSearchContent(
+  headers: NextApiRequest['headers'],
+  params: SearchParams,
+  target: SearchCacheTarget
+): Promise<any> {
+  // Create cache-aware API client with client IP propagation
+  const apiClient = createApiClient(headers, { cacheAware: true });
+
+  // Fetch from backend API with client IP, sharing the call with identical in-flight requests
+  logger.info('Fetching from backend', { query: target.query, tabId: target.tabId });
+  const data = await withSpan(
+    'search.backend_fetch',
+    () => measurePhase('backend', () => coalesceRequest(
+      generateRequestKey('/funnelback/search', params),
+      async () => (await apiClient.get('/funnelback/search', { params })).data
+    )),
+    { 'search.tab_id': target.tabId || '' }
+  );
+
+  await withSpan('search.cache_write', () =>
+    measurePhase('cache-write', () => cacheSearchContent(params, target, data))
+  );
+
+  return data;
+}
+
+/**
+ * Store fetched search or tab content with its tiered TTL
+ * @param params - Backend request parameters
+ * @param target - What is being cached
+ * @param data - Backend response
+ */
+async function cacheSearchContent(
+  params: SearchParams,
+  target: SearchCacheTarget,
+  data: any
+): Promise<void> {
+  // Cache the result based on request type
+  if (target.tabId) {
+    // For tab content requests
+    const isPopularTab = POPULAR_TABS.includes(target.tabId);
+
+    // Use enhanced function
+    await setCachedTabContent(
+      target.query,
+      target.collection,
+      target.profile,
+      target.tabId,
+      data,
+      isPopularTab,
+      params
+    );
+
+    logger.info('Cached tab content', { tabId: target.tabId, popular: isPopularTab });
+  } else {
+    // For general search requests - use enhanced function
+    await setCachedSearchResults(
+      target.query,
+      target.collection,
+      target.profile,
+      data,
+      undefined,
+      params
+    );
+
+    logger.info('Cached search result with tiered TTL');
+  }
+}
+
+/**
+ * Escape text for inclusion in HTML
+ * @param value - Text to escape
+ * @returns Escaped text
+ */
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the partial shown when the backend fails and no copy is cached
+ * Mirrors the markup of docs/no_results.ftl so existing styles apply
+ * @param query - Search query
+ * @returns Partial HTML
+ */
+function renderUnavailablePartial(query: string): string {
+  return `<div class="no-results" data-search-fallback="unavailable">
+  <h3 class="no-results__title">
+    <svg class="svg-icon no-results__icon">
+      <use href="#no-results"></use>
+    </svg>
+    Search is temporarily unavailable
+  </h3>
+  <div class="wysiwyg-allowed">
+    <p>
+      Your search for <strong>${escapeHtml(query)}</strong> could not be completed right now. Please try again in a few minutes.
+    </p>
+  </div>
+</div>`;
+}
+
+async function handler(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
@@ -68,18 +215,27 @@ export default async function handler(
     return;
   }
 
-  // Extract and log the full request URL for debugging
+  // Full request URL, used for tab detection
   const fullUrl = req.url || '';
-  console.log(`[SEARCH-API] Received request: ${fullUrl}`);
 
-  console.log('[CACHE-DEBUG] Starting cache operations');
   // Resolve client IP information
-  console.log(`[CACHE-DEBUG] Resolving client IP information`);
-  const clientInfo = await getClientInfo(req.headers);
-  console.log(`[CACHE-DEBUG] Resolved client IP: ${clientInfo.ip} (${clientInfo.source})`);
-
-  const { query, collection, profile, form, sessionId } = req.query;
-  console.log('[CACHE-DEBUG] Query params:', { query, collection, profile, form });
+  const clientInfo = await withSpan('search.resolve_ip', () =>
+    measurePhase('ip', () => getClientInfo(req.headers))
+  );
+
+  const { query, collection, profile, form, sessionId, format } = req.query;
+  logger.debug('Received request', {
+    query,
+    collection,
+    profile,
+    form,
+    format,
+    ip: clientInfo.ip,
+    ipSource: clientInfo.source
+  });
+
+  // Structured response mode returns the parsed result model instead of HTML
+  const wantsJson = format === 'json';
 
   // Basic validation
   if (!query) {
@@ -92,12 +248,9 @@ export default async function handler(
     const cacheCheckOnly = req.headers['x-cache-only'] === 'true';
 
     // Resolve client IP information
-    console.log(`[SEARCH-API] Resolving client IP information`);
-    const clientInfo = await getClientInfo(req.headers);
-    console.log(`[SEARCH-API] Resolved client IP: ${clientInfo.ip} (${clientInfo.source})`);
-
     // Add IP metadata to response headers for debugging/monitoring
     res.setHeader('X-Client-IP-Source', clientInfo.source);
+    res.setHeader('X-Redis-Circuit', getRedisCircuitState());
 
     // Try to identify if this is a tab request
     let tabRequestDetected = false;
@@ -113,9 +266,9 @@ export default async function handler(
         tabId = normalizeTabId(tabId);
       }
 
-      console.log(`[SEARCH-API] Tab request detection: ${tabRequestDetected}, Tab ID: ${tabId}`);
+      logger.debug('Tab request detection', { tabRequestDetected, tabId });
     } catch (tabError) {
-      console.error('[SEARCH-API] Error parsing tab request:', tabError);
+      logger.error('Error parsing tab request', { error: tabError });
       // Continue with request even if tab detection fails
       tabRequestDetected = false;
       tabId = null;
@@ -142,46 +295,189 @@ export default async function handler(
           }
         }
 
-        console.log(`[SEARCH-API] Tab detection from params: ${tabRequestDetected}, Tab ID: ${tabId}`);
+        logger.debug('Tab detection from params', { tabRequestDetected, tabId });
+      }
+    }
+
+    // Parse string query safely
+    const queryStr = typeof query === 'string' ? query : Array.isArray(query) ? query[0] : '';
+    const collectionStr = typeof collection === 'string' ? collection :
+      Array.isArray(collection) ? collection[0] : 'seattleu~sp-search';
+    const profileStr = typeof profile === 'string' ? profile :
+      Array.isArray(profile) ? profile[0] : '_default';
+    const jsonTabId = tabRequestDetected ? tabId : null;
+    const cacheTarget: SearchCacheTarget = {
+      query: queryStr,
+      collection: collectionStr,
+      profile: profileStr,
+      tabId: tabRequestDetected && tabId ? tabId : null
+    };
+
+    // Prepare parameters for backend API (used on a miss or a stale refresh).
+    // Cached content is always the partial form (cache keys ignore form), so
+    // other forms are not forwarded
+    const params: SearchParams = {
+      query,
+      collection: collection || 'seattleu~sp-search',
+      profile: profile || '_default',
+      form: 'partial',
+      sessionId: sessionId || ''
+    };
+
+    // Add any additional parameters from the original request
+    // Including facet parameters like f.Tabs which are critical for tab content
+    Object.keys(req.query).forEach(key => {
+      if (!['query', 'collection', 'profile', 'form', 'sessionId', 'format'].includes(key)) {
+        params[key] = req.query[key];
+      }
+    });
+
+    const refreshContent = () => fetchAndCacheSearchContent(req.headers, params, cacheTarget);
+
+    /**
+     * Send a search result in the requested format
+     * HTML is returned as-is to preserve the exact structure; JSON requests
+     * receive the parsed model, which is cached under its own namespace
+     */
+    const sendSearchResult = (html: any, cacheModel: boolean = true) => withSpan('search.respond', async () => {
+      if (!wantsJson) {
+        return res.status(200).send(html);
+      }
+
+      const model = parseSearchResponse(typeof html === 'string' ? html : '', queryStr);
+      if (cacheModel) {
+        await measurePhase('cache-write', () =>
+          setCachedSearchJson(queryStr, collectionStr, profileStr, jsonTabId, model, undefined, params)
+        );
+        logger.info('Cached parsed search model', { query: queryStr, tabId: jsonTabId });
+      }
+
+      return res.status(200).json(model);
+    }, { 'search.format': wantsJson ? 'json' : 'html' });
+
+    /**
+     * Look up a cache entry inside a span tagged with the cache type and result
+     */
+    const lookupCache = <T extends { stale: boolean } | null>(type: string, lookup: () => Promise<T>) =>
+      withSpan('search.cache_lookup', async span => {
+        const entry = await measurePhase('cache-lookup', lookup);
+        span.setAttribute('cache.status', entry ? (entry.stale ? 'STALE' : 'HIT') : 'MISS');
+        return entry;
+      }, { 'cache.type': type });
+
+    /**
+     * Respond after a failed backend fetch
+     * Serves the last known good copy, however old, and otherwise a
+     * "temporarily unavailable" partial (or a JSON error for format=json).
+     * Neither response may be cached downstream
+     */
+    const sendFallback = async (backendError: unknown) => {
+      logger.error('Backend request failed, looking for last known good copy', { error: backendError });
+
+      const primaryKey = cacheTarget.tabId
+        ? generateTabCacheKey(queryStr, collectionStr, profileStr, cacheTarget.tabId, params)
+        : generateSearchCacheKey(queryStr, collectionStr, profileStr, params);
+      const lastKnownGood = await withSpan('search.fallback_lookup', () =>
+        measurePhase('cache-lookup', () => getLastKnownGood(primaryKey))
+      );
+
+      res.setHeader('Cache-Control', 'no-store, max-age=0');
+
+      if (lastKnownGood) {
+        logger.warn('Serving last known good copy', { query: queryStr, tabId: cacheTarget.tabId });
+        res.setHeader('X-Cache-Status', 'FALLBACK');
+        if (lastKnownGood.createdAt) {
+          res.setHeader('X-Cache-Created-At', new Date(lastKnownGood.createdAt).toISOString());
+        }
+        return await sendSearchResult(lastKnownGood.data, false);
+      }
+
+      logger.warn('No last known good copy', { query: queryStr });
+      res.setHeader('X-Cache-Status', 'UNAVAILABLE');
+      res.setHeader('Retry-After', '30');
+
+      if (wantsJson) {
+        return res.status(503).json({ error: 'Search is temporarily unavailable' });
+      }
+
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(503).send(renderUnavailablePartial(queryStr));
+    };
+
+    // Structured requests check the parsed model cache before the HTML caches
+    if (wantsJson && !cacheCheckOnly) {
+      const cachedModel = await lookupCache('json', () =>
+        getCachedSearchJsonEntry(queryStr, collectionStr, profileStr, jsonTabId, params)
+      );
+
+      if (cachedModel) {
+        const cacheStatus = cachedModel.stale ? 'STALE' : 'HIT';
+        logger.info('Parsed search model cache lookup', { query: queryStr, cacheStatus });
+
+        if (cachedModel.stale) {
+          revalidateInBackground(
+            generateSearchJsonCacheKey(queryStr, collectionStr, profileStr, jsonTabId, params),
+            async () => {
+              const html = await refreshContent();
+              const model = parseSearchResponse(typeof html === 'string' ? html : '', queryStr);
+              await setCachedSearchJson(queryStr, collectionStr, profileStr, jsonTabId, model, undefined, params);
+            }
+          );
+        }
+
+        res.setHeader('X-Cache-Status', cacheStatus);
+        res.setHeader('X-Cache-Type', 'json');
+        if (jsonTabId) res.setHeader('X-Cache-Tab-ID', jsonTabId);
+        return res.status(200).json(cachedModel.data);
       }
     }
 
     // For tab requests, try to get from tab-specific cache first
     if (tabRequestDetected && tabId) {
-      console.log(`[SEARCH-API] Request for tab '${tabId}' with query '${query}'`);
+      logger.debug('Tab request', { tabId, query });
 
       // Check if this is a popular tab
       const isPopularTab = POPULAR_TABS.includes(tabId);
 
       // Try to get from cache using enhanced function
-      const cachedTabContent = await getCachedTabContent(
-        query as string,
-        collection as string || 'seattleu~sp-search',
-        profile as string || '_default',
-        tabId
-      );
-
-      if (cachedTabContent) {
-        console.log(`[SEARCH-API] Cache HIT for tab '${tabId}'`);
+      const cachedTabEntry = await lookupCache('tab', () => getCachedTabEntry(
+        queryStr,
+        collectionStr,
+        profileStr,
+        tabId,
+        params
+      ));
+
+      if (cachedTabEntry) {
+        // Stale content is served immediately while a single refresh runs
+        const cacheStatus = cachedTabEntry.stale ? 'STALE' : 'HIT';
+        logger.info('Tab cache lookup', { tabId, cacheStatus });
+
+        if (cachedTabEntry.stale) {
+          revalidateInBackground(
+            generateTabCacheKey(queryStr, collectionStr, profileStr, tabId, params),
+            refreshContent
+          );
+        }
 
         // Handle cache-check-only requests
         if (cacheCheckOnly) {
-          res.setHeader('X-Cache-Status', 'HIT');
+          res.setHeader('X-Cache-Status', cacheStatus);
           res.setHeader('X-Cache-Type', 'tab');
           if (tabId) res.setHeader('X-Cache-Tab-ID', tabId);
-          return res.status(200).json({ cacheStatus: 'HIT', tabId });
+          return res.status(200).json({ cacheStatus, tabId });
         }
 
         // Set headers immediately before sending response
-        res.setHeader('X-Cache-Status', 'HIT');
+        res.setHeader('X-Cache-Status', cacheStatus);
         res.setHeader('X-Cache-Type', 'tab');
         if (tabId) res.setHeader('X-Cache-Tab-ID', tabId);
 
         // Return cached tab content as-is to preserve the exact HTML structure
-        return res.status(200).send(cachedTabContent);
+        return await sendSearchResult(cachedTabEntry.data);
       }
 
-      console.log(`[SEARCH-API] Cache MISS for tab '${tabId}'`);
+      logger.info('Tab cache lookup', { tabId, cacheStatus: 'MISS' });
 
       // Handle cache-check-only requests
       if (cacheCheckOnly) {
@@ -198,36 +494,43 @@ export default async function handler(
 
     } else {
 
-      console.log('[CACHE-DEBUG] Starting cache check for query:', query);
       // For non-tab requests, use general search cache
-      const cachedResult = await getCachedSearchResults(
-        query as string,
-        collection as string || 'seattleu~sp-search',
-        profile as string || '_default'
-      );
-
-      console.log('[CACHE-DEBUG] Cache result:', cachedResult ? 'HIT' : 'MISS');
-
-      if (cachedResult) {
-        console.log(`[SEARCH-API] Cache HIT for search: ${query}`);
+      const cachedEntry = await lookupCache('search', () => getCachedSearchEntry(
+        queryStr,
+        collectionStr,
+        profileStr,
+        params
+      ));
+
+      if (cachedEntry) {
+        // Stale content is served immediately while a single refresh runs
+        const cacheStatus = cachedEntry.stale ? 'STALE' : 'HIT';
+        logger.info('Search cache lookup', { query, cacheStatus });
+
+        if (cachedEntry.stale) {
+          revalidateInBackground(
+            generateSearchCacheKey(queryStr, collectionStr, profileStr, params),
+            refreshContent
+          );
+        }
 
         // Handle cache-check-only requests
         if (cacheCheckOnly) {
           // Set headers before responding
-          res.setHeader('X-Cache-Status', 'HIT');
+          res.setHeader('X-Cache-Status', cacheStatus);
           res.setHeader('X-Cache-Type', 'search');
-          return res.status(200).json({ cacheStatus: 'HIT' });
+          return res.status(200).json({ cacheStatus });
         }
 
         // Set headers immediately before sending response
-        res.setHeader('X-Cache-Status', 'HIT');
+        res.setHeader('X-Cache-Status', cacheStatus);
         res.setHeader('X-Cache-Type', 'search');
 
         // Return cached search results as-is to preserve the exact HTML structure
-        return res.status(200).send(cachedResult);
+        return await sendSearchResult(cachedEntry.data);
       }
 
-      console.log(`[SEARCH-API] Cache MISS for search: ${query}`);
+      logger.info('Search cache lookup', { query, cacheStatus: 'MISS' });
 
       // Handle cache-check-only requests
       if (cacheCheckOnly) {
@@ -241,66 +544,14 @@ export default async function handler(
       res.setHeader('X-Cache-Type', 'search');
     }
 
-    // Cache miss - prepare parameters for backend API
-    const params: SearchParams = {
-      query,
-      collection: collection || 'seattleu~sp-search',
-      profile: profile || '_default',
-      form: form || 'partial',
-      sessionId: sessionId || ''
-    };
-
-    // Add any additional parameters from the original request
-    // Including facet parameters like f.Tabs which are critical for tab content
-    Object.keys(req.query).forEach(key => {
-      if (!['query', 'collection', 'profile', 'form', 'sessionId'].includes(key)) {
-        params[key] = req.query[key];
-      }
-    });
-
-    // Log the full parameters being sent to backend
-    console.log(`[SEARCH-API] Sending to backend API:`, params);
-
-    // Create cache-aware API client with client IP propagation
-    const apiClient = createApiClient(req.headers, { cacheAware: true });
-
-    // Fetch from backend API with client IP
-    console.log(`[SEARCH-API] Fetching from backend for query: ${query}${tabId ? `, tab: ${tabId}` : ''}`);
-    const result = await apiClient.get('/funnelback/search', { params });
-
-    // Parse string query safely
-    const queryStr = typeof query === 'string' ? query : Array.isArray(query) ? query[0] : '';
-    const collectionStr = typeof collection === 'string' ? collection :
-      Array.isArray(collection) ? collection[0] : 'seattleu~sp-search';
-    const profileStr = typeof profile === 'string' ? profile :
-      Array.isArray(profile) ? profile[0] : '_default';
-
-    // Cache the result based on request type
-    if (tabRequestDetected && tabId) {
-      // For tab content requests
-      const isPopularTab = POPULAR_TABS.includes(tabId);
-
-      // Use enhanced function
-      await setCachedTabContent(
-        queryStr,
-        collectionStr,
-        profileStr,
-        tabId,
-        result.data,
-        isPopularTab
-      );
+    // Cache miss - log the full parameters being sent to backend
+    logger.debug('Sending to backend API', { params });
 
-      console.log(`[SEARCH-API] Cached tab content for '${tabId}', popular: ${isPopularTab}`);
-    } else {
-      // For general search requests - use enhanced function
-      await setCachedSearchResults(
-        queryStr,
-        collectionStr,
-        profileStr,
-        result.data
-      );
-
-      console.log(`[SEARCH-API] Cached search result with tiered TTL`);
+    let content;
+    try {
+      content = await refreshContent();
+    } catch (backendError) {
+      return sendFallback(backendError);
     }
 
     // Return the result as-is to preserve the exact HTML structure
@@ -315,9 +566,11 @@ export default async function handler(
       res.setHeader('X-Cache-Tab-ID', tabId);
     }
 
-    res.status(200).send(result.data);
+    return await sendSearchResult(content);
   } catch (error) {
-    console.error('[SEARCH-API] Search API error:', error);
+    logger.error('Search API error', { error });
     res.status(500).json({ error: 'Failed to fetch search results' });
   }
-}
\ No newline at end of file
+}
+
+export default withMetrics('/api/search', withRequestId(withServerTiming(withTracing('/api/search', handler))));
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Suggestion Click Endpoint
+ *
+ * POST records a click on an autocomplete suggestion for the partial query
+ * it was shown for: { partialQuery, text, type } with type general, staff
+ * or program. The autocomplete sends it with navigator.sendBeacon, so the
+ * body may arrive as text/plain JSON; the response is always 204 so a bad
+ * beacon never surfaces in the page. A client counts at most once per
+ * prefix within SUGGESTION_CLICK_CLIENT_WINDOW, so repeated beacons cannot
+ * push an item up.
+ *
+ * GET ?prefix=<partial query> returns the learned click model of a prefix:
+ * decayed clicks and the boost /api/suggestions applies to each item
+ * (see lib/suggestion-clicks.ts). Requires admin authentication
+ * (see lib/admin-auth.ts).
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import type { NextApiRequest, NextApiResponse } from 'next';
+import { ClickType, getPrefixClickModel, recordSuggestionClick } from '../../lib/suggestion-clicks';
+import { requireAdmin } from '../../lib/admin-auth';
+import { extractClientIpFromHeaders } from '../../lib/ip-service';
+import { withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withServerTiming } from '../../lib/server-timing';
+
+const logger = createLogger('suggestion-clicks-api');
+
+const CLICK_TYPES: ClickType[] = ['general', 'staff', 'program'];
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Parse a click beacon
+ * @param body - Request body (object, or JSON text from sendBeacon)
+ * @returns Click, or null when invalid
+ */
+function parseClick(body: any): { partialQuery: string; text: string; type: ClickType } | null {
+  let click = body;
+  if (typeof body === 'string') {
+    try {
+      click = JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+
+  const { partialQuery, text, type } = click || {};
+  if (
+    typeof partialQuery !== 'string' ||
+    typeof text !== 'string' ||
+    !text.trim() ||
+    text.length > MAX_TEXT_LENGTH ||
+    !CLICK_TYPES.includes(type)
+  ) {
+    return null;
+  }
+
+  return { partialQuery, text, type };
+}
+
+/**
+ * Suggestion click handler
+ *
+ * @param req - Next.js API request
+ * @param res - Next.js API response
+ */
+async function handler(req: NextApiRequest, res: NextApiResponse) {
+  res.setHeader('Access-Control-Allow-Origin', 'https://www.seattleu.edu');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method === 'POST') {
+    const click = parseClick(req.body);
+    if (!click) {
+      logger.debug('Ignoring invalid click');
+      return res.status(204).end();
+    }
+
+    const { ip } = extractClientIpFromHeaders(req.headers);
+    const recorded = await recordSuggestionClick(click.partialQuery, click.type, click.text, ip);
+    logger.debug('Suggestion click', { partialQuery: click.partialQuery, type: click.type, recorded });
+    return res.status(204).end();
+  }
+
+  if (req.method === 'GET') {
+    const identity = requireAdmin(req, res);
+    if (!identity) return;
+
+    const prefix = typeof req.query.prefix === 'string' ? req.query.prefix : '';
+    if (!prefix) {
+      return res.status(400).json({ error: 'prefix parameter is required' });
+    }
+
+    return res.status(200).json(await getPrefixClickModel(prefix));
+  }
+
+  res.setHeader('Allow', ['GET', 'POST', 'OPTIONS']);
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+export default withMetrics('/api/suggestion-clicks', withRequestId(withServerTiming(handler)));
@@ -3,19 +3,69 @@
  * 
  * This API endpoint handles suggestion requests, fetches results from the backend API,
  * and returns server-side rendered suggestions for autocomplete. Includes client IP
- * preservation for accurate analytics and personalization.
+ * preservation for accurate analytics and personalization. X-Redis-Circuit
+ * reports the state of the Redis circuit breaker. Per-type backend latencies
+ * and cache results are recorded in the shared service metrics. IP
+ * resolution, the cache lookup, each source's backend fetch, the cache write
+ * and the response are traced as OpenTelemetry spans; the Server-Timing
+ * header reports the IP, cache and backend phases to the browser.
+ * Each source has its own deadline; when all types are requested, a failed
+ * or slow source leaves its column null and is reported in sourceStatus,
+ * and the partial result is cached briefly so the source is retried soon.
+ * A miss is answered by filtering the cached result of a shorter prefix
+ * when it is complete and small (X-Cache-Status: PREFIX), see
+ * lib/suggestion-prefix-index.ts. mode=blended merges all sources into one
+ * ranked, deduplicated list (lib/suggestion-ranker.ts). Curated rules hide
+ * and rename items, then items with enough clicks for the typed prefix move
+ * up (lib/suggestion-clicks.ts, keyed by the displayed text), then curated
+ * rules pin and inject items (lib/suggestion-rules.ts).
  *
  * @author Victor Chimenti
- * @version 3.1.0
- * @lastModified 2025-10-01
+ * @version 3.13.0
+ * @lastModified 2026-10-19
  */
 
 import type { NextApiRequest, NextApiResponse } from 'next';
 import { createApiClient } from '../../lib/api-client';
-import { setCachedData, getCachedData, DEFAULT_TTL } from '../../lib/cache';
+import { setCachedData, getCachedEntry, DEFAULT_TTL } from '../../lib/cache';
+import { normalizeQueryForCacheKey } from '../../lib/query-normalizer';
 import { getClientInfo, getClientIpHeaders } from '../../lib/ip-service';
+import { getRedisCircuitState } from '../../lib/redis-client';
+import { observeHistogram, withMetrics } from '../../lib/metrics';
+import { createLogger, withRequestId } from '../../lib/logger';
+import { withSpan, withTracing } from '../../lib/tracing';
+import { measurePhase, withServerTiming } from '../../lib/server-timing';
+import { findPrefixMatch } from '../../lib/suggestion-prefix-index';
+import { blendSuggestions } from '../../lib/suggestion-ranker';
+import { getClickBoosts, rerankByClicks } from '../../lib/suggestion-clicks';
+import { applySuggestionRules } from '../../lib/suggestion-rules';
 
-export default async function handler(
+const logger = createLogger('suggestions-api');
+
+type SuggestionSource = 'general' | 'staff' | 'programs';
+type SourceStatus = 'ok' | 'timeout' | 'error';
+
+// All-types response; failed sources are null
+type AllSuggestions = Record<SuggestionSource, any> & {
+  sourceStatus: Record<SuggestionSource, SourceStatus>;
+};
+
+// Deadline of each suggestion source when fetching in parallel or alone
+const SOURCE_TIMEOUT_MS = parseInt(process.env.SUGGESTION_SOURCE_TIMEOUT_MS || '', 10) || 3500;
+
+// Partial results are cached briefly so the failed source is retried soon
+const PARTIAL_TTL = parseInt(process.env.SUGGESTION_PARTIAL_TTL || '', 10) || 60; // seconds
+
+const SUGGESTION_FETCHERS: Record<
+  SuggestionSource,
+  (query: string, sessionId?: string, apiClient?: any) => Promise<any>
+> = {
+  general: fetchGeneralSuggestions,
+  staff: fetchStaffSuggestions,
+  programs: fetchProgramSuggestions
+};
+
+async function handler(
   req: NextApiRequest,
   res: NextApiResponse
 ) {
@@ -36,7 +86,7 @@ export default async function handler(
     return;
   }
 
-  const { query, type, collection, profile, sessionId } = req.query;
+  const { query, type, collection, profile, sessionId, mode } = req.query;
 
   // Basic validation
   if (!query) {
@@ -46,80 +96,216 @@ export default async function handler(
 
   try {
     // Resolve client IP information
-    console.log(`[SUGGESTIONS-API] Resolving client IP information`);
-    const clientInfo = await getClientInfo(req.headers);
-    console.log(`[SUGGESTIONS-API] Resolved client IP: ${clientInfo.ip} (${clientInfo.source})`);
+    const clientInfo = await withSpan('suggestions.resolve_ip', () =>
+      measurePhase('ip', () => getClientInfo(req.headers))
+    );
+    logger.debug('Resolved client IP', { ip: clientInfo.ip, source: clientInfo.source });
 
     // Add IP metadata to response headers for debugging/monitoring
     res.setHeader('X-Client-IP-Source', clientInfo.source);
+    res.setHeader('X-Redis-Circuit', getRedisCircuitState());
+
+    // Blended responses are ranked from the all-types result
+    const blended = mode === 'blended';
 
     // Generate cache key
-    const cacheKey = `suggestions:${type || 'all'}:${query}:${collection || 'default'}`;
+    const suggestionType = blended ? 'all' : (type as string) || 'all';
+    const normalizedQuery = normalizeQueryForCacheKey(query as string);
+    const getSuggestionKey = (normalized: string) =>
+      `suggestions:${suggestionType}:${normalized}:${collection || 'default'}`;
+    const cacheKey = getSuggestionKey(normalizedQuery);
 
-    // Try to get from cache first
-    const cachedResult = await getCachedData(cacheKey);
-    if (cachedResult) {
-      console.log(`[SUGGESTIONS-API] Cache hit for ${cacheKey}`);
+    /**
+     * Send suggestions with the curated rules applied and reranked by learned
+     * click-through, merged into one ranked list for mode=blended. Clicks are
+     * reported with the displayed text, so reranking runs after renames and
+     * before pins. Cached entries hold the backend order, so rule edits apply
+     * immediately
+     */
+    const sendSuggestions = (data: any) => withSpan('suggestions.respond', async () => {
+      const boosts = await getClickBoosts(query as string);
+      const relabeled = await applySuggestionRules(data, suggestionType, query as string, ['hide', 'rename']);
+      const reranked = rerankByClicks(relabeled.data, suggestionType, boosts);
+      const curated = await applySuggestionRules(reranked, suggestionType, query as string, ['pin', 'inject']);
+      return res.status(200).json(
+        blended ? await blendSuggestions(curated.data, query as string, boosts, curated.pinned) : curated.data
+      );
+    }, { 'suggestions.mode': blended ? 'blended' : 'columns' });
+
+    // Suggestions are invalidated by crawls of the search collection
+    const cacheOptions = {
+      collection: (collection as string) || 'seattleu~sp-search',
+      trackMetrics: true,
+      category: 'suggestions' as const
+    };
+
+    // Try to get from cache first; entries from before the latest crawl are refetched
+    const cachedEntry = await withSpan('suggestions.cache_lookup', async span => {
+      const entry = await measurePhase('cache-lookup', () => getCachedEntry(cacheKey, cacheOptions));
+      span.setAttribute('cache.status', entry ? (entry.stale ? 'STALE' : 'HIT') : 'MISS');
+      return entry;
+    });
+    if (cachedEntry && !cachedEntry.stale) {
+      logger.info('Cache hit', { key: cacheKey });
       res.setHeader('X-Cache-Status', 'HIT');
-      return res.status(200).json(cachedResult);
+      return sendSuggestions(cachedEntry.data);
+    }
+
+    // Longer queries are answered from a small, complete result of a shorter prefix
+    const prefixMatch = await withSpan('suggestions.cache_lookup', async span => {
+      const match = await measurePhase('cache-lookup', () =>
+        findPrefixMatch(suggestionType, normalizedQuery, prefix =>
+          getCachedEntry(getSuggestionKey(prefix), { ...cacheOptions, trackMetrics: false })
+        )
+      );
+      span.setAttribute('cache.status', match ? 'HIT' : 'MISS');
+      return match;
+    }, { 'cache.type': 'prefix' });
+    if (prefixMatch) {
+      logger.info('Narrowed cached prefix', { key: cacheKey, prefixLength: prefixMatch.prefix.length });
+      res.setHeader('X-Cache-Status', 'PREFIX');
+      return sendSuggestions(prefixMatch.data);
     }
 
-    console.log(`[SUGGESTIONS-API] Cache miss for ${cacheKey}`);
+    logger.info('Cache miss', { key: cacheKey });
     res.setHeader('X-Cache-Status', 'MISS');
 
     // Create API client with client IP propagation
     const apiClient = createApiClient(req.headers);
 
-    // Add the client IP info to request log
-    console.log(`[SUGGESTIONS-API] Using client IP: ${clientInfo.ip} (${clientInfo.source}) for backend request`);
-
-    // Handle different suggestion types
-    let result;
-
-    switch (type) {
-      case 'general':
-        console.log(`[SUGGESTIONS-API] Fetching general suggestions for query: ${query}`);
-        result = await fetchGeneralSuggestions(query as string, sessionId as string, apiClient);
-        break;
-      case 'staff':
-        console.log(`[SUGGESTIONS-API] Fetching staff suggestions for query: ${query}`);
-        result = await fetchStaffSuggestions(query as string, sessionId as string, apiClient);
-        break;
-      case 'programs':
-        console.log(`[SUGGESTIONS-API] Fetching program suggestions for query: ${query}`);
-        result = await fetchProgramSuggestions(query as string, sessionId as string, apiClient);
-        break;
-      default:
-        // Fetch all types in parallel
-        console.log(`[SUGGESTIONS-API] Fetching all suggestion types for query: ${query}`);
-        const [general, staff, programs] = await Promise.all([
-          fetchGeneralSuggestions(query as string, sessionId as string, apiClient),
-          fetchStaffSuggestions(query as string, sessionId as string, apiClient),
-          fetchProgramSuggestions(query as string, sessionId as string, apiClient)
-        ]);
-
-        result = {
-          general,
-          staff,
-          programs
-        };
-    }
+    // Fetch the requested suggestion types
+    const result = await measurePhase('backend', () =>
+      fetchSuggestions(suggestionType, query as string, sessionId as string, apiClient)
+    );
 
-    // Cache the result
-    await setCachedData(cacheKey, result, DEFAULT_TTL); // 12 hours TTL
-    console.log(`[SUGGESTIONS-API] Cached suggestions for key: ${cacheKey}, TTL: ${DEFAULT_TTL}s`);
+    // Cache the result (12 hours TTL, or briefly when a source failed)
+    const ttlSeconds = isPartialResult(result) ? PARTIAL_TTL : DEFAULT_TTL;
+    await withSpan('suggestions.cache_write', () =>
+      measurePhase('cache-write', () => setCachedData(cacheKey, result, ttlSeconds, cacheOptions))
+    );
+    logger.info('Cached suggestions', { key: cacheKey, ttlSeconds });
     
     // Return the result
-    res.status(200).json(result);
+    await sendSuggestions(result);
   } catch (error) {
-    console.error('[SUGGESTIONS-API] Suggestions API error:', error);
+    logger.error('Suggestions API error', { error });
     res.status(500).json({ error: 'Failed to fetch suggestions' });
   }
 }
 
+export default withMetrics('/api/suggestions', withRequestId(withServerTiming(withTracing('/api/suggestions', handler))));
+
+/**
+ * Record the backend latency of a suggestion type
+ * @param type - Suggestion type (general, staff, programs)
+ * @param startedAt - Date.now() at the start of the request
+ * @param outcome - Whether the request succeeded
+ */
+function recordSuggestionLatency(type: string, startedAt: number, outcome: 'ok' | 'error'): void {
+  observeHistogram('suggestion_duration_seconds', { type, outcome }, (Date.now() - startedAt) / 1000);
+}
+
+/**
+ * Raised when a suggestion source misses its deadline
+ */
+class SuggestionTimeoutError extends Error {
+  constructor(source: SuggestionSource) {
+    super(`${source} suggestions timed out after ${SOURCE_TIMEOUT_MS}ms`);
+    this.name = 'SuggestionTimeoutError';
+  }
+}
+
+/**
+ * Give up on a suggestion source after SOURCE_TIMEOUT_MS
+ * The backend request itself is bounded by the backend timeout
+ * @param source - Suggestion source
+ * @param fetch - Pending fetch of the source
+ * @returns Suggestions of the source
+ */
+async function withSourceTimeout<T>(source: SuggestionSource, fetch: Promise<T>): Promise<T> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const deadline = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => reject(new SuggestionTimeoutError(source)), SOURCE_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([fetch, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch suggestions of one type, or all types in parallel
+ * @param type - Suggestion type (general, staff, programs); anything else fetches all
+ * @param query - Partial query
+ * @param sessionId - Session ID for analytics
+ * @param apiClient - API client with client IP propagation
+ * @returns Suggestions of the type, or all types keyed by type with their sourceStatus
+ */
+async function fetchSuggestions(type: string, query: string, sessionId: string, apiClient: any) {
+  if (type in SUGGESTION_FETCHERS) {
+    const source = type as SuggestionSource;
+    return withSourceTimeout(source, SUGGESTION_FETCHERS[source](query, sessionId, apiClient));
+  }
+
+  return fetchAllSuggestions(query, sessionId, apiClient);
+}
+
+/**
+ * Fetch all suggestion types in parallel
+ * A failed or slow source leaves its column null and is reported in
+ * sourceStatus; the request only fails when every source does
+ * @param query - Partial query
+ * @param sessionId - Session ID for analytics
+ * @param apiClient - API client with client IP propagation
+ * @returns Suggestions keyed by type, plus the status of each source
+ */
+async function fetchAllSuggestions(query: string, sessionId: string, apiClient: any): Promise<AllSuggestions> {
+  logger.debug('Fetching all suggestion types', { query });
+
+  const sources = Object.keys(SUGGESTION_FETCHERS) as SuggestionSource[];
+  const outcomes = await Promise.allSettled(
+    sources.map(source => withSourceTimeout(source, SUGGESTION_FETCHERS[source](query, sessionId, apiClient)))
+  );
+
+  const result = {} as AllSuggestions;
+  const sourceStatus = {} as AllSuggestions['sourceStatus'];
+  outcomes.forEach((outcome, index) => {
+    const source = sources[index];
+
+    if (outcome.status === 'fulfilled') {
+      result[source] = outcome.value;
+      sourceStatus[source] = 'ok';
+      return;
+    }
+
+    result[source] = null;
+    sourceStatus[source] = outcome.reason instanceof SuggestionTimeoutError ? 'timeout' : 'error';
+    logger.warn('Suggestion source failed', { source, status: sourceStatus[source], error: outcome.reason });
+  });
+
+  if (sources.every(source => sourceStatus[source] !== 'ok')) {
+    throw new Error('All suggestion sources failed');
+  }
+
+  result.sourceStatus = sourceStatus;
+  return result;
+}
+
+/**
+ * Whether a response is missing a source
+ * @param result - Suggestions response
+ * @returns True when any source failed
+ */
+function isPartialResult(result: any): boolean {
+  const sourceStatus: Record<string, SourceStatus> | undefined = result?.sourceStatus;
+  return !!sourceStatus && Object.values(sourceStatus).some(status => status !== 'ok');
+}
+
 // Helper functions for fetching different suggestion types
 async function fetchGeneralSuggestions(query: string, sessionId?: string, apiClient?: any) {
-  console.log(`[SUGGESTIONS-API] Fetching general suggestions for: "${query}"`);
+  logger.debug('Fetching general suggestions', { query });
 
   const params = {
     partial_query: query,
@@ -128,48 +314,72 @@ async function fetchGeneralSuggestions(query: string, sessionId?: string, apiCli
     sessionId
   };
 
+  const startedAt = Date.now();
+
   try {
     const client = apiClient || createApiClient();
-    const response = await client.get('/funnelback/suggest', { params });
+    const response = await withSpan(
+      'suggestions.backend_fetch',
+      () => client.get('/funnelback/suggest', { params }),
+      { 'suggestion.type': 'general' }
+    );
+    recordSuggestionLatency('general', startedAt, 'ok');
     return response.data;
   } catch (error) {
-    console.error('[SUGGESTIONS-API] Error fetching general suggestions:', error);
+    recordSuggestionLatency('general', startedAt, 'error');
+    logger.error('Error fetching general suggestions', { error });
     throw error;
   }
 }
 
 async function fetchStaffSuggestions(query: string, sessionId?: string, apiClient?: any) {
-  console.log(`[SUGGESTIONS-API] Fetching staff suggestions for: "${query}"`);
+  logger.debug('Fetching staff suggestions', { query });
 
   const params = {
     query,
     sessionId
   };
 
+  const startedAt = Date.now();
+
   try {
     const client = apiClient || createApiClient();
-    const response = await client.get('/suggestPeople', { params });
+    const response = await withSpan(
+      'suggestions.backend_fetch',
+      () => client.get('/suggestPeople', { params }),
+      { 'suggestion.type': 'staff' }
+    );
+    recordSuggestionLatency('staff', startedAt, 'ok');
     return response.data;
   } catch (error) {
-    console.error('[SUGGESTIONS-API] Error fetching staff suggestions:', error);
+    recordSuggestionLatency('staff', startedAt, 'error');
+    logger.error('Error fetching staff suggestions', { error });
     throw error;
   }
 }
 
 async function fetchProgramSuggestions(query: string, sessionId?: string, apiClient?: any) {
-  console.log(`[SUGGESTIONS-API] Fetching program suggestions for: "${query}"`);
+  logger.debug('Fetching program suggestions', { query });
 
   const params = {
     query,
     sessionId
   };
 
+  const startedAt = Date.now();
+
   try {
     const client = apiClient || createApiClient();
-    const response = await client.get('/suggestPrograms', { params });
+    const response = await withSpan(
+      'suggestions.backend_fetch',
+      () => client.get('/suggestPrograms', { params }),
+      { 'suggestion.type': 'programs' }
+    );
+    recordSuggestionLatency('programs', startedAt, 'ok');
     return response.data;
   } catch (error) {
-    console.error('[SUGGESTIONS-API] Error fetching program suggestions:', error);
+    recordSuggestionLatency('programs', startedAt, 'error');
+    logger.error('Error fetching program suggestions', { error });
     throw error;
   }
 }
\ No newline at end of file
@@ -18,7 +18,8 @@ export default function Home() {
         <ul>
           <li><code>/api/search</code> - Search results</li>
           <li><code>/api/suggestions</code> - Search suggestions</li>
-          <li><code>/api/enhance</code> - Enhancement data</li>
+          <li><code>/api/health</code> - Liveness, version and breaker states</li>
+          <li><code>/api/ready</code> - Readiness (Redis, backend and configuration checks)</li>
         </ul>
       </main>
     </div>
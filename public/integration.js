@@ -4,11 +4,20 @@
  * This script integrates the frontend search API with the Seattle University website.
  * It enhances the existing search functionality by proxying requests through the new API
  * while maintaining compatibility with the current UI components.
+ * Results served from the last known good copy while the backend is down
+ * get a notice that pages can replace via the "search:fallback" event; the
+ * notice is exposed as window.showSearchFallbackNotice for the other scripts.
+ * Header suggestions are hidden when their source failed. Suggestion clicks
+ * are also reported with the partial query to /api/suggestion-clicks through
+ * the shared /js/SuggestionClicks.js, which this script loads.
+ * Server-Timing entries of API responses are read through the Resource
+ * Timing API and aggregated per path and phase for
+ * window.getServerTimingReport(), also on pages without the results script.
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 3.3.0
- * @lastModified 2025-09-12
+ * @version 3.11.0
+ * @lastModified 2026-10-19
  */
 
 (function () {
@@ -98,6 +107,18 @@
     log("Debug logging enabled", LOG_LEVELS.INFO);
   }
 
+  // Load the shared query normalizer as early as possible
+  loadQueryNormalizer();
+
+  // Load the shared suggestion click reporter
+  loadSuggestionClicks();
+
+  // Server-Timing durations by API path and phase: { count, totalMs, maxMs }
+  const serverTiming = {};
+
+  // Attribute API latency to server phases (ip, cache-lookup, backend, ...)
+  observeServerTiming();
+
   // Initialize on DOM ready
   document.addEventListener("DOMContentLoaded", function () {
     log("DOM content loaded, initializing search integration", LOG_LEVELS.INFO);
@@ -433,22 +454,126 @@
     });
   }
 
+  /**
+   * Record the Server-Timing entries of a Resource Timing entry for the API
+   * @param {PerformanceResourceTiming} entry - Resource Timing entry
+   */
+  function recordServerTiming(entry) {
+    if (!entry.serverTiming || entry.serverTiming.length === 0) return;
+
+    const path = new URL(entry.name).pathname;
+    const phases = (serverTiming[path] = serverTiming[path] || {});
+
+    entry.serverTiming.forEach(({ name, duration }) => {
+      const stats = (phases[name] = phases[name] || {
+        count: 0,
+        totalMs: 0,
+        maxMs: 0,
+      });
+      stats.count++;
+      stats.totalMs += duration;
+      stats.maxMs = Math.max(stats.maxMs, duration);
+    });
+  }
+
+  /**
+   * Collect Server-Timing from API responses, including ones already loaded
+   */
+  function observeServerTiming() {
+    if (typeof PerformanceObserver === "undefined") return;
+
+    const apiPrefix = `${new URL(config.apiBaseUrl, window.location.href).origin}/api/`;
+
+    try {
+      new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (entry.name.startsWith(apiPrefix)) {
+            recordServerTiming(entry);
+          }
+        });
+      }).observe({ type: "resource", buffered: true });
+    } catch (error) {
+      log("Resource Timing unavailable, server phases are not reported", LOG_LEVELS.DEBUG);
+    }
+  }
+
+  /**
+   * Get average and maximum server phase durations by API path
+   * @returns {Object} Phase statistics ({ count, avgMs, maxMs }) by path and phase
+   */
+  function getServerTimingReport() {
+    const report = {};
+
+    Object.entries(serverTiming).forEach(([path, phases]) => {
+      report[path] = {};
+      Object.entries(phases).forEach(([name, stats]) => {
+        report[path][name] = {
+          count: stats.count,
+          avgMs: Number((stats.totalMs / stats.count).toFixed(1)),
+          maxMs: Number(stats.maxMs.toFixed(1)),
+        };
+      });
+    });
+
+    return report;
+  }
+
+  /**
+   * Load the canonical QueryNormalizer shared with the server
+   * Skipped when the page already includes the script
+   */
+  function loadQueryNormalizer() {
+    if (window.QueryNormalizer) return;
+
+    const script = document.createElement("script");
+    script.src = `${config.apiBaseUrl}/js/QueryNormalizer.js`;
+    script.async = true;
+    script.onerror = function () {
+      log("Failed to load QueryNormalizer, using basic normalization", LOG_LEVELS.WARN);
+    };
+    document.head.appendChild(script);
+  }
+
+  /**
+   * Load the SuggestionClicks reporter shared with the other scripts
+   * Skipped when the page already includes the script
+   */
+  function loadSuggestionClicks() {
+    if (window.SuggestionClicks) return;
+
+    const script = document.createElement("script");
+    script.src = `${config.apiBaseUrl}/js/SuggestionClicks.js`;
+    script.async = true;
+    script.onerror = function () {
+      log("Failed to load SuggestionClicks, clicks will not rerank suggestions", LOG_LEVELS.WARN);
+    };
+    document.head.appendChild(script);
+  }
+
   /**
    * Normalizes a query for consistent caching
+   * Delegates to QueryNormalizer so keys match the server byte for byte
    * @param {string} query - Original query
    * @returns {string} Normalized query
    */
   function normalizeQuery(query) {
     if (!query) return "";
 
-    // Convert to lowercase
-    let normalized = query.toLowerCase();
+    let normalized;
 
-    // Remove extra whitespace
-    normalized = normalized.trim().replace(/\s+/g, " ");
-
-    // Remove certain special characters
-    normalized = normalized.replace(/['"?!.,]/g, "");
+    if (window.QueryNormalizer) {
+      normalized = window.QueryNormalizer.normalizeForCacheKey(query);
+    } else {
+      // Until the shared normalizer has loaded, apply the same steps as
+      // QueryNormalizer.normalizeForCacheKey (NFKC, lowercase, punctuation
+      // removal, whitespace collapse) so early keys match the server's
+      normalized = String(query)
+        .normalize("NFKC")
+        .toLowerCase()
+        .replace(/[^\P{P}\-&#@/_]/gu, "")
+        .trim()
+        .replace(/\s+/g, " ");
+    }
 
     log(`Normalized query: "${query}" -> "${normalized}"`, LOG_LEVELS.DEBUG);
 
@@ -580,6 +705,7 @@
         generalCount: data.general?.length || 0,
         staffCount: data.staff?.length || 0,
         programsCount: data.programs?.length || 0,
+        sourceStatus: data.sourceStatus,
       });
 
       // Render header suggestions (simple list)
@@ -599,7 +725,10 @@
    * @param {string} query - Original query
    */
   function renderHeaderSuggestions(data, container, query) {
-    const suggestions = data.general || [];
+    // Nothing is shown when the general source failed
+    const generalStatus = data.sourceStatus?.general;
+    const suggestions =
+      generalStatus && generalStatus !== "ok" ? [] : data.general || [];
 
     if (suggestions.length === 0) {
       container.innerHTML = "";
@@ -651,7 +780,7 @@
         }
 
         // Track suggestion click
-        trackSuggestionClick(text, "general", "", text);
+        trackSuggestionClick(text, "general", "", text, query);
 
         // Redirect to search page
         window.location.href = `/search-test/?query=${encodeURIComponent(
@@ -934,12 +1063,14 @@
       const response = await fetch(url);
       const responseTime = Date.now() - startTime;
 
-      if (!response.ok) {
+      // Check if response was from cache
+      const cacheStatus = response.headers.get("X-Cache-Status");
+
+      // An unavailable backend still returns a displayable "no results" partial
+      if (!response.ok && cacheStatus !== "UNAVAILABLE") {
         throw new Error(`Error ${response.status}: ${response.statusText}`);
       }
 
-      // Check if response was from cache
-      const cacheStatus = response.headers.get("X-Cache-Status");
       if (cacheStatus) {
         log(
           `Search response cache status: ${cacheStatus}, response time: ${responseTime}ms`,
@@ -961,6 +1092,10 @@
 
       console.log('Search response received, length:', html.length, 'starts with:', html.substring(0, 100), LOG_LEVELS.DEBUG)
 
+      if (cacheStatus === "FALLBACK") {
+        showFallbackNotice(container, query, response.headers.get("X-Cache-Created-At"));
+      }
+
       // Attach click handlers for tracking
       attachResultClickHandlers(container, query);
 
@@ -1087,8 +1222,9 @@
    * @param {string} type - Suggestion type (general, staff, program)
    * @param {string} url - Clicked URL (for staff and programs)
    * @param {string} title - Display title (with additional context)
+   * @param {string} [partialQuery] - What was typed when the suggestion was chosen
    */
-  window.trackSuggestionClick = function (text, type, url, title) {
+  window.trackSuggestionClick = function (text, type, url, title, partialQuery) {
     try {
       log(
         `Tracking suggestion click - Text: ${text}, Type: ${type}`,
@@ -1144,6 +1280,10 @@
           );
         });
       }
+
+      if (window.SuggestionClicks) {
+        window.SuggestionClicks.report(partialQuery, text, type);
+      }
     } catch (error) {
       // Error handling with logging
       log(
@@ -1220,6 +1360,37 @@
     }
   };
 
+  /**
+   * Show a notice above results served from the last known good copy
+   * Handlers of the cancelable "search:fallback" window event may show their own instead
+   * @param {HTMLElement} container - Results container
+   * @param {string} query - Search query
+   * @param {string|null} createdAt - When the copy was stored (ISO date)
+   */
+  function showFallbackNotice(container, query, createdAt) {
+    const event = new CustomEvent("search:fallback", {
+      cancelable: true,
+      detail: { query, createdAt, container },
+    });
+
+    if (!window.dispatchEvent(event)) {
+      log("Fallback notice handled by page", LOG_LEVELS.DEBUG);
+      return;
+    }
+
+    const savedAt = createdAt ? new Date(createdAt) : null;
+    const notice = document.createElement("div");
+    notice.className = "search-fallback-notice";
+    notice.setAttribute("role", "status");
+    notice.textContent =
+      savedAt && !isNaN(savedAt.getTime())
+        ? `Search is temporarily unavailable. Showing saved results from ${savedAt.toLocaleString()}.`
+        : "Search is temporarily unavailable. Showing saved results.";
+
+    container.prepend(notice);
+    log(`Showing fallback results for "${query}"`, LOG_LEVELS.WARN);
+  }
+
   /**
    * Update URL without page reload
    * @param {string} query - Search query
@@ -1299,6 +1470,11 @@
    */
   window.updateSearchUrl = updateUrl;
 
+  /**
+   * Expose the fallback notice so every search script shows the same one
+   */
+  window.showSearchFallbackNotice = showFallbackNotice;
+
   /**
    * Expose prefetch function globally
    */
@@ -1309,6 +1485,11 @@
    */
   window.normalizeQuery = normalizeQuery;
 
+  /**
+   * Expose the server phase durations of API responses seen on this page
+   */
+  window.getServerTimingReport = getServerTimingReport;
+
   /**
    * Toggle debug logging
    * @param {boolean} enabled - Whether to enable debug logging
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Canonical Query Normalizer
+ *
+ * This module is the single implementation of query normalization shared by
+ * the server (lib/query-normalizer.ts) and the browser scripts
+ * (integration.js, search-page-autocomplete.js). Every cache key is derived
+ * from its output, so prefetch, pre-render and search resolve to the same key.
+ *
+ * Steps, in order: Unicode NFKC, lowercase, optional diacritic folding,
+ * punctuation removal, optional stopword removal, whitespace collapse.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * QueryNormalizer - Produces canonical query strings for cache keys and matching
+ */
+const QueryNormalizer = {
+  // Punctuation that is removed; - & # @ / _ are kept because they change meaning
+  // (e.g. "c#", "at&t", "pre-med")
+  PUNCTUATION_PATTERN: /[^\P{P}\-&#@/_]/gu,
+
+  // Combining marks left behind after canonical decomposition
+  DIACRITIC_PATTERN: /[\u0300-\u036f]/g,
+
+  // Common English stopwords, only removed when requested
+  STOPWORDS: [
+    "a",
+    "an",
+    "and",
+    "are",
+    "at",
+    "for",
+    "from",
+    "in",
+    "is",
+    "of",
+    "on",
+    "or",
+    "the",
+    "to",
+    "with",
+  ],
+
+  /**
+   * Normalize a query string
+   * @param {string} query - Original query
+   * @param {Object} [options] - Normalization options
+   * @param {boolean} [options.foldDiacritics=false] - Strip accents ("café" -> "cafe")
+   * @param {boolean} [options.removeStopwords=false] - Drop common stopwords
+   * @returns {string} Normalized query
+   */
+  normalize: function (query, options) {
+    if (!query) return "";
+
+    const opts = options || {};
+    let normalized = String(query);
+
+    // Fold compatibility forms (full-width letters, ligatures, etc.)
+    if (typeof normalized.normalize === "function") {
+      normalized = normalized.normalize("NFKC");
+    }
+
+    // Convert to lowercase
+    normalized = normalized.toLowerCase();
+
+    if (opts.foldDiacritics && typeof normalized.normalize === "function") {
+      normalized = normalized
+        .normalize("NFD")
+        .replace(QueryNormalizer.DIACRITIC_PATTERN, "")
+        .normalize("NFC");
+    }
+
+    // Remove punctuation
+    normalized = normalized.replace(QueryNormalizer.PUNCTUATION_PATTERN, "");
+
+    // Remove extra whitespace
+    normalized = normalized.trim().replace(/\s+/g, " ");
+
+    if (opts.removeStopwords) {
+      const words = normalized.split(" ").filter(function (word) {
+        return QueryNormalizer.STOPWORDS.indexOf(word) === -1;
+      });
+
+      // Keep the original words if the query consisted only of stopwords
+      if (words.length > 0) {
+        normalized = words.join(" ");
+      }
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Normalize a query for use in a cache key
+   * Uses the default options so keys are identical on server and client
+   * @param {string} query - Original query
+   * @returns {string} Normalized query
+   */
+  normalizeForCacheKey: function (query) {
+    return QueryNormalizer.normalize(query);
+  },
+};
+
+// Make globally available in the browser
+if (typeof window !== "undefined") {
+  window.QueryNormalizer = QueryNormalizer;
+}
+
+// For module systems, but will be ignored in browser script tags
+if (typeof module !== "undefined" && typeof module.exports !== "undefined") {
+  module.exports = QueryNormalizer;
+}
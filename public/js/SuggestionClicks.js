@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Suggestion Click Reporter
+ *
+ * This module is the single implementation of suggestion click reporting
+ * shared by the browser scripts (integration.js, search-bundle.js,
+ * search-page-autocomplete.js). Each click is sent with the partial query
+ * to /api/suggestion-clicks, which learns how to rerank suggestions.
+ *
+ * The body is sent as plain text so the cross-origin beacon needs no
+ * preflight. The endpoint is taken from window.seattleUConfig.search.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+/**
+ * SuggestionClicks - Reports chosen suggestions to the click model
+ */
+const SuggestionClicks = {
+  // API used when the page does not configure one
+  DEFAULT_API_BASE_URL: "https://su-search-dev.vercel.app",
+
+  /**
+   * Get the click model endpoint of the configured API
+   * @returns {string} Endpoint URL
+   */
+  getEndpoint() {
+    const apiBaseUrl =
+      window.seattleUConfig?.search?.apiBaseUrl || this.DEFAULT_API_BASE_URL;
+    return `${apiBaseUrl}/api/suggestion-clicks`;
+  },
+
+  /**
+   * Report a suggestion click
+   * @param {string} partialQuery - What was typed when the suggestion was chosen
+   * @param {string} text - Suggestion text as displayed
+   * @param {string} type - Suggestion type (general, staff, program)
+   */
+  report(partialQuery, text, type) {
+    if (!partialQuery || !text) return;
+
+    const endpoint = this.getEndpoint();
+    const body = JSON.stringify({ partialQuery, text, type: type || "general" });
+
+    if (navigator.sendBeacon) {
+      navigator.sendBeacon(endpoint, new Blob([body], { type: "text/plain" }));
+    } else {
+      fetch(endpoint, { method: "POST", body, keepalive: true }).catch(() => {
+        // Reporting is best-effort
+      });
+    }
+  },
+};
+
+// Make globally available in the browser
+if (typeof window !== "undefined") {
+  window.SuggestionClicks = SuggestionClicks;
+}
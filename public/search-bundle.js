@@ -3,11 +3,14 @@
  * 
  * This file provides the client-side functionality for integrating
  * the search system into the Seattle University CMS.
+ * Suggestion clicks are also reported with the partial query to
+ * /api/suggestion-clicks through the shared /js/SuggestionClicks.js, which
+ * is loaded unless the page already includes it.
  *
  * @license MIT
  * @author Victor Chimenti
- * @version 2.1.1
- * @lastModified 2025-05-09
+ * @version 2.3.0
+ * @lastModified 2026-10-19
  */
 
 (function () {
@@ -248,7 +251,7 @@
         }
 
         // Track suggestion click before navigating
-        trackSuggestionClick(text, 'general', '', text, sessionId);
+        trackSuggestionClick(text, 'general', '', text, sessionId, query);
 
         // Redirect to search page
         window.location.href = `/search-test/?query=${encodeURIComponent(text)}`;
@@ -340,7 +343,7 @@
         }
 
         // Track click
-        trackSuggestionClick(text, type, url, text, sessionId);
+        trackSuggestionClick(text, type, url, text, sessionId, query);
 
         // For staff and program items with URLs
         if ((type === 'staff' || type === 'program') && url && url !== '#') {
@@ -435,8 +438,20 @@
     });
   }
 
+  // Load the shared suggestion click reporter unless the page includes it
+  function loadSuggestionClicks() {
+    if (window.SuggestionClicks) return;
+
+    const script = document.createElement('script');
+    script.src = `${config.apiBaseUrl}/js/SuggestionClicks.js`;
+    script.async = true;
+    script.onerror = () => console.warn('Failed to load SuggestionClicks');
+    document.head.appendChild(script);
+  }
+
   // Track suggestion click for analytics
-  function trackSuggestionClick(text, type, url, title, sessionId) {
+  // partialQuery is what was typed when the suggestion was chosen
+  function trackSuggestionClick(text, type, url, title, sessionId, partialQuery) {
     try {
       // Prepare data
       const data = {
@@ -472,6 +487,10 @@
           keepalive: true
         }).catch(err => console.error('Error tracking suggestion click:', err));
       }
+
+      if (window.SuggestionClicks) {
+        window.SuggestionClicks.report(partialQuery, text, type);
+      }
     } catch (error) {
       console.error('Error tracking suggestion click:', error);
     }
@@ -583,9 +602,9 @@
   }
 
   // Make track functions available globally for other components
-  window.trackSuggestionClick = function (text, type, url, title) {
+  window.trackSuggestionClick = function (text, type, url, title, partialQuery) {
     const sessionId = getSessionId();
-    trackSuggestionClick(text, type, url, title, sessionId);
+    trackSuggestionClick(text, type, url, title, sessionId, partialQuery);
   };
 
   window.trackResultClick = function (query, url, title, position) {
@@ -598,6 +617,8 @@
     trackTabChange(query, tabName, tabId, sessionId);
   };
 
+  loadSuggestionClicks();
+
   // Initialize search when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initializeSearch);
@@ -21,10 +21,23 @@
  * - Optimized search flow with multiple fallback layers
  * - Non-blocking background operations
  *
+ * Results served from the last known good copy while the backend is down
+ * (X-Cache-Status: FALLBACK) get the notice of integration.js above them;
+ * pages can render their own by handling the cancelable "search:fallback"
+ * window event.
+ *
+ * CacheMonitor reads the Server-Timing entries of API responses through the
+ * Resource Timing API, so window.getCacheMetrics() breaks API latency down
+ * into server phases (ip, cache-lookup, backend, cache-write, total).
+ * When a suggestion source fails, its column is left out and the others
+ * are still shown. Suggestion clicks are also reported with the partial
+ * query to /api/suggestion-clicks through window.SuggestionClicks (loaded
+ * by integration.js from /js/SuggestionClicks.js).
+ *
  * @license MIT
  * @author Victor Chimenti
- * @version 3.2.1
- * @lastModified 2026-01-20
+ * @version 3.10.0
+ * @lastModified 2026-10-19
  */
 
 // Create a module-level session handler that serves as the single source of truth within this file
@@ -86,11 +99,71 @@ const CacheMonitor = {
     preRenderMisses: 0,
   },
 
+  // Server-Timing durations by API path and phase: { count, totalMs, maxMs }
+  serverTiming: {},
+
   // Reset metrics
   reset() {
     Object.keys(this.metrics).forEach((key) => {
       this.metrics[key] = 0;
     });
+    this.serverTiming = {};
+  },
+
+  // Record the Server-Timing entries of a Resource Timing entry for the API
+  recordServerTiming(entry) {
+    if (!entry.serverTiming || entry.serverTiming.length === 0) return;
+
+    const path = new URL(entry.name).pathname;
+    const phases = (this.serverTiming[path] = this.serverTiming[path] || {});
+
+    entry.serverTiming.forEach(({ name, duration }) => {
+      const stats = (phases[name] = phases[name] || {
+        count: 0,
+        totalMs: 0,
+        maxMs: 0,
+      });
+      stats.count++;
+      stats.totalMs += duration;
+      stats.maxMs = Math.max(stats.maxMs, duration);
+    });
+  },
+
+  // Collect Server-Timing from API responses, including ones already loaded
+  observeServerTiming(apiBaseUrl) {
+    if (typeof PerformanceObserver === "undefined") return;
+
+    const apiPrefix = `${new URL(apiBaseUrl, window.location.href).origin}/api/`;
+
+    try {
+      new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (entry.name.startsWith(apiPrefix)) {
+            this.recordServerTiming(entry);
+          }
+        });
+      }).observe({ type: "resource", buffered: true });
+    } catch (error) {
+      // Resource Timing unavailable; server phases are not reported
+    }
+  },
+
+  // Get average and maximum server phase durations by API path
+  getServerTimingReport() {
+    const report = {};
+
+    Object.entries(this.serverTiming).forEach(([path, phases]) => {
+      report[path] = {};
+      Object.entries(phases).forEach(([name, stats]) => {
+        report[path][name] = {
+          count: stats.count,
+          avgMs: Number((stats.totalMs / stats.count).toFixed(1)),
+          maxMs: Number(stats.maxMs.toFixed(1)),
+        };
+      });
+    });
+
+    return report;
   },
 
   // Log a cache check
@@ -150,6 +223,7 @@ const CacheMonitor = {
       cacheHitRate: `${this.getCacheHitRate().toFixed(1)}%`,
       preRenderHitRate: `${this.getPreRenderHitRate().toFixed(1)}%`,
       fastPathRate: `${this.getFastPathRate().toFixed(1)}%`,
+      serverTiming: this.getServerTimingReport(),
     };
   },
 };
@@ -219,6 +293,15 @@ async function checkForPreRenderedContent(query) {
       const cacheStatus = response.headers.get("X-Cache-Status");
       const responseTime = Date.now() - startTime; // ADD: Calculate response time
 
+      // Fallback copies need the notice rendered by the standard search
+      if (response.ok && cacheStatus === "FALLBACK") {
+        console.log(
+          `[PRE-RENDER-CHECK] Backend unavailable for "${query}" after ${responseTime}ms - using standard search`,
+        );
+        CacheMonitor.logPreRenderResult("miss");
+        return null;
+      }
+
       if (response.ok) {
         const html = await response.text();
         const totalTime = Date.now() - startTime;
@@ -350,12 +433,22 @@ function displayPreRenderedResults(html, query) {
   }
 }
 
+// Get the suggestions of a source, or nothing when the source failed
+function getSourceSuggestions(data, source, empty) {
+  const status = data.sourceStatus?.[source];
+  if (status && status !== "ok") {
+    return empty;
+  }
+  return data[source] || empty;
+}
+
 // Function to render the results page suggestions (3-column layout)
+// Columns whose source failed (see sourceStatus) are left out
 function renderResultsPageSuggestions(data, container, query) {
   // Extract and process data
-  const general = data.general || [];
-  const staff = data.staff || [];
-  const programs = data.programs || {};
+  const general = getSourceSuggestions(data, "general", []);
+  const staff = getSourceSuggestions(data, "staff", []);
+  const programs = getSourceSuggestions(data, "programs", {});
 
   // Handle different formats for program data
   const programResults = Array.isArray(programs)
@@ -533,7 +626,7 @@ function renderResultsPageSuggestions(data, container, query) {
         }
 
         // Track click for analytics (using SessionManager)
-        trackSuggestionClick(text, type, url, title);
+        trackSuggestionClick(text, type, url, title, query);
 
         // Hide suggestions
         container.innerHTML = "";
@@ -575,7 +668,8 @@ function renderResultsPageSuggestions(data, container, query) {
 }
 
 // Track suggestion click for analytics
-function trackSuggestionClick(text, type, url, title) {
+// partialQuery is what was typed when the suggestion was chosen
+function trackSuggestionClick(text, type, url, title, partialQuery) {
   try {
     // Get session ID from SessionManager
     const sessionId = SessionManager.getSessionId();
@@ -618,11 +712,36 @@ function trackSuggestionClick(text, type, url, title) {
         // Silent error handling
       });
     }
+
+    if (window.SuggestionClicks) {
+      window.SuggestionClicks.report(partialQuery, text, type);
+    }
   } catch (error) {
     // Silent error handling
   }
 }
 
+/**
+ * Normalize a query with the shared QueryNormalizer when it is loaded
+ * (integration.js loads /js/QueryNormalizer.js)
+ *
+ * @param {string} query - Original query
+ * @returns {string} Normalized query
+ */
+function normalizeQuery(query) {
+  if (window.QueryNormalizer) {
+    return window.QueryNormalizer.normalizeForCacheKey(query);
+  }
+
+  // Same steps as QueryNormalizer.normalizeForCacheKey until it has loaded
+  return String(query || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\P{P}\-&#@/_]/gu, "")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
 // Enhanced fetch suggestions function
 async function fetchSuggestions(query, container, isResultsPage = true) {
   try {
@@ -697,12 +816,14 @@ async function performSearch(query, container) {
     const url = `${apiBaseUrl}/api/search?${params}`;
     const response = await fetch(url);
 
-    if (!response.ok) {
+    // Check if this was served from cache (could be pre-rendered content)
+    const cacheStatus = response.headers.get("X-Cache-Status");
+
+    // An unavailable backend still returns a displayable "no results" partial
+    if (!response.ok && cacheStatus !== "UNAVAILABLE") {
       throw new Error(`Error ${response.status}: ${response.statusText}`);
     }
 
-    // Check if this was served from cache (could be pre-rendered content)
-    const cacheStatus = response.headers.get("X-Cache-Status");
     if (cacheStatus === "HIT") {
       usedPreRender = true;
     }
@@ -723,6 +844,15 @@ async function performSearch(query, container) {
       </div>
     `;
 
+    // The notice is shared with integration.js
+    if (cacheStatus === "FALLBACK" && window.showSearchFallbackNotice) {
+      window.showSearchFallbackNotice(
+        container,
+        query,
+        response.headers.get("X-Cache-Created-At"),
+      );
+    }
+
     // Attach click handlers for tracking
     attachResultClickHandlers(container, query);
 
@@ -1081,6 +1211,12 @@ document.addEventListener("DOMContentLoaded", function () {
   // Initialize SessionManager
   SessionManager.init();
 
+  // Attribute API latency to server phases (ip, cache-lookup, backend, ...)
+  CacheMonitor.observeServerTiming(
+    window.seattleUConfig?.search?.apiBaseUrl ||
+      "https://su-search-dev.vercel.app",
+  );
+
   // Find the search input and suggestions container
   const searchInput = document.getElementById(
     "autocomplete-concierge-inputField",
@@ -1097,14 +1233,25 @@ document.addEventListener("DOMContentLoaded", function () {
   const debounceTime = window.seattleUConfig?.search?.debounceTime || 200;
   const minQueryLength = window.seattleUConfig?.search?.minQueryLength || 3;
 
+  // Last normalized query suggestions were fetched for
+  let lastSuggestionQuery = "";
+
   const handleInput = debounce(function () {
     const query = searchInput.value.trim();
 
     if (query.length < minQueryLength) {
       suggestionsContainer.innerHTML = "";
       suggestionsContainer.hidden = true;
+      lastSuggestionQuery = "";
+      return;
+    }
+
+    // Skip edits that don't change the normalized query (case, spacing, punctuation)
+    const normalizedQuery = normalizeQuery(query);
+    if (normalizedQuery === lastSuggestionQuery && !suggestionsContainer.hidden) {
       return;
     }
+    lastSuggestionQuery = normalizedQuery;
 
     fetchSuggestions(query, suggestionsContainer, true);
   }, debounceTime);
@@ -1132,3 +1279,6 @@ document.addEventListener("DOMContentLoaded", function () {
 // Make pre-rendering functions available globally for debugging
 window.checkForPreRenderedContent = checkForPreRenderedContent;
 window.displayPreRenderedResults = displayPreRenderedResults;
+
+// Cache and server timing metrics for debugging
+window.getCacheMetrics = () => CacheMonitor.getMetricsReport();
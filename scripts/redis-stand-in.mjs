@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Local Redis stand-in for testing outage handling
+ *
+ * Speaks enough of the Redis protocol for the cache and the metrics (PING,
+ * GET, SET, DEL, EXISTS, TTL, INFO, HINCRBYFLOAT, HGETALL, ...) with an
+ * in-memory store, and can be switched at runtime to fail so the Redis
+ * circuit breaker can be exercised. Type a mode and press enter:
+ *   ok     answer normally
+ *   hang   hold all replies, like a stalled server (triggers command
+ *          timeouts); held commands are answered when the mode changes
+ *   error  answer every command with an error
+ *
+ * Usage:
+ *   node scripts/redis-stand-in.mjs [port] [mode]
+ *   su_search_dev_012026_REDIS_URL=redis://localhost:6390 npm run dev
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { createServer } from 'net';
+import { createInterface } from 'readline';
+
+const [port = '6390', initialMode = 'ok'] = process.argv.slice(2);
+const MODES = ['ok', 'hang', 'error'];
+let mode = initialMode;
+const store = new Map();
+
+// Commands received per connection but not answered yet (hang mode)
+const backlogs = new Map();
+
+/**
+ * Encode a reply in the Redis protocol
+ * @param value - Reply value
+ * @returns Encoded reply
+ */
+function encode(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value instanceof Error) return `-ERR ${value.message}\r\n`;
+  return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+}
+
+/**
+ * Parse complete commands from a buffer
+ * @param buffer - Received data
+ * @returns Parsed commands and the unparsed remainder
+ */
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0x2a) break; // '*'
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd < 0) break;
+
+    const count = parseInt(buffer.toString('utf8', offset + 1, headerEnd), 10);
+    const args = [];
+    let cursor = headerEnd + 2;
+
+    for (let i = 0; i < count; i++) {
+      const lengthEnd = buffer.indexOf('\r\n', cursor);
+      if (lengthEnd < 0) return { commands, rest: buffer.subarray(offset) };
+      const length = parseInt(buffer.toString('utf8', cursor + 1, lengthEnd), 10);
+      if (buffer.length < lengthEnd + 2 + length + 2) return { commands, rest: buffer.subarray(offset) };
+      args.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+      cursor = lengthEnd + 2 + length + 2;
+    }
+
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Get a live entry, dropping it if expired
+ * @param key - Key
+ * @returns Entry or undefined
+ */
+function live(key) {
+  const entry = store.get(key);
+  if (entry && entry.expiry && entry.expiry <= Date.now()) {
+    store.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+/**
+ * Execute a command against the in-memory store
+ * @param args - Command name and arguments
+ * @returns Reply value
+ */
+function execute([name, ...args]) {
+  switch (name.toUpperCase()) {
+    case 'PING': return 'PONG';
+    case 'INFO': return 'loading:0\r\nused_memory_human:1M\r\nconnected_clients:1\r\n';
+    case 'SELECT': case 'CLIENT': return 'OK';
+    case 'GET': return live(args[0])?.value ?? null;
+    case 'SET': {
+      const exIndex = args.findIndex(arg => arg.toUpperCase() === 'EX');
+      const nx = args.some(arg => arg.toUpperCase() === 'NX');
+      if (nx && live(args[0])) return null;
+      store.set(args[0], { value: args[1], expiry: exIndex > 0 ? Date.now() + Number(args[exIndex + 1]) * 1000 : 0 });
+      return 'OK';
+    }
+    case 'DEL': return args.filter(key => store.delete(key)).length;
+    case 'EXISTS': return args.filter(key => live(key)).length;
+    case 'TTL': {
+      const entry = live(args[0]);
+      if (!entry) return -2;
+      return entry.expiry ? Math.round((entry.expiry - Date.now()) / 1000) : -1;
+    }
+    case 'INCR': {
+      const value = (parseInt(live(args[0])?.value || '0', 10) || 0) + 1;
+      store.set(args[0], { value: String(value), expiry: 0 });
+      return value;
+    }
+    case 'HINCRBYFLOAT': {
+      const hash = live(args[0])?.value || new Map();
+      const value = (parseFloat(hash.get(args[1]) || '0') || 0) + parseFloat(args[2]);
+      hash.set(args[1], String(value));
+      store.set(args[0], { value: hash, expiry: 0 });
+      return String(value);
+    }
+    case 'HGETALL': {
+      const hash = live(args[0])?.value;
+      return hash instanceof Map ? Array.from(hash.entries()).flat() : [];
+    }
+    case 'DBSIZE': return store.size;
+    case 'PUBLISH': return 0;
+    default: return new Error(`stand-in does not support ${name}`);
+  }
+}
+
+/**
+ * Answer the held commands of a connection unless the server is hanging
+ * @param socket - Client connection
+ */
+function flush(socket) {
+  const backlog = backlogs.get(socket);
+  if (mode === 'hang' || !backlog || backlog.length === 0) return;
+
+  socket.write(backlog
+    .splice(0)
+    .map(command => encode(mode === 'error' ? new Error('stand-in failure mode') : execute(command)))
+    .join(''));
+}
+
+const server = createServer(socket => {
+  let pending = Buffer.alloc(0);
+  backlogs.set(socket, []);
+
+  socket.on('data', data => {
+    const { commands, rest } = parse(Buffer.concat([pending, data]));
+    pending = rest;
+
+    backlogs.get(socket).push(...commands);
+    flush(socket);
+  });
+
+  socket.on('close', () => backlogs.delete(socket));
+  socket.on('error', () => {});
+});
+
+server.listen(Number(port), () => {
+  console.log(`Redis stand-in listening on redis://localhost:${port} (mode: ${mode})`);
+  console.log(`Type ${MODES.join(' | ')} to switch modes`);
+});
+
+createInterface({ input: process.stdin }).on('line', line => {
+  const next = line.trim();
+  if (MODES.includes(next)) {
+    mode = next;
+    console.log(`Mode: ${mode}`);
+    backlogs.forEach((_, socket) => flush(socket));
+  }
+});
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Local sender for the crawl completion webhook
+ *
+ * Signs and posts a crawl-complete notification the same way the crawl
+ * pipeline does, for testing /api/hooks/crawl-complete locally.
+ *
+ * Usage:
+ *   CRAWL_HOOK_SECRET=... node scripts/send-crawl-hook.mjs [collection] [rewarm] [url]
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { createHmac } from 'crypto';
+
+const [
+  collection = 'seattleu~sp-search',
+  rewarm = '0',
+  url = 'http://localhost:3000/api/hooks/crawl-complete'
+] = process.argv.slice(2);
+
+const secret = process.env.CRAWL_HOOK_SECRET;
+if (!secret) {
+  console.error('CRAWL_HOOK_SECRET must be set');
+  process.exit(1);
+}
+
+const body = JSON.stringify({ collection, rewarm: Number(rewarm) });
+const timestamp = String(Date.now());
+const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'X-Hook-Timestamp': timestamp,
+    'X-Hook-Signature': `sha256=${signature}`
+  },
+  body
+});
+
+console.log(`${response.status} ${response.statusText}`);
+console.log(await response.text());
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Local stub of the Funnelback proxy backend
+ *
+ * Serves minimal partial search HTML on /funnelback/search and canned
+ * suggestions on /funnelback/suggest, /suggestPeople and /suggestPrograms
+ * so the cache warmer and the API routes can be exercised without the
+ * real backend. Start it, then run
+ * the app with BACKEND_API_URL=http://localhost:4000.
+ *
+ * Usage:
+ *   node scripts/stub-backend.mjs [port] [delayMs] [failRate]
+ *
+ * failRate (0-1) makes that share of requests return 502, to check how
+ * failures are reported.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { createServer } from 'http';
+
+const [port = '4000', delayMs = '50', failRate = '0'] = process.argv.slice(2);
+let requests = 0;
+
+/**
+ * Escape text for HTML output
+ * @param value - Raw text
+ * @returns Escaped text
+ */
+function escapeHtml(value) {
+  return value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Render a partial search response
+ * @param params - Request parameters
+ * @returns Partial HTML
+ */
+function renderSearch(params) {
+  const query = escapeHtml(params.get('query') || '');
+  const tab = [...params.keys()].find(key => key.startsWith('f.Tabs')) || 'Results';
+
+  return `<section id="search-results">
+  <p class="search-results-summary">Showing results for <span class="query">${query}</span> (${escapeHtml(tab)})</p>
+  <span class="totalMatching">3</span>
+  <ol class="search-results__list">
+    <li class="search-result"><h3><a href="https://www.seattleu.edu/stub/1">${query} result 1</a></h3></li>
+    <li class="search-result"><h3><a href="https://www.seattleu.edu/stub/2">${query} result 2</a></h3></li>
+    <li class="search-result"><h3><a href="https://www.seattleu.edu/stub/3">${query} result 3</a></h3></li>
+  </ol>
+</section>`;
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  const requestNumber = ++requests;
+  console.log(`#${requestNumber} ${req.method} ${url.pathname}${url.search}`);
+
+  setTimeout(() => {
+    if (Math.random() < Number(failRate)) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      return res.end('Stub backend failure');
+    }
+
+    if (url.pathname.endsWith('/funnelback/search')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(renderSearch(url.searchParams));
+    }
+
+    if (url.pathname.endsWith('/funnelback/suggest')) {
+      const partial = url.searchParams.get('partial_query') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify([`${partial}`, `${partial} program`, `${partial} office`]));
+    }
+
+    if (url.pathname.endsWith('/suggestPeople')) {
+      const query = url.searchParams.get('query') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify([
+        { title: `${query} Person`, position: 'Professor', department: 'Stub Department', url: 'https://www.seattleu.edu/stub/person' }
+      ]));
+    }
+
+    if (url.pathname.endsWith('/suggestPrograms')) {
+      const query = url.searchParams.get('query') || '';
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        programs: [{ title: `${query} Program`, url: 'https://www.seattleu.edu/stub/program' }]
+      }));
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  }, Number(delayMs));
+});
+
+server.listen(Number(port), () => {
+  console.log(`Stub backend listening on http://localhost:${port}`);
+});
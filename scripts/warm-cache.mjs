@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Cron-style runner for the cache warmer
+ *
+ * Calls /api/admin/warm with the admin token and prints the summary.
+ * Exits non-zero when any key failed to warm.
+ *
+ * Usage:
+ *   ADMIN_API_TOKEN=... node scripts/warm-cache.mjs [options] [url]
+ *
+ * Options (passed through to the endpoint):
+ *   --n=20 --window=day        warm the top n queries of a popularity window
+ *   --queries=admissions,mba   warm a curated list instead
+ *   --tabs=Results,News        tabs to warm (defaults to the popular tabs)
+ *   --concurrency=2 --rate=5   in-flight and per-second backend call limits
+ *   --collection=... --profile=...
+ *
+ * Example crontab entry (every 30 minutes):
+ *   0,30 * * * * ADMIN_API_TOKEN=... node scripts/warm-cache.mjs --n=50 https://example.com/api/admin/warm
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+const args = process.argv.slice(2);
+const url = new URL(args.find(arg => !arg.startsWith('--')) || 'http://localhost:3000/api/admin/warm');
+
+args
+  .filter(arg => arg.startsWith('--'))
+  .forEach(arg => {
+    const [name, ...value] = arg.substring(2).split('=');
+    url.searchParams.set(name, value.join('='));
+  });
+
+const token = process.env.ADMIN_API_TOKEN;
+if (!token) {
+  console.error('ADMIN_API_TOKEN must be set');
+  process.exit(1);
+}
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: {
+    'Authorization': `Bearer ${token}`,
+    'X-Admin-Actor': process.env.ADMIN_ACTOR || 'warm-cache-cli'
+  }
+});
+
+const body = await response.json().catch(() => ({}));
+
+if (!response.ok && !body.warmed) {
+  console.error(`${response.status} ${response.statusText}`, body);
+  process.exit(1);
+}
+
+console.log(`Warmed ${body.warmed.length} keys for ${body.queries} queries in ${body.durationMs}ms`);
+body.failed.forEach(failure => console.log(`  FAILED ${failure.key}: ${failure.error}`));
+process.exit(body.failed.length > 0 ? 1 : 0);
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Admin authentication tests for the token and HMAC paths
+ *
+ * Requests are plain objects with the headers, method and url that
+ * authenticateAdmin reads. Signed requests must carry a numeric timestamp
+ * within the allowed skew, so a captured signature cannot be replayed.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import type { NextApiRequest } from 'next';
+
+const TOKEN = 'test-admin-token';
+const SIGNED_URL = '/api/admin/cache/purge?query=biology';
+
+let auth: typeof import('../lib/admin-auth');
+
+/**
+ * Build a request with the given headers
+ * @param headers - Lowercase request headers
+ * @returns Request as authenticateAdmin sees it
+ */
+function request(headers: Record<string, string>): NextApiRequest {
+  return { headers, method: 'POST', url: SIGNED_URL } as unknown as NextApiRequest;
+}
+
+/**
+ * Build a request signed with a timestamp
+ * @param timestamp - X-Admin-Timestamp value
+ * @returns Signed request
+ */
+function signed(timestamp: string): NextApiRequest {
+  return request({
+    'x-admin-timestamp': timestamp,
+    'x-admin-signature': `sha256=${auth.signAdminRequest(timestamp, 'POST', SIGNED_URL)}`
+  });
+}
+
+before(async () => {
+  process.env.ADMIN_API_TOKEN = TOKEN;
+  process.env.ADMIN_HMAC_SECRET = 'test-hmac-secret';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+  auth = await import('../lib/admin-auth');
+});
+
+test('accepts the shared token and rejects a wrong one', () => {
+  assert.deepEqual(auth.authenticateAdmin(request({ authorization: `Bearer ${TOKEN}`, 'x-admin-actor': 'ops' })), {
+    ok: true,
+    identity: { actor: 'ops', method: 'token' }
+  });
+
+  const wrong = auth.authenticateAdmin(request({ 'x-admin-token': 'nope' }));
+  assert.equal(wrong.ok, false);
+  assert.equal(!wrong.ok && wrong.status, 401);
+});
+
+test('accepts a fresh signature and rejects a tampered one', () => {
+  assert.equal(auth.authenticateAdmin(signed(String(Date.now()))).ok, true);
+
+  const tampered = signed(String(Date.now()));
+  tampered.url = '/api/admin/cache/purge?query=all';
+  assert.equal(auth.authenticateAdmin(tampered).ok, false);
+});
+
+test('rejects signatures outside the allowed skew', () => {
+  for (const offset of [-6 * 60 * 1000, 6 * 60 * 1000]) {
+    const result = auth.authenticateAdmin(signed(String(Date.now() + offset)));
+    assert.deepEqual(result, { ok: false, status: 401, error: 'Signature timestamp out of range' });
+  }
+});
+
+test('rejects signatures with a timestamp that is not a number', () => {
+  for (const timestamp of ['x', 'NaN', 'Infinity', '1e12', `${Date.now()}abc`, '-1']) {
+    const result = auth.authenticateAdmin(signed(timestamp));
+    assert.deepEqual(result, { ok: false, status: 401, error: 'Signature timestamp out of range' }, timestamp);
+  }
+});
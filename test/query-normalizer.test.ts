@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Golden-file tests for the shared query normalizer
+ *
+ * Cache keys are built from the normalized query on both sides, so the
+ * browser script (public/js/QueryNormalizer.js, run here as a classic script
+ * with only a window global, as a page loads it) and the server wrapper
+ * (lib/query-normalizer.ts) must produce byte-identical output. The expected
+ * keys are in test/fixtures/query-normalizer.golden.json; a change to the
+ * normalization rules must update that file deliberately. The fallbacks that
+ * integration.js and search-page-autocomplete.js use until the script has
+ * loaded must use the same punctuation pattern.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { normalizeQueryForCacheKey } from '../lib/query-normalizer';
+
+interface GoldenCase {
+  input: string;
+  key: string;
+}
+
+const golden: GoldenCase[] = JSON.parse(
+  readFileSync(path.join(__dirname, 'fixtures', 'query-normalizer.golden.json'), 'utf8')
+);
+
+/**
+ * Load the browser normalizer the way a page does: a script tag, no module system
+ * @returns window.QueryNormalizer of the script
+ */
+function loadBrowserNormalizer(): { normalizeForCacheKey: (query: string) => string; PUNCTUATION_PATTERN: RegExp } {
+  const source = readFileSync(path.join(__dirname, '..', 'public', 'js', 'QueryNormalizer.js'), 'utf8');
+  const sandbox: { window: Record<string, any> } = { window: {} };
+  vm.runInNewContext(source, sandbox, { filename: 'QueryNormalizer.js' });
+  return sandbox.window.QueryNormalizer;
+}
+
+const browser = loadBrowserNormalizer();
+
+test('golden file covers the normalization steps', () => {
+  assert.ok(golden.length >= 30);
+  assert.ok(golden.some(({ input }) => input !== input.normalize('NFC')), 'a decomposed input');
+  assert.ok(golden.some(({ input }) => /[！-～]/.test(input)), 'a full-width input');
+});
+
+golden.forEach(({ input, key }) => {
+  test(`normalizes ${JSON.stringify(input)}`, () => {
+    const serverKey = normalizeQueryForCacheKey(input);
+    const browserKey = browser.normalizeForCacheKey(input);
+
+    assert.equal(serverKey, key);
+    assert.equal(browserKey, key);
+    assert.deepEqual(Buffer.from(browserKey, 'utf8'), Buffer.from(serverKey, 'utf8'));
+  });
+});
+
+['integration.js', 'search-page-autocomplete.js'].forEach(script => {
+  test(`${script} falls back to the canonical punctuation pattern`, () => {
+    const source = readFileSync(path.join(__dirname, '..', 'public', script), 'utf8');
+    const pattern = browser.PUNCTUATION_PATTERN;
+
+    assert.ok(source.includes(`.replace(/${pattern.source}/${pattern.flags}, "")`));
+    assert.ok(source.includes('.normalize("NFKC")'));
+  });
+});
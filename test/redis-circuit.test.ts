@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Redis circuit breaker test against the local stand-in
+ *
+ * Starts scripts/redis-stand-in.mjs on a free port, points the Redis client
+ * at it and switches the stand-in between its ok, error and hang modes to
+ * drive the breaker through closed, open, half-open and closed again. While
+ * the circuit is open, and while the half-open probe is in flight, the
+ * client must be reported as unavailable so callers use their fallback.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, ChildProcess } from 'child_process';
+import { createServer } from 'net';
+import { once } from 'events';
+import path from 'path';
+
+const RESET_MS = 300;
+const THRESHOLD = 3;
+
+let standIn: ChildProcess;
+let redis: typeof import('../lib/redis-client');
+
+/**
+ * Find a free local port
+ * @returns Port number
+ */
+async function freePort(): Promise<number> {
+  const server = createServer().listen(0);
+  await once(server, 'listening');
+  const { port } = server.address() as { port: number };
+  server.close();
+  await once(server, 'close');
+  return port;
+}
+
+/**
+ * Switch the stand-in mode and wait for it to confirm
+ * @param mode - ok, hang or error
+ */
+async function setMode(mode: 'ok' | 'hang' | 'error'): Promise<void> {
+  const confirmed = waitForOutput(`Mode: ${mode}`);
+  standIn.stdin!.write(`${mode}\n`);
+  await confirmed;
+}
+
+/**
+ * Wait until the stand-in prints a line containing the text
+ * @param text - Expected text
+ */
+function waitForOutput(text: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onData = (data: Buffer) => {
+      if (data.toString().includes(text)) {
+        standIn.stdout!.off('data', onData);
+        resolve();
+      }
+    };
+    standIn.stdout!.on('data', onData);
+    standIn.once('exit', () => reject(new Error('Redis stand-in exited')));
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+
+  standIn = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'redis-stand-in.mjs'), String(port), 'ok'], {
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+  await waitForOutput('listening');
+
+  process.env.su_search_dev_012026_REDIS_URL = `redis://localhost:${port}`;
+  process.env.REDIS_BREAKER_THRESHOLD = String(THRESHOLD);
+  process.env.REDIS_BREAKER_RESET_MS = String(RESET_MS);
+  process.env.REDIS_COMMAND_TIMEOUT_MS = '1000';
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+  redis = await import('../lib/redis-client');
+});
+
+after(() => {
+  redis?.getRedisClient()?.disconnect();
+  standIn?.kill();
+});
+
+test('breaker goes from closed to open to half-open and closes again', async () => {
+  // Closed: commands reach the stand-in
+  const client = redis.getRedisClient();
+  assert.ok(client);
+  await client.set('circuit-test', 'value');
+  assert.equal(await client.get('circuit-test'), 'value');
+  assert.equal(redis.getRedisCircuitState(), 'closed');
+
+  // Failing commands open the circuit, and the client is withheld
+  await setMode('error');
+  for (let i = 0; i < THRESHOLD; i++) {
+    await assert.rejects(client.get('circuit-test'));
+  }
+  assert.equal(redis.getRedisCircuitState(), 'open');
+  assert.equal(redis.getRedisClient(), null);
+
+  // After the reset timeout a single probe is let through
+  await new Promise(resolve => setTimeout(resolve, RESET_MS + 50));
+  assert.equal(redis.getRedisCircuitState(), 'half-open');
+  await setMode('hang');
+
+  const probeClient = redis.getRedisClient();
+  assert.ok(probeClient);
+  const probe = probeClient.get('circuit-test');
+
+  // Concurrent callers fall back instead of being rejected behind the probe
+  assert.equal(redis.getRedisCircuitState(), 'half-open');
+  assert.equal(redis.getRedisClient(), null);
+
+  // The probe succeeds once the stand-in recovers, closing the circuit
+  await setMode('ok');
+  assert.equal(await probe, 'value');
+  assert.equal(redis.getRedisCircuitState(), 'closed');
+  assert.equal(redis.getRedisClient(), client);
+});
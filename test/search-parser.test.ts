@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Fixture tests for the Funnelback partial HTML parser
+ *
+ * The fixtures in test/fixtures/search-parser are partial responses rendered
+ * from the docs/*.ftl templates (tabs, counts, facets, the generic, program
+ * and people result views, pagination and the spelling suggestion). When a
+ * template changes, re-render the affected fixture from it.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { parseSearchResponse, decodeEntities } from '../lib/search-parser';
+
+/**
+ * Read a rendered fixture
+ * @param name - Fixture name without extension
+ * @returns Partial HTML
+ */
+function fixture(name: string): string {
+  return readFileSync(path.join(__dirname, 'fixtures', 'search-parser', `${name}.html`), 'utf8');
+}
+
+test('parses counts and pagination of a results page', () => {
+  const model = parseSearchResponse(fixture('biology-page-2'), 'biology');
+
+  assert.equal(model.query, 'biology');
+  assert.equal(model.totalMatching, 1284);
+  assert.deepEqual(model.pagination, {
+    currentPage: 2,
+    start: 11,
+    end: 13,
+    previousUrl: '?query=biology&start_rank=1',
+    nextUrl: '?query=biology&start_rank=21',
+    pages: [
+      { label: '1', url: '?query=biology&start_rank=1', selected: false },
+      { label: '2', url: null, selected: true },
+      { label: '3', url: '?query=biology&start_rank=21', selected: false }
+    ]
+  });
+});
+
+test('parses generic, program and people results', () => {
+  const { results } = parseSearchResponse(fixture('biology-page-2'), 'biology');
+
+  assert.equal(results.length, 3);
+  assert.deepEqual(results.map(result => result.type), ['generic', 'program', 'people']);
+
+  const [generic, program, people] = results;
+
+  assert.equal(generic.title, 'Biology Department');
+  assert.equal(generic.liveUrl, 'https://www.seattleu.edu/arts-sciences/biology/');
+  assert.match(generic.url, /^\/s\/redirect\?collection=seattleu~sp-search&url=/);
+  assert.equal(generic.summary, 'Study the living world with the Biology faculty & labs.');
+  assert.equal(generic.image, null);
+  assert.deepEqual(generic.metadata, { indexUrl: 'https://www.seattleu.edu/arts-sciences/biology/' });
+
+  assert.equal(program.title, 'Biology, BS');
+  assert.deepEqual(program.subtitles, ['College of Arts and Sciences']);
+  assert.equal(program.image, 'https://www.seattleu.edu/media/biology-bs.jpg');
+  assert.equal(program.summary, 'Prepare for careers in health, research and conservation.');
+
+  assert.equal(people.title, 'Jane Doe');
+  assert.deepEqual(people.subtitles, ['Associate Professor Biology']);
+  assert.deepEqual(people.tags, ['Marine Ecology', 'Genetics']);
+  assert.equal(people.summary, '');
+});
+
+test('parses facets with counts, selection and clear links', () => {
+  const { facets } = parseSearchResponse(fixture('biology-page-2'), 'biology');
+
+  assert.deepEqual(facets, [
+    {
+      name: 'Content Type',
+      type: 'checkbox',
+      selected: true,
+      clearUrl: '?query=biology&start_rank=11',
+      values: [
+        { label: 'Web Page', count: null, selected: true, url: '?query=biology&start_rank=11' },
+        { label: 'PDF', count: 1031, selected: false, url: '?query=biology&f.Content+Type%7CcontentType=PDF' }
+      ]
+    },
+    {
+      name: 'Date',
+      type: 'single-drill-down',
+      selected: false,
+      clearUrl: null,
+      values: [
+        { label: 'Past Week', count: 4, selected: false, url: '?query=biology&f.Date%7Cd=d%3E7Oct2026' },
+        { label: 'Past Month', count: 27, selected: false, url: '?query=biology&f.Date%7Cd=d%3E14Sep2026' }
+      ]
+    }
+  ]);
+});
+
+test('parses linked and disabled tabs in document order', () => {
+  const { tabs } = parseSearchResponse(fixture('biology-page-2'), 'biology');
+
+  assert.deepEqual(tabs, [
+    { id: 'Results0', label: 'Results', count: 1284, selected: true, disabled: false, url: '?query=biology&f.Tabs%7CseattleuMain=Results' },
+    { id: 'Programs1', label: 'Programs', count: 12, selected: false, disabled: false, url: '?query=biology&f.Tabs%7CseattleuPrograms=Programs' },
+    { id: 'News2', label: 'News', count: 0, selected: false, disabled: true, url: null }
+  ]);
+});
+
+test('parses a page without results and with a spelling suggestion', () => {
+  const model = parseSearchResponse(fixture('no-results'), 'biolgy');
+
+  assert.equal(model.totalMatching, 0);
+  assert.deepEqual(model.results, []);
+  assert.deepEqual(model.facets, []);
+  assert.deepEqual(model.tabs, []);
+  assert.deepEqual(model.spelling, {
+    text: 'biology',
+    url: '/s/search.html?collection=seattleu~sp-search&query=biology&profile=_default'
+  });
+  assert.equal(model.pagination.currentPage, null);
+  assert.deepEqual(model.pagination.pages, []);
+});
+
+test('keeps numeric entities outside the Unicode range as they are', () => {
+  assert.equal(decodeEntities('Caf&#233; &#x1F600; &amp; more'), 'Café 😀 & more');
+  assert.equal(decodeEntities('bad &#99999999; and &#x110000;'), 'bad &#99999999; and &#x110000;');
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Suggestion click model tests
+ *
+ * Runs on the in-memory store with Date.now mocked, so the forward decay can
+ * be checked across half-lives and across an epoch rollover. The configured
+ * half-life is below the one-hour minimum, so one hour is used and an epoch
+ * is 256 hours. Also covers the per-client window, the evidence thresholds
+ * and how rerankByClicks reorders each column.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { test, before, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const HOUR_MS = 60 * 60 * 1000;
+const EPOCH_MS = 256 * HOUR_MS;
+const CLIENT_WINDOW_S = 600;
+
+let clicks: typeof import('../lib/suggestion-clicks');
+let clock = 0;
+
+/**
+ * Record clicks on one item from distinct clients
+ * @param prefix - Partial query
+ * @param text - Suggestion text
+ * @param count - Number of clients clicking
+ * @param client - Client name prefix, unique per call site
+ */
+async function clickMany(prefix: string, text: string, count: number, client: string): Promise<void> {
+  for (let i = 0; i < count; i++) {
+    assert.equal(await clicks.recordSuggestionClick(prefix, 'general', text, `${client}-${i}`), true);
+  }
+}
+
+/**
+ * Get the decayed clicks of an item
+ * @param prefix - Partial query
+ * @param text - Suggestion text
+ * @returns Decayed clicks, 0 when the item is unknown
+ */
+async function clicksOf(prefix: string, text: string): Promise<number> {
+  const model = await clicks.getPrefixClickModel(prefix);
+  return model.boosts.find(({ item }) => item === clicks.getClickItemKey('general', text))?.clicks || 0;
+}
+
+before(async () => {
+  delete process.env.su_search_dev_012026_KV_URL;
+  delete process.env.su_search_dev_012026_REDIS_URL;
+  process.env.SUGGESTION_CLICK_HALF_LIFE_DAYS = '0.01';
+  process.env.SUGGESTION_CLICK_MIN_EVIDENCE = '3';
+  process.env.SUGGESTION_CLICK_CLIENT_WINDOW = String(CLIENT_WINDOW_S);
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+  mock.method(Date, 'now', () => clock);
+  clicks = await import('../lib/suggestion-clicks');
+});
+
+beforeEach(() => {
+  // Start each test half an epoch in, far from a rollover
+  clock = 1000 * EPOCH_MS + EPOCH_MS / 2;
+});
+
+test('counts a client once per prefix within the window', async () => {
+  assert.equal(await clicks.recordSuggestionClick('law', 'general', 'law school', '10.0.0.1'), true);
+  assert.equal(await clicks.recordSuggestionClick('law', 'general', 'law school', '10.0.0.1'), false);
+  assert.equal(await clicks.recordSuggestionClick('LAW', 'general', 'law library', '10.0.0.1'), false);
+  assert.equal(await clicks.recordSuggestionClick('lawyer', 'general', 'law school', '10.0.0.1'), true);
+  assert.equal(await clicks.recordSuggestionClick('law', 'general', 'law school', '10.0.0.2'), true);
+  assert.equal(await clicksOf('law', 'law school'), 2);
+
+  // After the window the client counts again; the earlier clicks have decayed meanwhile
+  const waitMs = (CLIENT_WINDOW_S + 1) * 1000;
+  clock += waitMs;
+  assert.equal(await clicks.recordSuggestionClick('law', 'general', 'law school', '10.0.0.1'), true);
+  assert.equal(await clicksOf('law', 'law school'), Number((2 * Math.pow(2, -waitMs / HOUR_MS) + 1).toFixed(3)));
+});
+
+test('boosts only items and prefixes with enough evidence', async () => {
+  await clickMany('bio', 'biology', 3, 'evidence-a');
+  await clickMany('bio', 'bioethics', 2, 'evidence-b');
+
+  // 5 clicks in total, below twice the minimum
+  assert.equal((await clicks.getClickBoosts('bio')).size, 0);
+
+  await clickMany('bio', 'biochemistry', 1, 'evidence-c');
+  const model = await clicks.getPrefixClickModel('bio');
+
+  assert.equal(model.totalClicks, 6);
+  assert.deepEqual(model.boosts, [
+    { item: 'general:biology', clicks: 3, boost: 0.5 },
+    { item: 'general:bioethics', clicks: 2, boost: 0 },
+    { item: 'general:biochemistry', clicks: 1, boost: 0 }
+  ]);
+  assert.deepEqual(await clicks.getClickBoosts('bio'), new Map([['general:biology', 0.5]]));
+});
+
+test('halves clicks every half-life, with the minimum half-life of an hour', async () => {
+  await clickMany('nur', 'nursing', 8, 'decay');
+
+  clock += HOUR_MS;
+  assert.equal(await clicksOf('nur', 'nursing'), 4);
+
+  clock += 2 * HOUR_MS;
+  assert.equal(await clicksOf('nur', 'nursing'), 1);
+});
+
+test('carries clicks over an epoch rollover and drops older epochs', async () => {
+  clock = 1001 * EPOCH_MS - HOUR_MS / 2;
+  await clickMany('mba', 'mba program', 4, 'rollover-a');
+
+  // The first four, one half-life old in the previous epoch, count as two
+  clock += HOUR_MS;
+  await clickMany('mba', 'mba program', 2, 'rollover-b');
+  assert.equal(await clicksOf('mba', 'mba program'), 4);
+
+  // Two epochs on, neither epoch is read any more
+  clock += 2 * EPOCH_MS;
+  assert.deepEqual((await clicks.getPrefixClickModel('mba')).boosts, []);
+});
+
+test('reranks boosted items and keeps the order and shape of the rest', () => {
+  const boosts = new Map([['general:c', 0.5], ['general:b', 0.2], ['program:y', 0.4]]);
+
+  assert.deepEqual(clicks.rerankByClicks(['a', 'b', 'c', 'd'], 'general', boosts), ['c', 'b', 'a', 'd']);
+  assert.deepEqual(clicks.rerankByClicks({
+    general: [{ display: 'a' }, { display: 'C' }],
+    staff: [{ title: 'c' }],
+    programs: { metadata: {}, programs: [{ title: 'x' }, { title: 'y' }] },
+    sourceStatus: { general: 'ok' }
+  }, 'all', boosts), {
+    general: [{ display: 'C' }, { display: 'a' }],
+    staff: [{ title: 'c' }],
+    programs: { metadata: {}, programs: [{ title: 'y' }, { title: 'x' }] },
+    sourceStatus: { general: 'ok' }
+  });
+  assert.deepEqual(clicks.rerankByClicks(['a', 'b'], 'general', new Map()), ['a', 'b']);
+});
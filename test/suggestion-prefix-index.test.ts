@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Prefix narrowing tests for cached suggestions
+ *
+ * The lookup is a stub over an in-memory map of normalized prefixes, so the
+ * tests cover which prefixes are read, which cached results may answer a
+ * longer query and how each source is filtered, including programs cached
+ * as { programs: [...] } rather than an array.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import type { CacheEntry } from '../lib/cache';
+import { findPrefixMatch, isNarrowable, narrowSuggestions } from '../lib/suggestion-prefix-index';
+
+/**
+ * Build a cache entry
+ * @param data - Cached result
+ * @param stale - Whether the entry is stale
+ * @returns Entry as the suggestion cache returns it
+ */
+function entry(data: any, stale: boolean = false): CacheEntry {
+  return { data, createdAt: Date.now(), generation: null, stale };
+}
+
+/**
+ * Build a lookup over cached prefixes that records what was read
+ * @param cached - Entries by normalized prefix
+ * @returns Lookup and the prefixes it was called with
+ */
+function lookupOf(cached: Record<string, CacheEntry>) {
+  const reads: string[] = [];
+  const lookup = async (prefix: string) => {
+    reads.push(prefix);
+    return cached[prefix] || null;
+  };
+  return { lookup, reads };
+}
+
+const allSources = {
+  general: ['biology', 'biology major', 'biochemistry', 'bioethics'],
+  staff: [{ title: 'Jane Doe, Biology' }, { title: 'Sam Biolo' }, { title: 'Ana Bio' }],
+  programs: { metadata: { total: 2 }, programs: [{ title: 'Biology, BS' }, { title: 'Bioinformatics' }] },
+  sourceStatus: { general: 'ok', staff: 'ok', programs: 'ok' }
+};
+
+test('reads only the longest prefixes and skips trailing spaces', async () => {
+  const { lookup, reads } = lookupOf({});
+
+  assert.equal(await findPrefixMatch('general', 'biology major', lookup), null);
+  assert.deepEqual(reads, ['biology majo', 'biology maj', 'biology ma', 'biology m']);
+
+  const short = lookupOf({});
+  await findPrefixMatch('general', 'bio', short.lookup);
+  assert.deepEqual(short.reads, []);
+
+  const spaced = lookupOf({});
+  await findPrefixMatch('general', 'bio m', spaced.lookup);
+  assert.deepEqual(spaced.reads, ['bio']);
+});
+
+test('narrows the longest cached prefix', async () => {
+  const { lookup } = lookupOf({
+    bio: entry(['biology', 'biochemistry', 'bioethics']),
+    biol: entry(['biology', 'biology major'])
+  });
+
+  assert.deepEqual(await findPrefixMatch('general', 'biolo', lookup), {
+    prefix: 'biol',
+    data: ['biology', 'biology major']
+  });
+});
+
+test('leaves stale, partial and possibly truncated results to the backend', async () => {
+  const full = Array.from({ length: 10 }, (_, i) => `biology ${i}`);
+  assert.equal(isNarrowable('general', full), false);
+  assert.equal(isNarrowable('general', full.slice(1)), true);
+  assert.equal(isNarrowable('staff', allSources.staff.concat({ title: 'A' }, { title: 'B' })), false);
+  assert.equal(isNarrowable('all', allSources), true);
+  assert.equal(isNarrowable('all', { ...allSources, sourceStatus: { ...allSources.sourceStatus, staff: 'timeout' } }), false);
+  assert.equal(isNarrowable('programs', { programs: 'unknown' }), false);
+
+  const stale = lookupOf({ biol: entry(['biology'], true) });
+  assert.equal(await findPrefixMatch('general', 'biolo', stale.lookup), null);
+});
+
+test('filters each source and keeps the programs object shape', () => {
+  assert.deepEqual(narrowSuggestions('all', allSources, 'biol'), {
+    general: ['biology', 'biology major'],
+    staff: [{ title: 'Jane Doe, Biology' }, { title: 'Sam Biolo' }],
+    programs: { metadata: { total: 2 }, programs: [{ title: 'Biology, BS' }] },
+    sourceStatus: { general: 'ok', staff: 'ok', programs: 'ok' }
+  });
+
+  // Staff and programs match when every query token prefixes a name token
+  assert.deepEqual(narrowSuggestions('staff', allSources.staff, 'doe jane'), [{ title: 'Jane Doe, Biology' }]);
+  assert.deepEqual(narrowSuggestions('general', [{ display: 'Biology' }, { display: 'Art' }], 'bio'), [{ display: 'Biology' }]);
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Blended suggestion ranking tests
+ *
+ * Runs without Redis, so popularity comes from the in-memory counters of
+ * lib/query-popularity.ts. Covers programs cached as { programs: [...] },
+ * merging duplicates in favour of linked items, click boosts, curated pins
+ * and the limit.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.0.0
+ * @lastModified 2026-10-19
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let ranker: typeof import('../lib/suggestion-ranker');
+let popularity: typeof import('../lib/query-popularity');
+
+before(async () => {
+  delete process.env.su_search_dev_012026_KV_URL;
+  delete process.env.su_search_dev_012026_REDIS_URL;
+  delete process.env.SUGGESTION_BLEND_WEIGHTS;
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+  ranker = await import('../lib/suggestion-ranker');
+  popularity = await import('../lib/query-popularity');
+});
+
+const data = {
+  general: ['nursing', 'nursing program', 'Nursing, BSN', 'nurse practitioner'],
+  staff: [{ title: 'Nora Nurse', url: 'https://www.seattleu.edu/directory/nora-nurse/' }],
+  programs: {
+    metadata: { total: 1 },
+    programs: [{ title: 'Nursing, BSN', url: 'https://www.seattleu.edu/nursing/bsn/' }]
+  },
+  sourceStatus: { general: 'ok', staff: 'ok', programs: 'ok' }
+};
+
+test('merges duplicates into the linked item and reads programs objects', async () => {
+  const { suggestions, sourceStatus } = await ranker.blendSuggestions(data, 'nursing');
+  const texts = suggestions.map(suggestion => suggestion.text);
+
+  assert.equal(texts.filter(text => text === 'Nursing, BSN').length, 1);
+  const program = suggestions.find(suggestion => suggestion.text === 'Nursing, BSN')!;
+  assert.equal(program.type, 'program');
+  assert.equal(program.url, 'https://www.seattleu.edu/nursing/bsn/');
+  assert.equal(program.item, data.programs.programs[0]);
+  assert.equal(texts[0], 'nursing', 'the exact match ranks first');
+  assert.deepEqual(sourceStatus, data.sourceStatus);
+});
+
+test('ranks by popularity and clicks, and keeps pins first', async () => {
+  const base = await ranker.blendSuggestions(data, 'nurs');
+  const practitioner = base.suggestions.findIndex(suggestion => suggestion.text === 'nurse practitioner');
+
+  for (let i = 0; i < 20; i++) await popularity.recordQueryHit('nurse practitioner');
+  const popular = await ranker.blendSuggestions(data, 'nurs');
+  assert.ok(popular.suggestions.findIndex(suggestion => suggestion.text === 'nurse practitioner') < practitioner);
+
+  const clicked = await ranker.blendSuggestions(data, 'nurs', new Map([['staff:nora nurse', 1]]));
+  assert.equal(clicked.suggestions[0].text, 'Nora Nurse');
+
+  const pinned = await ranker.blendSuggestions(data, 'nurs', new Map(), ['general:nurse practitioner', 'staff:nora nurse'], 3);
+  assert.deepEqual(pinned.suggestions.map(suggestion => suggestion.text).slice(0, 2), ['nurse practitioner', 'Nora Nurse']);
+  assert.equal(pinned.suggestions.length, 3);
+});
+
+test('skips missing sources and items without text', async () => {
+  const { suggestions } = await ranker.blendSuggestions(
+    { general: ['law', '', { display: 'law school' }], staff: null, programs: { error: 'timeout' } },
+    'law'
+  );
+
+  assert.deepEqual(suggestions.map(suggestion => [suggestion.type, suggestion.text]), [
+    ['general', 'law'],
+    ['general', 'law school']
+  ]);
+});
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Curated suggestion rule validation and store tests
+ *
+ * Runs against the rules file in a temporary directory, as an instance
+ * without Redis does. Regex triggers must stay within the safe subset and
+ * skip over-long queries, injected links must be http(s), a stored value
+ * that is not a list is ignored, and a configured but unavailable Redis must
+ * fail writes instead of writing the file.
+ *
+ * @license MIT
+ * @author Victor Chimenti
+ * @version 1.1.0
+ * @lastModified 2026-10-19
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+let directory: string;
+let rules: typeof import('../lib/suggestion-rules');
+
+before(async () => {
+  directory = mkdtempSync(path.join(tmpdir(), 'suggestion-rules-'));
+
+  delete process.env.su_search_dev_012026_KV_URL;
+  delete process.env.su_search_dev_012026_REDIS_URL;
+  process.env.SUGGESTION_RULES_FILE = path.join(directory, 'rules.json');
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+  rules = await import('../lib/suggestion-rules');
+});
+
+after(() => {
+  rmSync(directory, { recursive: true, force: true });
+});
+
+test('rejects regex triggers that can backtrack catastrophically', async () => {
+  const unsafe = [
+    '(a+)+$', '(a|ab)*c', '((bio)+)*', '(\\w+\\s?)*$', '(a)\\1', '(?<x>a)\\k<x>', '(a+){2,}',
+    '.*.*.*.*.*.*.*.*.*.*!', '\\s*\\d+', 'a{1,}b*'
+  ];
+
+  for (const pattern of unsafe) {
+    await assert.rejects(
+      rules.saveSuggestionRule({ trigger: 'regex', pattern, column: 'general', action: 'hide', target: 'x' }, 'test'),
+      (error: any) => error instanceof rules.SuggestionRuleError && error.status === 400,
+      pattern
+    );
+  }
+});
+
+test('applies regex triggers within the safe subset', async () => {
+  await rules.saveSuggestionRule(
+    { trigger: 'regex', pattern: '^(fafsa|financial aid)( \\d+)?$', column: 'general', action: 'inject', text: 'Financial Aid' },
+    'test'
+  );
+
+  const matched = await rules.applySuggestionRules(['fafsa deadline'], 'general', 'fafsa 2027');
+  assert.deepEqual(matched.data, ['Financial Aid', 'fafsa deadline']);
+
+  const unmatched = await rules.applySuggestionRules(['fafsa deadline'], 'general', 'fafsa deadline');
+  assert.deepEqual(unmatched.data, ['fafsa deadline']);
+
+  // Queries beyond the length cap are not tested against regex triggers
+  const long = await rules.applySuggestionRules(['fafsa deadline'], 'general', `fafsa ${'1'.repeat(120)}`);
+  assert.deepEqual(long.data, ['fafsa deadline']);
+});
+
+test('requires http or https links', async () => {
+  for (const url of ['javascript:alert(1)', 'data:text/html,x', '/financial-aid/', 'ftp://example.edu/']) {
+    await assert.rejects(
+      rules.saveSuggestionRule(
+        { trigger: 'exact', pattern: 'fafsa', column: 'programs', action: 'inject', text: 'Financial Aid', url },
+        'test'
+      ),
+      rules.SuggestionRuleError,
+      url
+    );
+  }
+
+  const rule = await rules.saveSuggestionRule(
+    { trigger: 'exact', pattern: 'fafsa', column: 'programs', action: 'inject', text: 'Financial Aid', url: 'https://www.seattleu.edu/financial-aid/' },
+    'test'
+  );
+  assert.equal(rule.url, 'https://www.seattleu.edu/financial-aid/');
+});
+
+test('ignores a rules file that is not a list', async () => {
+  writeFileSync(process.env.SUGGESTION_RULES_FILE!, '{"id":"not-a-list"}');
+  assert.deepEqual(await rules.getSuggestionRules(true), []);
+});
+
+test('fails writes while a configured Redis is unavailable', async () => {
+  // The client was resolved without Redis, so a URL set now counts as
+  // configured while getRedisClient() keeps returning null
+  process.env.su_search_dev_012026_REDIS_URL = 'redis://localhost:1';
+  writeFileSync(process.env.SUGGESTION_RULES_FILE!, '[]');
+
+  try {
+    await assert.rejects(
+      rules.saveSuggestionRule({ trigger: 'exact', pattern: 'fafsa', column: 'general', action: 'hide', target: 'x' }, 'test'),
+      (error: any) => error instanceof rules.SuggestionRuleError && error.status === 503
+    );
+    assert.deepEqual(await rules.getSuggestionRules(true), []);
+  } finally {
+    delete process.env.su_search_dev_012026_REDIS_URL;
+  }
+});